@@ -27,12 +27,36 @@ const ScreenCastStreamProxy = Gio.DBusProxy.makeProxyWrapper(ScreenCastStreamIfa
 
 const DEFAULT_FRAMERATE = 30;
 const DEFAULT_DRAW_CURSOR = true;
+const DEFAULT_DESKTOP_AUDIO = false;
+const DEFAULT_MICROPHONE = false;
+
+// How often the recording limits are checked, in seconds.
+const LIMIT_CHECK_INTERVAL = 1;
+
+// The camera overlay is a 4:3 box, with its size given as a fraction of
+// the recording width.
+const DEFAULT_CAMERA_OVERLAY_SIZE = 0.25;
+const CAMERA_OVERLAY_ASPECT_RATIO = 4 / 3;
+
+const CAMERA_DEVICE = '/dev/video0';
+
+const AUDIO_SOURCES = {
+    desktop: 'pulsesrc device=@DEFAULT_MONITOR@ provide-clock=false',
+    microphone: 'pulsesrc device=@DEFAULT_SOURCE@ provide-clock=false',
+};
+
+// Both WebM and MP4 can hold Opus audio.
+const AUDIO_ENCODER =
+    'audioconvert ! audioresample ! queue ! opusenc ! queue';
 
 const PIPELINE_BLOCKLIST_FILENAME = 'gnome-shell-screencast-pipeline-blocklist';
 
+// Pipelines are tried in order. Those marked as explicitOnly are only used
+// when their format is asked for explicitly.
 const PIPELINES = [
     {
         id: 'swenc-dmabuf-h264-openh264',
+        format: 'mp4',
         fileExtension: 'mp4',
         pipelineString:
             'capsfilter caps=video/x-raw(memory:DMABuf),max-framerate=%F/1 ! \
@@ -45,6 +69,7 @@ const PIPELINES = [
     },
     {
         id: 'swenc-memfd-h264-openh264',
+        format: 'mp4',
         fileExtension: 'mp4',
         pipelineString:
             'capsfilter caps=video/x-raw,max-framerate=%F/1 ! \
@@ -55,8 +80,49 @@ const PIPELINES = [
              h264parse ! \
              mp4mux fragment-duration=500 fragment-mode=first-moov-then-finalise',
     },
+    {
+        id: 'swenc-dmabuf-vp9-vp9enc',
+        format: 'webm',
+        fileExtension: 'webm',
+        explicitOnly: true,
+        pipelineString:
+            'capsfilter caps=video/x-raw(memory:DMABuf),max-framerate=%F/1 ! \
+             glupload ! glcolorconvert ! gldownload ! \
+             queue ! \
+             vp9enc cpu-used=8 max-quantizer=30 deadline=1 keyframe-mode=disabled threads=%T row-mt=true static-threshold=1000 buffer-size=20000 ! \
+             queue ! \
+             webmmux',
+    },
+    {
+        id: 'swenc-memfd-vp9-vp9enc',
+        format: 'webm',
+        fileExtension: 'webm',
+        explicitOnly: true,
+        pipelineString:
+            'capsfilter caps=video/x-raw,max-framerate=%F/1 ! \
+             videoconvert chroma-mode=none dither=none matrix-mode=output-only n-threads=%T ! \
+             queue ! \
+             vp9enc cpu-used=8 max-quantizer=30 deadline=1 keyframe-mode=disabled threads=%T row-mt=true static-threshold=1000 buffer-size=20000 ! \
+             queue ! \
+             webmmux',
+    },
+    {
+        id: 'swenc-memfd-gif-gifenc',
+        format: 'gif',
+        fileExtension: 'gif',
+        explicitOnly: true,
+        noAudio: true,
+        pipelineString:
+            'capsfilter caps=video/x-raw,max-framerate=%F/1 ! \
+             videorate ! \
+             capsfilter caps=video/x-raw,framerate=%F/1 ! \
+             videoconvert n-threads=%T ! \
+             queue ! \
+             gifenc',
+    },
     {
         id: 'swenc-dmabuf-vp8-vp8enc',
+        format: 'webm',
         fileExtension: 'webm',
         pipelineString:
             'capsfilter caps=video/x-raw(memory:DMABuf),max-framerate=%F/1 ! \
@@ -68,6 +134,7 @@ const PIPELINES = [
     },
     {
         id: 'swenc-memfd-vp8-vp8enc',
+        format: 'webm',
         fileExtension: 'webm',
         pipelineString:
             'capsfilter caps=video/x-raw,max-framerate=%F/1 ! \
@@ -79,10 +146,25 @@ const PIPELINES = [
     },
 ];
 
+// Used if no other pipeline works, so it must always be available.
+const FALLBACK_PIPELINE = PIPELINES.find(p => p.id === 'swenc-memfd-vp8-vp8enc');
+
+/**
+ * @param {object} pipelineConfig - A pipeline from PIPELINES
+ * @returns {boolean} whether all elements of the pipeline are installed
+ */
+function isPipelineAvailable(pipelineConfig) {
+    const elements = pipelineConfig.pipelineString.split('!').map(
+        e => e.trim().split(' ').at(0));
+
+    return elements.every(e => Gst.ElementFactory.find(e) !== null);
+}
+
 const PipelineState = {
     INIT: 'INIT',
     STARTING: 'STARTING',
     PLAYING: 'PLAYING',
+    PAUSED: 'PAUSED',
     FLUSHING: 'FLUSHING',
     STOPPED: 'STOPPED',
     ERROR: 'ERROR',
@@ -118,6 +200,17 @@ class Recorder extends Signals.EventEmitter {
         this._pipelineString = null;
         this._framerate = DEFAULT_FRAMERATE;
         this._drawCursor = DEFAULT_DRAW_CURSOR;
+        this._desktopAudio = DEFAULT_DESKTOP_AUDIO;
+        this._microphone = DEFAULT_MICROPHONE;
+        this._maxDuration = 0;
+        this._maxFileSize = 0;
+        this._format = null;
+        this._cameraOverlay = null;
+
+        // Time spent recording before the last pause, in microseconds.
+        this._recordedTime = 0;
+        this._playingSince = 0;
+        this._limitCheckId = 0;
         this._blocklistFromPreviousCrashes = [];
 
         const pipelineBlocklistPath = GLib.build_filenamev(
@@ -153,6 +246,43 @@ class Recorder extends Signals.EventEmitter {
             this._framerate = options['framerate'];
         if ('draw-cursor' in options)
             this._drawCursor = options['draw-cursor'];
+        if ('desktop-audio' in options)
+            this._desktopAudio = options['desktop-audio'];
+        if ('microphone' in options)
+            this._microphone = options['microphone'];
+        if (options['max-duration'] !== undefined)
+            this._maxDuration = options['max-duration'];
+        if (options['max-file-size'] !== undefined)
+            this._maxFileSize = options['max-file-size'];
+        if (options['camera-overlay']) {
+            if (ScreencastService.canRecordCamera()) {
+                this._cameraOverlay = {
+                    x: options['camera-overlay-x'] ?? 0,
+                    y: options['camera-overlay-y'] ?? 0,
+                    size: options['camera-overlay-size'] ?? DEFAULT_CAMERA_OVERLAY_SIZE,
+                };
+            } else {
+                console.warn('No camera available, recording without camera overlay');
+            }
+        }
+        if (options['format'] !== undefined) {
+            if (PIPELINES.some(p => p.format === options['format']))
+                this._format = options['format'];
+            else
+                console.warn(`Unknown screencast format '${options['format']}', using the default format`);
+        }
+
+        if (!this._desktopAudio && !this._microphone)
+            return;
+
+        if (!ScreencastService.canRecordAudio()) {
+            console.warn('Audio recording is not supported, recording without audio');
+            this._desktopAudio = this._microphone = false;
+        } else if (this._pipelineString) {
+            // There's no telling where audio could go in a custom pipeline.
+            console.warn('Audio recording is not supported with custom pipelines, recording without audio');
+            this._desktopAudio = this._microphone = false;
+        }
     }
 
     _addRecentItem() {
@@ -175,7 +305,63 @@ class Recorder extends Signals.EventEmitter {
         }
     }
 
+    _startLimitCheck() {
+        if (this._maxDuration === 0 && this._maxFileSize === 0)
+            return;
+
+        this._limitCheckId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT,
+            LIMIT_CHECK_INTERVAL, () => {
+                if (this._pipelineState !== PipelineState.PLAYING)
+                    return GLib.SOURCE_CONTINUE;
+
+                if (this._limitReached()) {
+                    this._limitCheckId = 0;
+                    this.emit('limit-reached');
+                    return GLib.SOURCE_REMOVE;
+                }
+
+                return GLib.SOURCE_CONTINUE;
+            });
+        GLib.Source.set_name_by_id(this._limitCheckId,
+            '[gnome-shell] screencast limit check');
+    }
+
+    _stopLimitCheck() {
+        if (this._limitCheckId !== 0) {
+            GLib.source_remove(this._limitCheckId);
+            this._limitCheckId = 0;
+        }
+    }
+
+    _getRecordedTime() {
+        let time = this._recordedTime;
+        if (this._pipelineState === PipelineState.PLAYING)
+            time += GLib.get_monotonic_time() - this._playingSince;
+        return time;
+    }
+
+    _limitReached() {
+        if (this._maxDuration > 0 &&
+            this._getRecordedTime() >= this._maxDuration * GLib.USEC_PER_SEC)
+            return true;
+
+        if (this._maxFileSize > 0) {
+            try {
+                const info = Gio.File.new_for_path(this._filePath).query_info(
+                    Gio.FILE_ATTRIBUTE_STANDARD_SIZE, Gio.FileQueryInfoFlags.NONE, null);
+                if (info.get_size() >= this._maxFileSize)
+                    return true;
+            } catch (e) {
+                console.warn(`Failed to query size of ${this._filePath}: ${e.message}`);
+            }
+        }
+
+        return false;
+    }
+
     _teardownPipeline() {
+        this._stopLimitCheck();
+
         if (!this._pipeline)
             return;
 
@@ -321,10 +507,32 @@ class Recorder extends Signals.EventEmitter {
 
         const fallbackSupported =
                 Gst.Registry.get().check_feature_version('pipewiresrc', 0, 3, 67);
-        if (fallbackSupported)
-            yield* PIPELINES;
-        else
-            yield PIPELINES.at(-1);
+
+        // The camera is composited in system memory.
+        const pipelines = this._cameraOverlay
+            ? PIPELINES.filter(p => !p.id.includes('-dmabuf-'))
+            : PIPELINES;
+
+        if (!fallbackSupported) {
+            // Only a single pipeline can be tried, pick one that is
+            // likely to work.
+            const pipeline = this._format ? pipelines.find(p =>
+                p.format === this._format &&
+                p.id.includes('-memfd-') &&
+                isPipelineAvailable(p)) : null;
+            if (this._format && !pipeline)
+                console.warn(`Format '${this._format}' is not available, falling back to '${FALLBACK_PIPELINE.format}'`);
+
+            yield pipeline ?? FALLBACK_PIPELINE;
+            return;
+        }
+
+        if (this._format) {
+            yield* pipelines.filter(p => p.format === this._format);
+            console.warn(`No pipeline for format '${this._format}' could be started, falling back to the default pipelines`);
+        }
+
+        yield* pipelines.filter(p => !p.explicitOnly && p.format !== this._format);
     }
 
     startRecording() {
@@ -364,11 +572,76 @@ class Recorder extends Signals.EventEmitter {
         return new Promise((resolve, reject) => {
             this._stopRequest = {resolve, reject};
 
+            this._stopLimitCheck();
+
+            // Data only flows, and the EOS with it, in the PLAYING state.
+            if (this._pipelineState === PipelineState.PAUSED)
+                this._pipeline.set_state(Gst.State.PLAYING);
+
             this._pipelineState = PipelineState.FLUSHING;
             this._pipeline.send_event(Gst.Event.new_eos());
         });
     }
 
+    moveCameraOverlay(x, y) {
+        if (!this._cameraOverlay)
+            return false;
+
+        this._cameraOverlay.x = x;
+        this._cameraOverlay.y = y;
+        this._updateCameraOverlay();
+        return true;
+    }
+
+    _updateCameraOverlay() {
+        const compositor = this._pipeline?.get_by_name('camera_overlay');
+        const caps = compositor?.get_static_pad('src').get_current_caps();
+        const pad = compositor?.get_static_pad('sink_1');
+        if (!caps || !pad)
+            return;
+
+        // Positions are relative to the recorded area, which doesn't
+        // necessarily match the size of the video.
+        const structure = caps.get_structure(0);
+        const [, videoWidth] = structure.get_int('width');
+        const [, videoHeight] = structure.get_int('height');
+
+        const {x, y, size} = this._cameraOverlay;
+        const width = Math.round(videoWidth * size);
+        const height = Math.round(width / CAMERA_OVERLAY_ASPECT_RATIO);
+        pad.width = width;
+        pad.height = height;
+        pad.xpos = Math.max(0, Math.min(Math.round(videoWidth * x), videoWidth - width));
+        pad.ypos = Math.max(0, Math.min(Math.round(videoHeight * y), videoHeight - height));
+    }
+
+    pauseRecording() {
+        if (this._pipelineState !== PipelineState.PLAYING)
+            return false;
+
+        // Live sources don't produce data while paused, and the running
+        // time, which the buffers are stamped with, stands still, so the
+        // recording continues seamlessly once resumed.
+        if (this._pipeline.set_state(Gst.State.PAUSED) === Gst.StateChangeReturn.FAILURE)
+            return false;
+
+        this._recordedTime += GLib.get_monotonic_time() - this._playingSince;
+        this._pipelineState = PipelineState.PAUSED;
+        return true;
+    }
+
+    resumeRecording() {
+        if (this._pipelineState !== PipelineState.PAUSED)
+            return false;
+
+        if (this._pipeline.set_state(Gst.State.PLAYING) === Gst.StateChangeReturn.FAILURE)
+            return false;
+
+        this._playingSince = GLib.get_monotonic_time();
+        this._pipelineState = PipelineState.PLAYING;
+        return true;
+    }
+
     _onBusMessage(bus, message, _) {
         switch (message.type) {
         case Gst.MessageType.STATE_CHANGED: {
@@ -378,6 +651,11 @@ class Recorder extends Signals.EventEmitter {
                 message.src === this._pipeline &&
                 newState === Gst.State.PLAYING) {
                 this._pipelineState = PipelineState.PLAYING;
+                this._playingSince = GLib.get_monotonic_time();
+                this._startLimitCheck();
+
+                if (this._cameraOverlay)
+                    this._updateCameraOverlay();
 
                 this._startRequest.resolve(this._filePath);
                 delete this._startRequest;
@@ -400,6 +678,7 @@ class Recorder extends Signals.EventEmitter {
                 break;
 
             case PipelineState.PLAYING:
+            case PipelineState.PAUSED:
                 this._addRecentItem();
                 this._handleFatalPipelineError('Unexpected EOS message',
                     ScreencastErrors, ScreencastError.PIPELINE_ERROR);
@@ -439,6 +718,7 @@ class Recorder extends Signals.EventEmitter {
                 break;
 
             case PipelineState.PLAYING:
+            case PipelineState.PAUSED:
             case PipelineState.FLUSHING: {
                 const [error] = message.parse_error();
 
@@ -472,18 +752,72 @@ class Recorder extends Signals.EventEmitter {
         return pipelineDescr.replaceAll('%T', numThreads).replaceAll('%F', framerate);
     }
 
+    _getAudioPipeline() {
+        const sources = [];
+        if (this._desktopAudio)
+            sources.push(AUDIO_SOURCES.desktop);
+        if (this._microphone)
+            sources.push(AUDIO_SOURCES.microphone);
+
+        if (sources.length === 0)
+            return '';
+
+        if (sources.length === 1)
+            return `${sources[0]} ! ${AUDIO_ENCODER} ! mux.`;
+
+        return `audiomixer name=amix ! ${AUDIO_ENCODER} ! mux.
+            ${sources.map(source => `${source} ! queue ! audioconvert ! amix.`).join('\n')}`;
+    }
+
+    _addCameraOverlay(pipelineDescr, framerate) {
+        if (!this._cameraOverlay)
+            return pipelineDescr;
+
+        // Every pipeline starts with a capsfilter for the screen cast
+        // stream; the compositor goes right after it. It needs a constant
+        // frame rate, which the stream doesn't have.
+        const [capsfilter, ...rest] = pipelineDescr.split('!');
+        return `${capsfilter} !
+            videorate !
+            capsfilter caps=video/x-raw,framerate=${framerate}/1 !
+            compositor name=camera_overlay
+                       sink_1::zorder=1
+                       sink_1::sizing-policy=keep-aspect-ratio !
+            ${rest.join('!')}`;
+    }
+
+    _getCameraPipeline() {
+        if (!this._cameraOverlay)
+            return '';
+
+        return `v4l2src device=${CAMERA_DEVICE} !
+            videoconvert !
+            queue leaky=downstream max-size-buffers=2 !
+            camera_overlay.sink_1`;
+    }
+
     _createPipeline(nodeId, pipelineConfig, framerate) {
         const {fileExtension, pipelineString} = pipelineConfig;
         const finalPipelineString = this._substituteVariables(pipelineString, framerate);
         this._filePath = `${this._filePathStem}.${fileExtension}`;
 
+        if (pipelineConfig.noAudio && (this._desktopAudio || this._microphone))
+            console.warn(`Pipeline '${pipelineConfig.id}' doesn't support audio, recording without audio`);
+
+        // The muxer is the last element of the pipeline string, so naming
+        // it allows linking the audio branch to it.
+        const audioPipeline = pipelineConfig.noAudio ? '' : this._getAudioPipeline();
+        const muxerName = audioPipeline ? 'name=mux' : '';
+
         const fullPipeline = `
             pipewiresrc path=${nodeId}
                         do-timestamp=true
                         keepalive-time=1000
                         resend-last=true !
-            ${finalPipelineString} !
-            filesink location="${this._filePath}"`;
+            ${this._addCameraOverlay(finalPipelineString, framerate)} ${muxerName} !
+            filesink location="${this._filePath}"
+            ${audioPipeline}
+            ${this._getCameraPipeline()}`;
 
         return Gst.parse_launch_full(fullPipeline, null,
             Gst.ParseFlags.FATAL_ERRORS);
@@ -495,7 +829,7 @@ export const ScreencastService = class extends ServiceImplementation {
         if (!Gst.init_check(null))
             return false;
 
-        let elements = [
+        const elements = [
             'pipewiresrc',
             'filesink',
         ];
@@ -505,15 +839,37 @@ export const ScreencastService = class extends ServiceImplementation {
 
         // The fallback pipeline must be available, the other ones are not
         // guaranteed to work because they depend on hw encoders.
-        const fallbackPipeline = PIPELINES.at(-1);
+        return isPipelineAvailable(FALLBACK_PIPELINE);
+    }
 
-        elements = fallbackPipeline.pipelineString.split('!').map(
-            e => e.trim().split(' ').at(0));
+    static canRecordCamera() {
+        const elements = [
+            'v4l2src',
+            'videorate',
+            'compositor',
+        ];
 
-        if (elements.every(e => Gst.ElementFactory.find(e) !== null))
-            return true;
+        return elements.every(e => Gst.ElementFactory.find(e) !== null) &&
+            GLib.file_test(CAMERA_DEVICE, GLib.FileTest.EXISTS);
+    }
 
-        return false;
+    static getSupportedFormats() {
+        const formats = PIPELINES
+            .filter(p => isPipelineAvailable(p))
+            .map(p => p.format);
+        return [...new Set(formats)];
+    }
+
+    static canRecordAudio() {
+        const elements = [
+            'pulsesrc',
+            'audiomixer',
+            'audioconvert',
+            'audioresample',
+            'opusenc',
+        ];
+
+        return elements.every(e => Gst.ElementFactory.find(e) !== null);
     }
 
     constructor() {
@@ -521,6 +877,10 @@ export const ScreencastService = class extends ServiceImplementation {
 
         this.hold(); // gstreamer initializing can take a bit
         this._canScreencast = ScreencastService.canScreencast();
+        this._canRecordAudio =
+            this._canScreencast && ScreencastService.canRecordAudio();
+        this._supportedFormats = this._canScreencast
+            ? ScreencastService.getSupportedFormats() : [];
 
         Gst.init(null);
         Gtk.init();
@@ -547,6 +907,19 @@ export const ScreencastService = class extends ServiceImplementation {
         return this._canScreencast;
     }
 
+    get AudioSupported() {
+        return this._canRecordAudio;
+    }
+
+    get SupportedFormats() {
+        return this._supportedFormats;
+    }
+
+    get CameraSupported() {
+        // Cameras come and go, so check every time.
+        return this._canScreencast && ScreencastService.canRecordCamera();
+    }
+
     _removeRecorder(sender) {
         if (!this._recorders.delete(sender))
             return;
@@ -623,6 +996,30 @@ export const ScreencastService = class extends ServiceImplementation {
         return this._getAbsolutePath(filename);
     }
 
+    _connectRecorder(sender, recorder) {
+        recorder.connect('error', (r, error) => {
+            log(`Fatal error while recording: ${error.message}`);
+            this._removeRecorder(sender);
+            this._dbusImpl.emit_signal('Error',
+                new GLib.Variant('(ss)', [
+                    Gio.DBusError.encode_gerror(error),
+                    error.message,
+                ]));
+        });
+        recorder.connect('limit-reached', async () => {
+            try {
+                await recorder.stopRecording();
+            } catch (error) {
+                log(`${sender}: Error while stopping recorder: ${error.message}`);
+                return;
+            } finally {
+                this._removeRecorder(sender);
+            }
+
+            this._dbusImpl.emit_signal('Stopped', null);
+        });
+    }
+
     async ScreencastAsync(params, invocation) {
         if (this._lockdownSettings.get_boolean('disable-save-to-disk')) {
             invocation.return_error_literal(ScreencastErrors,
@@ -684,15 +1081,7 @@ export const ScreencastService = class extends ServiceImplementation {
             return;
         }
 
-        recorder.connect('error', (r, error) => {
-            log(`Fatal error while recording: ${error.message}`);
-            this._removeRecorder(sender);
-            this._dbusImpl.emit_signal('Error',
-                new GLib.Variant('(ss)', [
-                    Gio.DBusError.encode_gerror(error),
-                    error.message,
-                ]));
-        });
+        this._connectRecorder(sender, recorder);
     }
 
     async ScreencastAreaAsync(params, invocation) {
@@ -755,15 +1144,26 @@ export const ScreencastService = class extends ServiceImplementation {
             return;
         }
 
-        recorder.connect('error', (r, error) => {
-            log(`Fatal error while recording: ${error.message}`);
-            this._removeRecorder(sender);
-            this._dbusImpl.emit_signal('Error',
-                new GLib.Variant('(ss)', [
-                    Gio.DBusError.encode_gerror(error),
-                    error.message,
-                ]));
-        });
+        this._connectRecorder(sender, recorder);
+    }
+
+    PauseScreencastAsync(params, invocation) {
+        const recorder = this._recorders.get(invocation.get_sender());
+        const success = recorder?.pauseRecording() ?? false;
+        invocation.return_value(GLib.Variant.new('(b)', [success]));
+    }
+
+    MoveCameraOverlayAsync(params, invocation) {
+        const [x, y] = params;
+        const recorder = this._recorders.get(invocation.get_sender());
+        const success = recorder?.moveCameraOverlay(x, y) ?? false;
+        invocation.return_value(GLib.Variant.new('(b)', [success]));
+    }
+
+    ResumeScreencastAsync(params, invocation) {
+        const recorder = this._recorders.get(invocation.get_sender());
+        const success = recorder?.resumeRecording() ?? false;
+        invocation.return_value(GLib.Variant.new('(b)', [success]));
     }
 
     async StopScreencastAsync(params, invocation) {
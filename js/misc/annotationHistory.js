@@ -0,0 +1,52 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+/**
+ * Keeps the list of annotations of a screenshot along with the ones that
+ * were undone and can still be redone.
+ */
+export class AnnotationHistory {
+    constructor() {
+        this._annotations = [];
+        this._undone = [];
+    }
+
+    get annotations() {
+        return [...this._annotations];
+    }
+
+    get canUndo() {
+        return this._annotations.length > 0;
+    }
+
+    get canRedo() {
+        return this._undone.length > 0;
+    }
+
+    push(annotation) {
+        this._annotations.push(annotation);
+        this._undone = [];
+    }
+
+    undo() {
+        const annotation = this._annotations.pop();
+        if (!annotation)
+            return null;
+
+        this._undone.push(annotation);
+        return annotation;
+    }
+
+    redo() {
+        const annotation = this._undone.pop();
+        if (!annotation)
+            return null;
+
+        this._annotations.push(annotation);
+        return annotation;
+    }
+
+    clear() {
+        this._annotations = [];
+        this._undone = [];
+    }
+}
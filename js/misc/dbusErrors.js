@@ -35,6 +35,13 @@ export const NotificationError = {
 export const NotificationErrors =
     registerErrorDomain('Notifications', NotificationError, 'org.gtk');
 
+export const NotificationListError = {
+    NOT_FOUND: 0,
+    LOCKED: 1,
+};
+export const NotificationListErrors =
+    registerErrorDomain('NotificationList', NotificationListError);
+
 export const ExtensionError = {
     INFO_DOWNLOAD_FAILED: 0,
     DOWNLOAD_FAILED: 1,
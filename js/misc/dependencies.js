@@ -64,3 +64,10 @@ try {
 } catch {
     console.debug('Malcontent is not available, parental controls integration will be disabled.');
 }
+
+try {
+    // GSound is optional, so catch any errors loading it
+    gi.require('GSound', '1.0');
+} catch {
+    console.debug('GSound is not available, notification sounds will play at the volume of system alerts.');
+}
@@ -0,0 +1,82 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import GLib from 'gi://GLib';
+
+// Times of day are given in minutes since midnight, so that they can be
+// stored in settings directly.
+
+function _getMinutes(time) {
+    return time.get_hour() * 60 + time.get_minute();
+}
+
+/**
+ * Finds the next time a time of day comes around.
+ *
+ * @param {GLib.DateTime} time - The time to start from.
+ * @param {number} minutes - The time of day.
+ * @returns {GLib.DateTime} the first matching time after `time`
+ */
+export function getNextTimeOfDay(time, minutes) {
+    const next = GLib.DateTime.new_local(
+        time.get_year(),
+        time.get_month(),
+        time.get_day_of_month(),
+        Math.floor(minutes / 60),
+        minutes % 60,
+        0);
+    return next.compare(time) > 0 ? next : next.add_days(1);
+}
+
+/**
+ * Whether a time lies within daily quiet hours. Quiet hours may span
+ * midnight; if they start and end at the same time, there are none.
+ *
+ * @param {GLib.DateTime} time - The time.
+ * @param {number} start - The start of the quiet hours.
+ * @param {number} end - The end of the quiet hours.
+ * @returns {boolean}
+ */
+export function isQuietTime(time, start, end) {
+    const minutes = _getMinutes(time);
+
+    if (start < end)
+        return minutes >= start && minutes < end;
+    else if (start > end)
+        return minutes >= start || minutes < end;
+    else
+        return false;
+}
+
+/**
+ * Finds the next time daily quiet hours end.
+ *
+ * @param {GLib.DateTime} time - The time to start from.
+ * @param {number} start - The start of the quiet hours.
+ * @param {number} end - The end of the quiet hours.
+ * @returns {GLib.DateTime|null} the end, or null if there are no quiet hours
+ */
+export function getQuietTimeEnd(time, start, end) {
+    if (start === end)
+        return null;
+
+    return getNextTimeOfDay(time, end);
+}
+
+/**
+ * Finds the reason Do Not Disturb is on, leaving out reasons the user
+ * overrode by turning it off. An override lasts until its reason no
+ * longer applies.
+ *
+ * @param {number[]} reasons - The reasons that apply, most important first.
+ * @param {Set<number>} overridden - The overridden reasons; the ones that
+ *   no longer apply are removed.
+ * @returns {number|null} the reason, or null if there is none
+ */
+export function getActiveReason(reasons, overridden) {
+    for (const reason of overridden) {
+        if (!reasons.includes(reason))
+            overridden.delete(reason);
+    }
+
+    return reasons.find(r => !overridden.has(r)) ?? null;
+}
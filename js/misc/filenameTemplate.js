@@ -0,0 +1,111 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+// Longer names risk running into the file system's limit of 255 bytes
+// once an extension or suffix is appended.
+const MAX_NAME_BYTES = 200;
+
+const _encoder = new TextEncoder();
+
+function _getByteLength(str) {
+    return _encoder.encode(str).length;
+}
+
+/**
+ * Cuts a string to a number of bytes in UTF-8, without splitting characters.
+ *
+ * @param {string} str - The string.
+ * @param {number} maxBytes - The maximum number of bytes.
+ * @returns {string}
+ */
+function _truncate(str, maxBytes) {
+    let result = '';
+    let bytes = 0;
+    for (const c of str) {
+        bytes += _getByteLength(c);
+        if (bytes > maxBytes)
+            break;
+        result += c;
+    }
+    return result;
+}
+
+/**
+ * Removes characters that can't or shouldn't be part of a file name, like
+ * path separators and control characters.
+ *
+ * @param {string} name - The file name.
+ * @returns {string} the sanitized name, which may be empty
+ */
+export function sanitizeFilename(name) {
+    return _truncate(_cleanFilename(name), MAX_NAME_BYTES).trim();
+}
+
+function _cleanFilename(name) {
+    const chars = [...name.replace(/\s+/g, ' ')].filter(c => {
+        const code = c.codePointAt(0);
+        const isSurrogate = code >= 0xd800 && code <= 0xdfff;
+        return code >= 0x20 && code !== 0x7f && !isSurrogate && c !== '/';
+    });
+
+    return chars.join('')
+        .replace(/^[\s.]+/, '')
+        .trim();
+}
+
+/**
+ * Expands the placeholders of a file name template. Unknown placeholders
+ * are left untouched.
+ *
+ * The supported placeholders are:
+ *  - {date}: the date, like 2024-05-21
+ *  - {time}: the time, like 12-24-03
+ *  - {app}: the application name
+ *  - {title}: the window title
+ *  - {counter}: a number that makes the name unique
+ *
+ * @param {string} template - The template.
+ * @param {object} params - The values for the placeholders.
+ * @param {GLib.DateTime} params.dateTime - The time of the capture.
+ * @param {string} [params.appName] - The application name.
+ * @param {string} [params.windowTitle] - The window title.
+ * @param {number} [params.counter] - The counter.
+ * @returns {string} the sanitized file name, without extension
+ */
+export function expandFilenameTemplate(template, params) {
+    const {dateTime, appName = '', windowTitle = '', counter = 1} = params;
+    const values = {
+        date: dateTime.format('%Y-%m-%d'),
+        time: dateTime.format('%H-%M-%S'),
+        app: appName,
+        title: windowTitle,
+        counter: `${counter}`,
+    };
+
+    const expand = () => _cleanFilename(template.replace(/\{(\w+)\}/g,
+        (match, key) => Object.hasOwn(values, key) ? values[key] : match));
+
+    // Shorten the application and title rather than cutting off the end
+    // of long names, so the counter keeps names unique
+    let name = expand();
+    for (const key of ['title', 'app']) {
+        const excess = _getByteLength(name) - MAX_NAME_BYTES;
+        if (excess <= 0)
+            break;
+
+        values[key] = _truncate(values[key],
+            Math.max(_getByteLength(values[key]) - excess, 0));
+        name = expand();
+    }
+
+    return sanitizeFilename(name);
+}
+
+/**
+ * Whether a template makes names unique by itself.
+ *
+ * @param {string} template - The template.
+ * @returns {boolean}
+ */
+export function hasCounter(template) {
+    return template.includes('{counter}');
+}
@@ -0,0 +1,155 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+// User-defined rules for incoming notifications, as stored in the `rules`
+// setting: a list of dictionaries with the keys described in the schema.
+
+/** @enum {string} */
+export const RuleAction = {
+    SUPPRESS: 'suppress',
+    LOW_URGENCY: 'low-urgency',
+    PLAY_SOUND: 'play-sound',
+    EXPAND: 'expand',
+};
+
+/**
+ * @typedef {object} NotificationRule
+ * @property {string|null} appId - The app ID to match, if any.
+ * @property {RegExp|null} title - The pattern to match the title against.
+ * @property {RegExp|null} body - The pattern to match the body against.
+ * @property {RuleAction} action - What to do with matching notifications.
+ * @property {string|null} soundName - A sound from the sound theme.
+ * @property {string|null} soundFile - The path of a sound file.
+ */
+
+function _parsePattern(pattern) {
+    if (!pattern)
+        return null;
+
+    return new RegExp(pattern, 'iu');
+}
+
+/**
+ * Parses a rule.
+ *
+ * @param {object} dict - The unpacked rule from the settings.
+ * @returns {NotificationRule}
+ * @throws {Error} if the rule is invalid
+ */
+export function parseRule(dict) {
+    const {
+        'app-id': appId = null,
+        title = null,
+        body = null,
+        action,
+        'sound-name': soundName = null,
+        'sound-file': soundFile = null,
+    } = dict;
+
+    if (!Object.values(RuleAction).includes(action))
+        throw new Error(`Unknown action “${action}”`);
+
+    if (action === RuleAction.PLAY_SOUND && !soundName && !soundFile)
+        throw new Error('No sound given to play');
+
+    return {
+        appId: appId || null,
+        title: _parsePattern(title),
+        body: _parsePattern(body),
+        action,
+        soundName: soundName || null,
+        soundFile: soundFile || null,
+    };
+}
+
+/**
+ * Parses a list of rules, skipping invalid ones.
+ *
+ * @param {object[]} dicts - The unpacked rules from the settings.
+ * @returns {NotificationRule[]}
+ */
+export function parseRules(dicts) {
+    return dicts.flatMap(dict => {
+        try {
+            return [parseRule(dict)];
+        } catch (e) {
+            console.warn(`Ignoring invalid notification rule: ${e.message}`);
+            return [];
+        }
+    });
+}
+
+/**
+ * Whether a notification matches a rule. All conditions of the rule must
+ * match; a rule without conditions matches all notifications.
+ *
+ * @param {NotificationRule} rule - The rule.
+ * @param {string} appId - The app ID of the notification, or ''.
+ * @param {string} title - The title of the notification.
+ * @param {string} body - The body of the notification.
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, appId, title, body) {
+    if (rule.appId && rule.appId !== appId)
+        return false;
+
+    if (rule.title && !rule.title.test(title))
+        return false;
+
+    if (rule.body && !rule.body.test(body))
+        return false;
+
+    return true;
+}
+
+/**
+ * @typedef {object} RuleEffects
+ * @property {boolean} suppress - Whether to drop the notification.
+ * @property {boolean} lowUrgency - Whether to lower its urgency.
+ * @property {{soundName: string|null, soundFile: string|null}|null} sound -
+ *   The sound to play for it, if any.
+ * @property {boolean} expand - Whether to show it expanded.
+ */
+
+/**
+ * Finds what the matching rules do to a notification. Later sound rules
+ * take precedence over earlier ones.
+ *
+ * @param {NotificationRule[]} rules - The rules.
+ * @param {string} appId - The app ID of the notification, or ''.
+ * @param {string} title - The title of the notification.
+ * @param {string} body - The body of the notification.
+ * @returns {RuleEffects}
+ */
+export function getRuleEffects(rules, appId, title, body) {
+    const effects = {
+        suppress: false,
+        lowUrgency: false,
+        sound: null,
+        expand: false,
+    };
+
+    for (const rule of rules) {
+        if (!ruleMatches(rule, appId, title, body))
+            continue;
+
+        switch (rule.action) {
+        case RuleAction.SUPPRESS:
+            effects.suppress = true;
+            break;
+        case RuleAction.LOW_URGENCY:
+            effects.lowUrgency = true;
+            break;
+        case RuleAction.PLAY_SOUND:
+            effects.sound = {
+                soundName: rule.soundName,
+                soundFile: rule.soundFile,
+            };
+            break;
+        case RuleAction.EXPAND:
+            effects.expand = true;
+            break;
+        }
+    }
+
+    return effects;
+}
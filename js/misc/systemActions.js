@@ -26,6 +26,9 @@ const SUSPEND_ACTION_ID          = 'suspend';
 const SWITCH_USER_ACTION_ID      = 'switch-user';
 const LOCK_ORIENTATION_ACTION_ID = 'lock-orientation';
 const SCREENSHOT_UI_ACTION_ID    = 'open-screenshot-ui';
+const SAVE_WINDOW_LAYOUT_ACTION_ID = 'save-window-layout';
+
+const RESTORE_WINDOW_LAYOUT_KEY = 'restore-window-layout';
 
 let _singleton = null;
 
@@ -149,6 +152,14 @@ const SystemActions = GObject.registerClass({
             keywords: tokenizeKeywords(_('screenshot;screencast;snip;capture;record')),
             available: true,
         });
+        this._actions.set(SAVE_WINDOW_LAYOUT_ACTION_ID, {
+            // Translators: The name of the save window layout action in search
+            name: C_('search-result', 'Save Window Layout'),
+            iconName: 'view-grid-symbolic',
+            // Translators: A list of keywords that match the save window layout action, separated by semicolons
+            keywords: tokenizeKeywords(_('save layout;window layout;windows;session')),
+            available: false,
+        });
 
         this._loginScreenSettings = new Gio.Settings({schema_id: LOGIN_SCREEN_SCHEMA});
         this._lockdownSettings = new Gio.Settings({schema_id: LOCKDOWN_SCHEMA});
@@ -179,6 +190,9 @@ const SystemActions = GObject.registerClass({
         this._lockdownSettings.connect(`changed::${DISABLE_LOCK_SCREEN_KEY}`,
             () => this._updateLockScreen());
 
+        global.settings.connect(`changed::${RESTORE_WINDOW_LAYOUT_KEY}`,
+            () => this._updateSaveWindowLayout());
+
         this._lockdownSettings.connect(`changed::${DISABLE_LOG_OUT_KEY}`,
             () => this._updateHaveShutdown());
 
@@ -263,6 +277,7 @@ const SystemActions = GObject.registerClass({
         this._updatePowerOff();
         this._updateSuspend();
         this._updateMultiUser();
+        this._updateSaveWindowLayout();
     }
 
     forceUpdate() {
@@ -326,6 +341,9 @@ const SystemActions = GObject.registerClass({
         case SCREENSHOT_UI_ACTION_ID:
             this.activateScreenshotUI();
             break;
+        case SAVE_WINDOW_LAYOUT_ACTION_ID:
+            this.activateSaveWindowLayout();
+            break;
         }
     }
 
@@ -336,6 +354,12 @@ const SystemActions = GObject.registerClass({
         this.notify('can-lock-screen');
     }
 
+    _updateSaveWindowLayout() {
+        const enabled = global.settings.get_boolean(RESTORE_WINDOW_LAYOUT_KEY);
+        this._actions.get(SAVE_WINDOW_LAYOUT_ACTION_ID).available =
+            enabled && Main.sessionMode.hasWorkspaces && !Main.sessionMode.isLocked;
+    }
+
     async _updateHaveShutdown() {
         try {
             const [canShutdown] = await this._session.CanShutdownAsync();
@@ -478,4 +502,14 @@ const SystemActions = GObject.registerClass({
             Screenshot.showScreenshotUI();
         });
     }
+
+    activateSaveWindowLayout() {
+        if (!this._actions.get(SAVE_WINDOW_LAYOUT_ACTION_ID).available)
+            throw new Error('The save-window-layout action is not available!');
+
+        Main.wm.saveWindowLayout();
+
+        const icon = new Gio.ThemedIcon({name: 'view-grid-symbolic'});
+        Main.osdWindowManager.show(-1, icon, _('Window Layout Saved'));
+    }
 });
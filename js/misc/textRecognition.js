@@ -0,0 +1,64 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_async');
+
+const TESSERACT = 'tesseract';
+
+/**
+ * Whether a text recognition engine is installed.
+ *
+ * @returns {boolean}
+ */
+export function isAvailable() {
+    return GLib.find_program_in_path(TESSERACT) !== null;
+}
+
+/**
+ * Tidies up the output of the text recognition engine: removes page breaks
+ * and trailing whitespace, and collapses runs of empty lines.
+ *
+ * @param {string} text - The recognized text.
+ * @returns {string} the cleaned up text
+ */
+export function cleanRecognizedText(text) {
+    return text
+        .replace(/\f/g, '')
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Recognizes the text in an image.
+ *
+ * @param {GLib.Bytes} bytes - The PNG-encoded image.
+ * @param {string} [languages] - The languages to recognize, as Tesseract
+ *   language codes joined by '+', like 'eng+deu'. Uses the engine's default
+ *   if empty.
+ * @param {Gio.Cancellable} [cancellable] - A cancellable.
+ * @returns {Promise<string>} the recognized text, which may be empty
+ */
+export async function recognizeText(bytes, languages = '', cancellable = null) {
+    const argv = [TESSERACT, 'stdin', 'stdout'];
+    if (languages)
+        argv.push('-l', languages);
+
+    const proc = Gio.Subprocess.new(argv,
+        Gio.SubprocessFlags.STDIN_PIPE |
+        Gio.SubprocessFlags.STDOUT_PIPE |
+        Gio.SubprocessFlags.STDERR_PIPE);
+    const [, stdout, stderr] = await proc.communicate_async(bytes, cancellable);
+
+    const decoder = new TextDecoder();
+    if (!proc.get_successful()) {
+        const message = stderr ? decoder.decode(stderr.toArray()).trim() : '';
+        throw new Error(`Text recognition failed: ${message}`);
+    }
+
+    return cleanRecognizedText(stdout ? decoder.decode(stdout.toArray()) : '');
+}
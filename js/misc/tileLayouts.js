@@ -0,0 +1,152 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+// Layouts divide the work area of a monitor into a grid of cells; each slot
+// of a layout covers a rectangle of cells.
+
+/**
+ * @typedef {object} Slot
+ * @property {number} x - The first column of the slot.
+ * @property {number} y - The first row of the slot.
+ * @property {number} width - The number of columns the slot covers.
+ * @property {number} height - The number of rows the slot covers.
+ */
+
+/**
+ * @typedef {object} Layout
+ * @property {string} id - A unique ID.
+ * @property {number} columns - The number of columns of the grid.
+ * @property {number} rows - The number of rows of the grid.
+ * @property {Slot[]} slots - The slots of the layout.
+ */
+
+/**
+ * @typedef {object} Rect
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/** @type {Layout[]} */
+export const LAYOUTS = [{
+    id: 'halves',
+    columns: 2,
+    rows: 1,
+    slots: [
+        {x: 0, y: 0, width: 1, height: 1},
+        {x: 1, y: 0, width: 1, height: 1},
+    ],
+}, {
+    id: 'two-thirds-left',
+    columns: 3,
+    rows: 1,
+    slots: [
+        {x: 0, y: 0, width: 2, height: 1},
+        {x: 2, y: 0, width: 1, height: 1},
+    ],
+}, {
+    id: 'two-thirds-right',
+    columns: 3,
+    rows: 1,
+    slots: [
+        {x: 0, y: 0, width: 1, height: 1},
+        {x: 1, y: 0, width: 2, height: 1},
+    ],
+}, {
+    id: 'thirds',
+    columns: 3,
+    rows: 1,
+    slots: [
+        {x: 0, y: 0, width: 1, height: 1},
+        {x: 1, y: 0, width: 1, height: 1},
+        {x: 2, y: 0, width: 1, height: 1},
+    ],
+}, {
+    id: 'half-and-quarters',
+    columns: 2,
+    rows: 2,
+    slots: [
+        {x: 0, y: 0, width: 1, height: 2},
+        {x: 1, y: 0, width: 1, height: 1},
+        {x: 1, y: 1, width: 1, height: 1},
+    ],
+}, {
+    id: 'quarters',
+    columns: 2,
+    rows: 2,
+    slots: [
+        {x: 0, y: 0, width: 1, height: 1},
+        {x: 1, y: 0, width: 1, height: 1},
+        {x: 0, y: 1, width: 1, height: 1},
+        {x: 1, y: 1, width: 1, height: 1},
+    ],
+}];
+
+// How far from a corner along an edge of the work area dragging a window
+// tiles it to a quarter, as a fraction of the length of the edge
+const CORNER_FRACTION = 1 / 4;
+
+/**
+ * @param {string} id - The ID of a layout.
+ * @returns {Layout|null} the layout, if it exists
+ */
+export function getLayout(id) {
+    return LAYOUTS.find(l => l.id === id) ?? null;
+}
+
+/**
+ * Computes the area of a slot. The areas of neighboring slots share their
+ * edges, so there are no gaps between them.
+ *
+ * @param {Layout} layout - The layout.
+ * @param {Slot} slot - A slot of the layout.
+ * @param {Rect} workArea - The area the layout divides.
+ * @returns {Rect}
+ */
+export function getSlotRect(layout, slot, workArea) {
+    const x1 = Math.round(workArea.width * slot.x / layout.columns);
+    const y1 = Math.round(workArea.height * slot.y / layout.rows);
+    const x2 = Math.round(workArea.width * (slot.x + slot.width) / layout.columns);
+    const y2 = Math.round(workArea.height * (slot.y + slot.height) / layout.rows);
+
+    return {
+        x: workArea.x + x1,
+        y: workArea.y + y1,
+        width: x2 - x1,
+        height: y2 - y1,
+    };
+}
+
+/**
+ * Finds the quarter a window is tiled to when dragged to a point near a
+ * corner of the work area: that is, close to an edge and to the end of
+ * that edge.
+ *
+ * @param {number} x - The X coordinate of the pointer.
+ * @param {number} y - The Y coordinate of the pointer.
+ * @param {Rect} workArea - The work area of the monitor under the pointer.
+ * @param {number} threshold - How close to an edge the pointer must be.
+ * @returns {Slot|null} the slot of the `quarters` layout, if any
+ */
+export function getCornerSlot(x, y, workArea, threshold) {
+    const atSide =
+        x < workArea.x + threshold ||
+        x >= workArea.x + workArea.width - threshold;
+    const atTopOrBottom =
+        y < workArea.y + threshold ||
+        y >= workArea.y + workArea.height - threshold;
+    const nearSide =
+        x < workArea.x + workArea.width * CORNER_FRACTION ||
+        x >= workArea.x + workArea.width * (1 - CORNER_FRACTION);
+    const nearTopOrBottom =
+        y < workArea.y + workArea.height * CORNER_FRACTION ||
+        y >= workArea.y + workArea.height * (1 - CORNER_FRACTION);
+
+    if (!(atSide && nearTopOrBottom) && !(atTopOrBottom && nearSide))
+        return null;
+
+    const column = x < workArea.x + workArea.width / 2 ? 0 : 1;
+    const row = y < workArea.y + workArea.height / 2 ? 0 : 1;
+    const {slots} = getLayout('quarters');
+    return slots.find(s => s.x === column && s.y === row);
+}
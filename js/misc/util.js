@@ -388,6 +388,15 @@ export class DBusSenderChecker {
             this._resolveInitialized();
     }
 
+    /**
+     * The unique bus names of the allowed names that are currently owned.
+     *
+     * @type {string[]}
+     */
+    get allowedSenders() {
+        return [...this._allowlistMap.values()];
+    }
+
     /**
      * @async
      * @param {string} sender - the bus name that invoked the checked method
@@ -0,0 +1,95 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+// Recorded places of windows, used to put windows back where they were
+// after a restart or a new login. Placements are identified by the app
+// (or window class) and the title of their window.
+
+import {TilePosition} from './windowRules.js';
+
+/**
+ * @typedef {object} WindowPlacement
+ * @property {string} appId - The ID of the app of the window, or ''.
+ * @property {string} wmClass - The window class, or ''.
+ * @property {string} title - The title of the window.
+ * @property {number} monitor - The index of the monitor of the window.
+ * @property {number} workspace - The index of the workspace of the window.
+ * @property {number} x - The X position, relative to the work area.
+ * @property {number} y - The Y position, relative to the work area.
+ * @property {number} width - The width of the window frame.
+ * @property {number} height - The height of the window frame.
+ * @property {number} maximized - The {Meta.MaximizeFlags} of the window.
+ * @property {string} tile - The {TilePosition} of a tiled window, or ''.
+ * @property {boolean} fullscreen - Whether the window is fullscreen.
+ * @property {boolean} above - Whether the window is always on top.
+ * @property {boolean} sticky - Whether the window is on all workspaces.
+ * @property {number} lastSeen - When the placement was last recorded, in
+ *   microseconds since the epoch.
+ */
+
+/**
+ * @param {WindowPlacement} placement - A placement.
+ * @returns {string} the key windows match the placement by
+ */
+function _getKey(placement) {
+    return placement.appId || placement.wmClass;
+}
+
+/**
+ * Finds the placement of a window that is opened again. Only placements
+ * of the same app (or window class, for windows without app) match; of
+ * those, one with the same title is preferred, and then the most recent
+ * one.
+ *
+ * @param {WindowPlacement[]} placements - The recorded placements.
+ * @param {object} window - The window to find a placement for.
+ * @param {string} window.appId - The ID of the app of the window, or ''.
+ * @param {string} window.wmClass - The window class, or ''.
+ * @param {string} window.title - The title of the window.
+ * @param {Set<WindowPlacement>} [taken] - Placements used by other windows.
+ * @returns {WindowPlacement|null} the placement, if any matches
+ */
+export function findPlacement(placements, window, taken = new Set()) {
+    const key = _getKey(window);
+    if (!key)
+        return null;
+
+    const candidates = placements
+        .filter(p => _getKey(p) === key && !taken.has(p))
+        .sort((a, b) => b.lastSeen - a.lastSeen);
+
+    return candidates.find(p => p.title === window.title) ??
+        candidates[0] ?? null;
+}
+
+/**
+ * Drops the placements that were seen the longest time ago.
+ *
+ * @param {WindowPlacement[]} placements - The recorded placements.
+ * @param {number} maxPlacements - How many placements to keep.
+ * @returns {WindowPlacement[]} the kept placements, most recent first
+ */
+export function prunePlacements(placements, maxPlacements) {
+    return [...placements]
+        .sort((a, b) => b.lastSeen - a.lastSeen)
+        .slice(0, maxPlacements);
+}
+
+/**
+ * Finds the side of the work area a window that is maximized vertically
+ * is tiled to.
+ *
+ * @param {object} rect - The frame rectangle of the window.
+ * @param {object} workArea - The work area of the monitor of the window.
+ * @returns {string} {TilePosition.LEFT} or {TilePosition.RIGHT} for
+ *   windows at one side of the work area only, '' otherwise
+ */
+export function getTileSide(rect, workArea) {
+    const atLeft = rect.x === workArea.x;
+    const atRight = rect.x + rect.width === workArea.x + workArea.width;
+
+    if (atLeft && !atRight)
+        return TilePosition.LEFT;
+    if (atRight && !atLeft)
+        return TilePosition.RIGHT;
+    return '';
+}
@@ -0,0 +1,211 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+// User-defined rules for windows, as stored in the `window-rules` setting:
+// a list of dictionaries with the keys described in the schema.
+
+import {getLayout} from './tileLayouts.js';
+
+/** @enum {string} */
+export const TilePosition = {
+    LEFT: 'left',
+    RIGHT: 'right',
+    TOP_LEFT: 'top-left',
+    TOP_RIGHT: 'top-right',
+    BOTTOM_LEFT: 'bottom-left',
+    BOTTOM_RIGHT: 'bottom-right',
+};
+
+const TILE_SLOTS = {
+    [TilePosition.LEFT]: ['halves', 0],
+    [TilePosition.RIGHT]: ['halves', 1],
+    [TilePosition.TOP_LEFT]: ['quarters', 0],
+    [TilePosition.TOP_RIGHT]: ['quarters', 1],
+    [TilePosition.BOTTOM_LEFT]: ['quarters', 2],
+    [TilePosition.BOTTOM_RIGHT]: ['quarters', 3],
+};
+
+/**
+ * What rules do to matching windows; unset properties are `null`.
+ *
+ * @typedef {object} WindowSettings
+ * @property {number|null} workspace - The index of the workspace to put
+ *   the window on.
+ * @property {number|null} monitor - The index of the monitor to put the
+ *   window on.
+ * @property {boolean|null} maximized - Whether to maximize the window.
+ * @property {TilePosition|null} tile - Where to tile the window.
+ * @property {boolean|null} above - Whether to keep the window on top.
+ * @property {boolean|null} skipOverview - Whether to leave the window out
+ *   of the overview.
+ * @property {boolean|null} skipSwitcher - Whether to leave the window out
+ *   of the window and app switchers.
+ */
+
+/**
+ * @typedef {object} WindowRule
+ * @property {string|null} appId - The app ID to match, if any.
+ * @property {string|null} wmClass - The window class to match, if any.
+ * @property {RegExp|null} title - The pattern to match the title against.
+ * @property {WindowSettings} settings - What to do with matching windows.
+ */
+
+function _stripDesktopSuffix(appId) {
+    return appId.replace(/\.desktop$/, '');
+}
+
+function _parseNumber(value, name) {
+    if (value === null)
+        return null;
+
+    if (!Number.isInteger(value) || value < 1)
+        throw new Error(`Invalid ${name} “${value}”`);
+
+    // Rules count from 1, like workspace and monitor names do
+    return value - 1;
+}
+
+function _parseBoolean(value, name) {
+    if (value !== null && typeof value !== 'boolean')
+        throw new Error(`Invalid value “${value}” for “${name}”`);
+
+    return value;
+}
+
+/**
+ * Parses a rule.
+ *
+ * @param {object} dict - The unpacked rule from the settings.
+ * @returns {WindowRule}
+ * @throws {Error} if the rule is invalid
+ */
+export function parseRule(dict) {
+    const {
+        'app-id': appId = null,
+        'wm-class': wmClass = null,
+        title = null,
+        workspace = null,
+        monitor = null,
+        maximized = null,
+        tile = null,
+        above = null,
+        'skip-overview': skipOverview = null,
+        'skip-switcher': skipSwitcher = null,
+    } = dict;
+
+    if (tile !== null && !Object.values(TilePosition).includes(tile))
+        throw new Error(`Unknown tile position “${tile}”`);
+
+    if (tile !== null && maximized)
+        throw new Error('Windows cannot be both maximized and tiled');
+
+    const settings = {
+        workspace: _parseNumber(workspace, 'workspace'),
+        monitor: _parseNumber(monitor, 'monitor'),
+        maximized: _parseBoolean(maximized, 'maximized'),
+        tile,
+        above: _parseBoolean(above, 'above'),
+        skipOverview: _parseBoolean(skipOverview, 'skip-overview'),
+        skipSwitcher: _parseBoolean(skipSwitcher, 'skip-switcher'),
+    };
+
+    if (Object.values(settings).every(value => value === null))
+        throw new Error('Rule does not do anything');
+
+    return {
+        appId: appId ? _stripDesktopSuffix(appId) : null,
+        wmClass: wmClass ? wmClass.toLowerCase() : null,
+        title: title ? new RegExp(title, 'iu') : null,
+        settings,
+    };
+}
+
+/**
+ * Parses a list of rules, skipping invalid ones.
+ *
+ * @param {object[]} dicts - The unpacked rules from the settings.
+ * @returns {WindowRule[]}
+ */
+export function parseRules(dicts) {
+    return dicts.flatMap(dict => {
+        try {
+            return [parseRule(dict)];
+        } catch (e) {
+            console.warn(`Ignoring invalid window rule: ${e.message}`);
+            return [];
+        }
+    });
+}
+
+/**
+ * Whether a window matches a rule. All conditions of the rule must match;
+ * a rule without conditions matches all windows.
+ *
+ * @param {WindowRule} rule - The rule.
+ * @param {string} appId - The app ID of the window, or ''.
+ * @param {string} wmClass - The window class, or ''.
+ * @param {string} title - The title of the window.
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, appId, wmClass, title) {
+    if (rule.appId && rule.appId !== _stripDesktopSuffix(appId))
+        return false;
+
+    if (rule.wmClass && rule.wmClass !== wmClass.toLowerCase())
+        return false;
+
+    if (rule.title && !rule.title.test(title))
+        return false;
+
+    return true;
+}
+
+/**
+ * Combines the settings of all rules a window matches; later rules
+ * override the settings of earlier ones.
+ *
+ * @param {WindowRule[]} rules - The rules.
+ * @param {string} appId - The app ID of the window, or ''.
+ * @param {string} wmClass - The window class, or ''.
+ * @param {string} title - The title of the window.
+ * @returns {WindowSettings}
+ */
+export function getWindowSettings(rules, appId, wmClass, title) {
+    const settings = {
+        workspace: null,
+        monitor: null,
+        maximized: null,
+        tile: null,
+        above: null,
+        skipOverview: null,
+        skipSwitcher: null,
+    };
+
+    for (const rule of rules) {
+        if (!ruleMatches(rule, appId, wmClass, title))
+            continue;
+
+        for (const [key, value] of Object.entries(rule.settings)) {
+            if (value !== null)
+                settings[key] = value;
+        }
+
+        // Maximizing and tiling exclude each other
+        if (rule.settings.maximized)
+            settings.tile = null;
+        if (rule.settings.tile !== null)
+            settings.maximized = null;
+    }
+
+    return settings;
+}
+
+/**
+ * @param {TilePosition} position - A tile position.
+ * @returns {{layout: object, slot: object}} the layout and slot of the
+ *   tile, as in `tileLayouts.js`
+ */
+export function getTileSlot(position) {
+    const [layoutId, slotIndex] = TILE_SLOTS[position];
+    const layout = getLayout(layoutId);
+    return {layout, slot: layout.slots[slotIndex]};
+}
@@ -0,0 +1,166 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import Gio from 'gi://Gio';
+
+import * as Signals from './signals.js';
+
+const WM_PREFERENCES_SCHEMA = 'org.gnome.desktop.wm.preferences';
+const NAMES_KEY = 'workspace-names';
+
+const SHELL_SCHEMA = 'org.gnome.shell';
+const BACKGROUNDS_KEY = 'workspace-backgrounds';
+
+let _workspaceSettings = null;
+
+/**
+ * Updates a list of items by workspace index for a workspace that was
+ * inserted.
+ *
+ * @param {string[]} list - The items by workspace index.
+ * @param {number} index - The index of the new workspace.
+ * @returns {string[]} the updated list
+ */
+export function insertWorkspace(list, index) {
+    if (index >= list.length)
+        return [...list];
+    return [...list.slice(0, index), '', ...list.slice(index)];
+}
+
+/**
+ * Updates a list of items by workspace index for workspaces that were
+ * removed.
+ *
+ * @param {string[]} list - The items by workspace index.
+ * @param {number} index - The index of the first removed workspace.
+ * @param {number} count - The number of removed workspaces.
+ * @returns {string[]} the updated list
+ */
+export function removeWorkspaces(list, index, count) {
+    return [...list.slice(0, index), ...list.slice(index + count)];
+}
+
+/**
+ * Updates a list of items by workspace index for workspaces that were
+ * reordered.
+ *
+ * @param {string[]} list - The items by workspace index.
+ * @param {number[]} oldIndices - The former indices of the workspaces,
+ *   in their new order.
+ * @returns {string[]} the updated list
+ */
+export function reorderWorkspaces(list, oldIndices) {
+    return [
+        ...oldIndices.map(i => list[i] ?? ''),
+        ...list.slice(oldIndices.length),
+    ];
+}
+
+/**
+ * @returns {WorkspaceSettings}
+ */
+export function getWorkspaceSettings() {
+    if (_workspaceSettings == null)
+        _workspaceSettings = new WorkspaceSettings();
+    return _workspaceSettings;
+}
+
+/**
+ * The names and backgrounds of workspaces, stored as lists by workspace
+ * index. Names are shared with the window manager preferences.
+ *
+ * When workspaces are inserted, removed or reordered, the lists are
+ * updated to match, so names and backgrounds stay with their workspace.
+ */
+class WorkspaceSettings extends Signals.EventEmitter {
+    constructor() {
+        super();
+
+        this._wmSettings = new Gio.Settings({schema_id: WM_PREFERENCES_SCHEMA});
+        this._wmSettings.connect(`changed::${NAMES_KEY}`,
+            () => this.emit('names-changed'));
+
+        this._shellSettings = new Gio.Settings({schema_id: SHELL_SCHEMA});
+        this._shellSettings.connect(`changed::${BACKGROUNDS_KEY}`,
+            () => this.emit('backgrounds-changed'));
+    }
+
+    _getNames() {
+        return this._wmSettings.get_strv(NAMES_KEY);
+    }
+
+    _getBackgrounds() {
+        return this._shellSettings.get_strv(BACKGROUNDS_KEY);
+    }
+
+    _updateLists(func) {
+        const trim = list => {
+            while (list.length > 0 && list.at(-1) === '')
+                list.pop();
+            return list;
+        };
+
+        const update = (settings, key) => {
+            const oldList = trim(settings.get_strv(key));
+            const newList = trim(func([...oldList]));
+            if (newList.length !== oldList.length ||
+                newList.some((item, i) => item !== oldList[i]))
+                settings.set_strv(key, newList);
+        };
+
+        update(this._wmSettings, NAMES_KEY);
+        update(this._shellSettings, BACKGROUNDS_KEY);
+    }
+
+    /**
+     * @param {number} index - The index of a workspace.
+     * @returns {string} the name of the workspace, or '' if it has none
+     */
+    getName(index) {
+        return this._getNames()[index] ?? '';
+    }
+
+    /**
+     * @returns {number} the index of the last workspace with a name, or -1
+     */
+    getLastNamedIndex() {
+        return this._getNames().findLastIndex(name => name !== '');
+    }
+
+    /**
+     * @param {number} index - The index of a workspace.
+     * @returns {string} the URI of the background of the workspace, or ''
+     *   if it uses the default background
+     */
+    getBackground(index) {
+        return this._getBackgrounds()[index] ?? '';
+    }
+
+    /**
+     * Shifts names and backgrounds for a workspace that was inserted.
+     *
+     * @param {number} index - The index of the new workspace.
+     */
+    insertWorkspace(index) {
+        this._updateLists(list => insertWorkspace(list, index));
+    }
+
+    /**
+     * Drops names and backgrounds of workspaces that were removed.
+     *
+     * @param {number} index - The index of the first removed workspace.
+     * @param {number} count - The number of removed workspaces.
+     */
+    removeWorkspaces(index, count) {
+        this._updateLists(list => removeWorkspaces(list, index, count));
+    }
+
+    /**
+     * Reorders names and backgrounds like the workspaces.
+     *
+     * @param {number[]} oldIndices - The former indices of the workspaces,
+     *   in their new order.
+     */
+    reorderWorkspaces(oldIndices) {
+        this._updateLists(list => reorderWorkspaces(list, oldIndices));
+    }
+}
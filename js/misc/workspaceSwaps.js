@@ -0,0 +1,51 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+// While a secondary monitor shows workspace W and workspace A is active,
+// the windows of that monitor that belong to W are parked on A, and the ones
+// that belong to A are parked on W; see MonitorWorkspaceManager.
+
+/**
+ * Swaps two workspaces.
+ *
+ * @param {Meta.Workspace} workspace - The workspace to swap.
+ * @param {Meta.Workspace} first - One of the swapped workspaces.
+ * @param {Meta.Workspace} second - The other swapped workspace.
+ * @returns {Meta.Workspace} `second` for `first` and the other way around,
+ *   `workspace` for all other workspaces
+ */
+export function swapWorkspaces(workspace, first, second) {
+    if (workspace === first)
+        return second;
+    if (workspace === second)
+        return first;
+    return workspace;
+}
+
+/**
+ * @typedef {object} MonitorState
+ * @property {Meta.Workspace} workspace - The workspace the monitor shows.
+ * @property {Meta.Workspace} activeWorkspace - The active workspace.
+ */
+
+/**
+ * Finds the windows of a monitor that have to be moved when the monitor
+ * or the active workspace switches.
+ *
+ * @param {Meta.Window[]} windows - The windows of the monitor.
+ * @param {MonitorState} oldState - The state the windows are parked for.
+ * @param {MonitorState} newState - The state to park the windows for.
+ * @param {Meta.Window} [movingWindow] - A window that is taken along to the
+ *   new workspace of the monitor.
+ * @returns {Array<[Meta.Window, Meta.Workspace]>} the windows and the
+ *   workspaces to put them on
+ */
+export function getWindowMoves(windows, oldState, newState, movingWindow = null) {
+    return windows.map(window => {
+        const windowWorkspace = window === movingWindow
+            ? newState.workspace
+            : swapWorkspaces(window.get_workspace(),
+                oldState.workspace, oldState.activeWorkspace);
+        return [window, swapWorkspaces(windowWorkspace,
+            newState.workspace, newState.activeWorkspace)];
+    }).filter(([window, target]) => window.get_workspace() !== target);
+}
@@ -58,8 +58,11 @@ function getWindows(workspace) {
     // ... map windows to their parent where appropriate ...
     return windows.map(w => {
         return w.is_attached_dialog() ? w.get_transient_for() : w;
-    // ... and filter out skip-taskbar windows and duplicates
-    }).filter((w, i, a) => !w.skip_taskbar && a.indexOf(w) === i);
+    // ... and filter out skip-taskbar windows, windows that rules keep out
+    // of switchers, and duplicates
+    }).filter((w, i, a) => !w.skip_taskbar &&
+        !Main.wm.getWindowRuleSettings(w).skipSwitcher &&
+        a.indexOf(w) === i);
 }
 
 export const AppSwitcherPopup = GObject.registerClass(
@@ -10,7 +10,8 @@
 //   the specified container. When the background is changed by the
 //   user it will fade out the old actor and fade in the new actor.
 //   (This is separate from the fading for an animated background,
-//   since using two actors is quite inefficient.)
+//   since using two actors is quite inefficient.) When given a workspace
+//   with a background of its own, it shows that background instead.
 //
 // MetaBackgroundImage
 //   An object represented an image file that will be used for drawing
@@ -106,6 +107,7 @@ import * as Signals from '../misc/signals.js';
 import * as LoginManager from '../misc/loginManager.js';
 import * as Main from './main.js';
 import * as Params from '../misc/params.js';
+import * as WorkspaceSettings from '../misc/workspaceSettings.js';
 
 const DEFAULT_BACKGROUND_COLOR = Clutter.Color.from_pixel(0x2e3436ff);
 
@@ -561,7 +563,7 @@ class BackgroundSource {
         this._layoutManager = layoutManager;
         this._overrideImage = GLib.getenv('SHELL_BACKGROUND_IMAGE');
         this._settings = new Gio.Settings({schema_id: settingsSchema});
-        this._backgrounds = [];
+        this._backgrounds = {};
 
         const monitorManager = global.backend.get_monitor_manager();
         this._monitorsChangedId =
@@ -569,23 +571,52 @@ class BackgroundSource {
                 this._onMonitorsChanged.bind(this));
 
         this._interfaceSettings = new Gio.Settings({schema_id: INTERFACE_SCHEMA});
+
+        WorkspaceSettings.getWorkspaceSettings().connectObject(
+            'backgrounds-changed', this._onWorkspaceBackgroundsChanged.bind(this),
+            this);
+    }
+
+    _removeBackground(key) {
+        let background = this._backgrounds[key];
+        background.disconnect(background._changedId);
+        background.destroy();
+        delete this._backgrounds[key];
     }
 
     _onMonitorsChanged() {
-        for (let monitorIndex in this._backgrounds) {
-            let background = this._backgrounds[monitorIndex];
+        for (let key in this._backgrounds) {
+            let background = this._backgrounds[key];
 
-            if (monitorIndex < this._layoutManager.monitors.length) {
+            if (background._monitorIndex < this._layoutManager.monitors.length)
                 background.updateResolution();
-            } else {
-                background.disconnect(background._changedId);
-                background.destroy();
-                delete this._backgrounds[monitorIndex];
-            }
+            else
+                this._removeBackground(key);
         }
     }
 
-    getBackground(monitorIndex) {
+    _onWorkspaceBackgroundsChanged() {
+        // Drop the backgrounds of workspaces that changed theirs
+        const workspaceSettings = WorkspaceSettings.getWorkspaceSettings();
+        const uris = [];
+        for (let i = 0; i < global.workspace_manager.n_workspaces; i++)
+            uris.push(workspaceSettings.getBackground(i));
+
+        for (let key in this._backgrounds) {
+            const background = this._backgrounds[key];
+            if (background._workspaceUri &&
+                !uris.includes(background._workspaceUri))
+                this._removeBackground(key);
+        }
+    }
+
+    /**
+     * @param {number} monitorIndex - The monitor to get the background of.
+     * @param {Gio.File} [workspaceFile] - The background of a workspace,
+     *   to show instead of the one from the settings.
+     * @returns {Background}
+     */
+    getBackground(monitorIndex, workspaceFile = null) {
         let file = null;
         let style;
 
@@ -596,6 +627,11 @@ class BackgroundSource {
         if (this._overrideImage != null) {
             file = Gio.File.new_for_path(this._overrideImage);
             style = GDesktopEnums.BackgroundStyle.ZOOM; // Hardcode
+        } else if (workspaceFile) {
+            file = workspaceFile;
+            style = this._settings.get_enum(BACKGROUND_STYLE_KEY);
+            if (style === GDesktopEnums.BackgroundStyle.NONE)
+                style = GDesktopEnums.BackgroundStyle.ZOOM;
         } else {
             style = this._settings.get_enum(BACKGROUND_STYLE_KEY);
             if (style !== GDesktopEnums.BackgroundStyle.NONE) {
@@ -616,7 +652,10 @@ class BackgroundSource {
         if (file == null || !file.get_basename().endsWith('.xml'))
             monitorIndex = 0;
 
-        if (!(monitorIndex in this._backgrounds)) {
+        const workspaceUri = workspaceFile?.get_uri() ?? null;
+        const key = workspaceUri ? `${monitorIndex}:${workspaceUri}` : `${monitorIndex}`;
+
+        if (!(key in this._backgrounds)) {
             let background = new Background({
                 monitorIndex,
                 layoutManager: this._layoutManager,
@@ -624,25 +663,28 @@ class BackgroundSource {
                 file,
                 style,
             });
+            background._workspaceUri = workspaceUri;
 
             background._changedId = background.connect('bg-changed', () => {
                 background.disconnect(background._changedId);
                 background.destroy();
-                delete this._backgrounds[monitorIndex];
+                delete this._backgrounds[key];
             });
 
-            this._backgrounds[monitorIndex] = background;
+            this._backgrounds[key] = background;
         }
 
-        return this._backgrounds[monitorIndex];
+        return this._backgrounds[key];
     }
 
     destroy() {
         const monitorManager = global.backend.get_monitor_manager();
         monitorManager.disconnect(this._monitorsChangedId);
 
-        for (let monitorIndex in this._backgrounds) {
-            let background = this._backgrounds[monitorIndex];
+        WorkspaceSettings.getWorkspaceSettings().disconnectObject(this);
+
+        for (let key in this._backgrounds) {
+            let background = this._backgrounds[key];
             background.disconnect(background._changedId);
             background.destroy();
         }
@@ -702,6 +744,7 @@ export class BackgroundManager extends Signals.EventEmitter {
             controlPosition: true,
             settingsSchema: BACKGROUND_SCHEMA,
             useContentSize: true,
+            workspace: null,
         });
 
         let cache = getBackgroundCache();
@@ -715,11 +758,67 @@ export class BackgroundManager extends Signals.EventEmitter {
         this._controlPosition = params.controlPosition;
         this._useContentSize = params.useContentSize;
 
+        this._workspace = null;
+        this._setWorkspace(params.workspace);
+        this._workspaceFile = this._getWorkspaceFile();
+
+        WorkspaceSettings.getWorkspaceSettings().connectObject(
+            'backgrounds-changed', () => this._updateWorkspaceFile(true), this);
+
         this.backgroundActor = this._createBackgroundActor();
         this._newBackgroundActor = null;
     }
 
+    /**
+     * The workspace whose background is shown, if it has its own.
+     *
+     * @type {Meta.Workspace|null}
+     */
+    get workspace() {
+        return this._workspace;
+    }
+
+    set workspace(workspace) {
+        if (this._workspace === workspace)
+            return;
+
+        this._setWorkspace(workspace);
+
+        // Workspaces switch with their own animation, so the background
+        // switches right away
+        this._updateWorkspaceFile(false);
+    }
+
+    _setWorkspace(workspace) {
+        this._workspace?.disconnectObject(this);
+        this._workspace = workspace;
+        this._workspace?.connectObject('notify::workspace-index',
+            () => this._updateWorkspaceFile(true), this);
+    }
+
+    _getWorkspaceFile() {
+        if (!this._workspace)
+            return null;
+
+        const uri = WorkspaceSettings.getWorkspaceSettings().getBackground(
+            this._workspace.index());
+        return uri ? Gio.File.new_for_commandline_arg(uri) : null;
+    }
+
+    _updateWorkspaceFile(animate) {
+        const file = this._getWorkspaceFile();
+        if (_fileEqual0(file, this._workspaceFile))
+            return;
+
+        this._workspaceFile = file;
+        if (this.backgroundActor)
+            this._updateBackgroundActor(animate);
+    }
+
     destroy() {
+        WorkspaceSettings.getWorkspaceSettings().disconnectObject(this);
+        this._setWorkspace(null);
+
         let cache = getBackgroundCache();
         cache.releaseBackgroundSource(this._settingsSchema);
         this._backgroundSource = null;
@@ -735,13 +834,13 @@ export class BackgroundManager extends Signals.EventEmitter {
         }
     }
 
-    _swapBackgroundActor() {
+    _swapBackgroundActor(animate) {
         let oldBackgroundActor = this.backgroundActor;
         this.backgroundActor = this._newBackgroundActor;
         this._newBackgroundActor = null;
         this.emit('changed');
 
-        if (Main.layoutManager.screenTransition.visible) {
+        if (!animate || Main.layoutManager.screenTransition.visible) {
             oldBackgroundActor.destroy();
             return;
         }
@@ -754,7 +853,7 @@ export class BackgroundManager extends Signals.EventEmitter {
         });
     }
 
-    _updateBackgroundActor() {
+    _updateBackgroundActor(animate = true) {
         if (this._newBackgroundActor) {
             /* Skip displaying existing background queued for load */
             this._newBackgroundActor.destroy();
@@ -776,20 +875,21 @@ export class BackgroundManager extends Signals.EventEmitter {
         const {background} = newBackgroundActor.content;
 
         if (background.isLoaded) {
-            this._swapBackgroundActor();
+            this._swapBackgroundActor(animate);
         } else {
             newBackgroundActor.loadedSignalId = background.connect('loaded',
                 () => {
                     background.disconnect(newBackgroundActor.loadedSignalId);
                     newBackgroundActor.loadedSignalId = 0;
 
-                    this._swapBackgroundActor();
+                    this._swapBackgroundActor(animate);
                 });
         }
     }
 
     _createBackgroundActor() {
-        let background = this._backgroundSource.getBackground(this._monitorIndex);
+        let background = this._backgroundSource.getBackground(
+            this._monitorIndex, this._workspaceFile);
         let backgroundActor = new Meta.BackgroundActor({
             meta_display: global.display,
             monitor: this._monitorIndex,
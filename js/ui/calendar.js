@@ -14,11 +14,14 @@ import * as Mpris from './mpris.js';
 import * as PopupMenu from './popupMenu.js';
 import {ensureActorVisibleInScrollView} from '../misc/animationUtils.js';
 
-import {formatDateWithCFormatString} from '../misc/dateUtils.js';
+import {formatDateWithCFormatString, formatTime} from '../misc/dateUtils.js';
+import {getNextTimeOfDay} from '../misc/doNotDisturb.js';
 import {loadInterfaceXML} from '../misc/fileUtils.js';
 
 const SHOW_WEEKDATE_KEY = 'show-weekdate';
 const MAX_NOTIFICATION_BUTTONS = 3;
+const MAX_HISTORY_MESSAGES = 30;
+const SNOOZE_SHORT_TIME = 15; // minutes
 
 const NC_ = (context, str) => `${context}\u0004${str}`;
 
@@ -765,8 +768,12 @@ export const Calendar = GObject.registerClass({
     }
 });
 
-export const NotificationMessage = GObject.registerClass(
-class NotificationMessage extends MessageList.Message {
+export const NotificationMessage = GObject.registerClass({
+    Signals: {
+        'group-toggled': {},
+        'group-dismissed': {},
+    },
+}, class NotificationMessage extends MessageList.Message {
     constructor(notification) {
         super(notification.source);
 
@@ -777,14 +784,26 @@ class NotificationMessage extends MessageList.Message {
             if (this.notification)
                 this.notification.destroy(MessageTray.NotificationDestroyedReason.DISMISSED);
         });
+        const onRemoved = () => {
+            this.notification = null;
+            if (!this._closed)
+                this.close();
+        };
         notification.connectObject(
             'action-added', (_, action) => this._addAction(action),
             'action-removed', (_, action) => this._removeAction(action),
-            'destroy', () => {
-                this.notification = null;
-                if (!this._closed)
-                    this.close();
-            }, this);
+            'destroy', onRemoved,
+            'snoozed', onRemoved, this);
+
+        const snoozeButton = new St.Button({
+            style_class: 'message-snooze-button',
+            icon_name: 'alarm-symbolic',
+            accessible_name: _('Snooze'),
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        snoozeButton.connect('clicked', () => this._toggleSnoozeTimes());
+        this._header.insert_child_below(snoozeButton, this._header.closeButton);
+        this._snoozeBox = null;
 
         notification.bind_property('title',
             this, 'title',
@@ -801,11 +820,129 @@ class NotificationMessage extends MessageList.Message {
         notification.bind_property('gicon',
             this, 'icon',
             GObject.BindingFlags.SYNC_CREATE);
+        notification.bind_property('progress',
+            this, 'progress',
+            GObject.BindingFlags.SYNC_CREATE);
 
         this._actions = new Map();
         this.notification.actions.forEach(action => {
             this._addAction(action);
         });
+
+        this._groupBar = null;
+    }
+
+    _ensureSnoozeBox() {
+        if (this._snoozeBox)
+            return;
+
+        this._snoozeBox = new St.BoxLayout({
+            style_class: 'message-snooze-box',
+            x_expand: true,
+            visible: false,
+        });
+        this.child.add_child(this._snoozeBox);
+
+        const shortTimeLabel = ngettext(
+            'For %d Minute',
+            'For %d Minutes',
+            SNOOZE_SHORT_TIME).format(SNOOZE_SHORT_TIME);
+        this._addSnoozeTime(shortTimeLabel,
+            now => now.add_minutes(SNOOZE_SHORT_TIME));
+        this._addSnoozeTime(_('For 1 Hour'),
+            now => now.add_hours(1));
+        this._addSnoozeTime(_('Until Tomorrow'), now => {
+            const settings = new Gio.Settings({
+                schema_id: 'org.gnome.shell.notifications',
+            });
+            return getNextTimeOfDay(now, settings.get_uint('quiet-hours-end'));
+        });
+    }
+
+    _addSnoozeTime(label, getEnd) {
+        const button = new St.Button({
+            style_class: 'message-snooze-time-button button',
+            label,
+            can_focus: true,
+            x_expand: true,
+        });
+        button.connect('clicked', () => {
+            if (!this.notification)
+                return;
+
+            Main.messageTray.snoozeNotification(this.notification,
+                getEnd(GLib.DateTime.new_now_local()));
+        });
+        this._snoozeBox.add_child(button);
+    }
+
+    _toggleSnoozeTimes() {
+        this._ensureSnoozeBox();
+        this._snoozeBox.visible = !this._snoozeBox.visible;
+    }
+
+    _ensureGroupBar() {
+        if (this._groupBar)
+            return;
+
+        this._groupBar = new St.BoxLayout({
+            style_class: 'message-group-bar',
+            x_expand: true,
+        });
+        this.child.add_child(this._groupBar);
+
+        this._groupCountLabel = new St.Label({
+            style_class: 'message-group-count',
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this._groupBar.add_child(this._groupCountLabel);
+
+        this._groupExpandButton = new St.Button({
+            style_class: 'message-group-button',
+            can_focus: true,
+            x_expand: true,
+            x_align: Clutter.ActorAlign.START,
+        });
+        this._groupExpandButton.connect('clicked',
+            () => this.emit('group-toggled'));
+        this._groupBar.add_child(this._groupExpandButton);
+
+        const dismissButton = new St.Button({
+            style_class: 'message-group-button',
+            can_focus: true,
+            label: _('Dismiss All'),
+        });
+        dismissButton.connect('clicked', () => this.emit('group-dismissed'));
+        this._groupBar.add_child(dismissButton);
+    }
+
+    /**
+     * Shows the controls of a stack of notifications on the message, if
+     * it is the newest one of a group of more than one.
+     *
+     * @param {number} count - The number of notifications in the group,
+     *   or 0 if the message doesn't lead a group.
+     * @param {boolean} expanded - Whether the stack is expanded.
+     */
+    setGroupState(count, expanded) {
+        if (count < 2) {
+            if (this._groupBar)
+                this._groupBar.visible = false;
+            this.remove_style_class_name('message-stacked');
+            return;
+        }
+
+        this._ensureGroupBar();
+        this._groupBar.visible = true;
+        this._groupCountLabel.text = count.toString();
+        this._groupExpandButton.label = expanded
+            ? _('Show Less')
+            : ngettext('Show %d More', 'Show %d More', count - 1).format(count - 1);
+
+        if (expanded)
+            this.remove_style_class_name('message-stacked');
+        else
+            this.add_style_class_name('message-stacked');
     }
 
     vfunc_clicked() {
@@ -816,14 +953,73 @@ class NotificationMessage extends MessageList.Message {
         return true;
     }
 
+    _ensureActionArea() {
+        if (this._actionArea)
+            return;
+
+        this._actionArea = new St.BoxLayout({
+            style_class: 'notification-actions',
+            vertical: true,
+            x_expand: true,
+        });
+        this.setActionArea(this._actionArea);
+        global.focus_manager.add_group(this._actionArea);
+
+        this._buttonBox = new St.BoxLayout({
+            x_expand: true,
+            style_class: 'notification-buttons-bin',
+        });
+        this._actionArea.add_child(this._buttonBox);
+    }
+
+    _addReplyAction(action) {
+        const box = new St.BoxLayout({
+            style_class: 'notification-reply-box',
+            x_expand: true,
+        });
+
+        const entry = new St.Entry({
+            style_class: 'notification-reply-entry',
+            hint_text: action.label || _('Reply…'),
+            can_focus: true,
+            x_expand: true,
+        });
+        box.add_child(entry);
+
+        const sendButton = new St.Button({
+            style_class: 'notification-reply-button',
+            icon_name: 'document-send-symbolic',
+            accessible_name: _('Send'),
+            can_focus: true,
+            reactive: false,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        box.add_child(sendButton);
+
+        const send = () => {
+            const text = entry.text.trim();
+            if (!text)
+                return;
+
+            entry.text = '';
+            action.activate(text);
+        };
+        entry.clutter_text.connect('activate', send);
+        entry.clutter_text.connect('text-changed', () => {
+            sendButton.reactive = entry.text.trim() !== '';
+        });
+        sendButton.connect('clicked', send);
+
+        this._actions.set(action, box);
+        this._actionArea.insert_child_below(box, this._buttonBox);
+    }
+
     _addAction(action) {
-        if (!this._buttonBox) {
-            this._buttonBox = new St.BoxLayout({
-                x_expand: true,
-                style_class: 'notification-buttons-bin',
-            });
-            this.setActionArea(this._buttonBox);
-            global.focus_manager.add_group(this._buttonBox);
+        this._ensureActionArea();
+
+        if (action instanceof MessageTray.ReplyAction) {
+            this._addReplyAction(action);
+            return;
         }
 
         if (this._buttonBox.get_n_children() >= MAX_NOTIFICATION_BUTTONS)
@@ -854,6 +1050,10 @@ class NotificationSection extends MessageList.MessageListSection {
 
         this._nUrgent = 0;
 
+        // Non-urgent notifications are stacked by source and thread; maps
+        // sources to maps of thread IDs to groups
+        this._groups = new Map();
+
         Main.messageTray.connect('source-added', this._sourceAdded.bind(this));
         Main.messageTray.getSources().forEach(source => {
             this._sourceAdded(Main.messageTray, source);
@@ -870,42 +1070,257 @@ class NotificationSection extends MessageList.MessageListSection {
             this._onNotificationAdded.bind(this), this);
     }
 
+    _getGroup(notification) {
+        const {source} = notification;
+        const threadId = notification.threadId ?? '';
+
+        let threads = this._groups.get(source);
+        if (!threads) {
+            threads = new Map();
+            this._groups.set(source, threads);
+        }
+
+        let group = threads.get(threadId);
+        if (!group) {
+            group = {source, threadId, messages: [], expanded: false};
+            threads.set(threadId, group);
+        }
+        return group;
+    }
+
+    _removeFromGroup(group, message) {
+        group.messages = group.messages.filter(m => m !== message);
+
+        if (group.messages.length === 0) {
+            const threads = this._groups.get(group.source);
+            threads.delete(group.threadId);
+            if (threads.size === 0)
+                this._groups.delete(group.source);
+            return;
+        }
+
+        this._syncGroup(group);
+    }
+
+    // Moves the stack to the top of the non-urgent notifications
+    _raiseGroup(group) {
+        group.messages.forEach((m, i) => {
+            this.moveMessage(m, this._nUrgent + i, false);
+        });
+    }
+
+    _syncGroup(group) {
+        const [head] = group.messages;
+        group.messages.forEach(m => {
+            m.get_parent().visible = m === head || group.expanded;
+            m.setGroupState(m === head ? group.messages.length : 0,
+                group.expanded);
+        });
+    }
+
     _onNotificationAdded(source, notification) {
         let message = new NotificationMessage(notification);
 
-        let isUrgent = notification.urgency === MessageTray.Urgency.CRITICAL;
-
-        notification.connectObject(
-            'destroy', () => {
-                if (isUrgent)
-                    this._nUrgent--;
-            },
-            'notify::datetime', () => {
-                // The datetime property changes whenever the notification is updated
-                this.moveMessage(message, isUrgent ? 0 : this._nUrgent, this.mapped);
-            }, this);
+        let isUrgent = notification.effectiveUrgency === MessageTray.Urgency.CRITICAL;
 
         if (isUrgent) {
+            const onRemoved = () => {
+                notification.disconnectObject(this);
+                this._nUrgent--;
+            };
+            notification.connectObject(
+                'destroy', onRemoved,
+                'snoozed', onRemoved,
+                'notify::datetime', () => {
+                    // The datetime property changes whenever the notification is updated
+                    this.moveMessage(message, 0, this.mapped);
+                }, this);
+
             // Keep track of urgent notifications to keep them on top
             this._nUrgent++;
-        } else if (this.mapped) {
-            // Only acknowledge non-urgent notifications in case it
-            // has important actions that are inaccessible when not
-            // shown as banner
-            notification.acknowledged = true;
+            this.addMessageAtIndex(message, 0, this.mapped);
+            return;
         }
 
-        let index = isUrgent ? 0 : this._nUrgent;
-        this.addMessageAtIndex(message, index, this.mapped);
+        // Only acknowledge non-urgent notifications in case it
+        // has important actions that are inaccessible when not
+        // shown as banner
+        if (this.mapped)
+            notification.acknowledged = true;
+
+        const group = this._getGroup(notification);
+        group.messages.unshift(message);
+
+        const onRemoved = () => {
+            notification.disconnectObject(this);
+            this._removeFromGroup(group, message);
+        };
+        notification.connectObject(
+            'destroy', onRemoved,
+            'snoozed', onRemoved,
+            'notify::datetime', () => {
+                // The datetime property changes whenever the notification
+                // is updated, so it becomes the newest of its group
+                group.messages =
+                    [message, ...group.messages.filter(m => m !== message)];
+                this._raiseGroup(group);
+                this._syncGroup(group);
+            }, this);
+        message.connectObject(
+            'group-toggled', () => {
+                group.expanded = !group.expanded;
+                this._syncGroup(group);
+            },
+            'group-dismissed', () => {
+                [...group.messages].forEach(m => m.close());
+            }, this);
+
+        this.addMessageAtIndex(message, this._nUrgent, this.mapped);
+        this._raiseGroup(group);
+        this._syncGroup(group);
     }
 
     vfunc_map() {
         this._messages.forEach(message => {
-            if (message.notification.urgency !== MessageTray.Urgency.CRITICAL)
+            if (message.notification.effectiveUrgency !== MessageTray.Urgency.CRITICAL)
                 message.notification.acknowledged = true;
         });
         super.vfunc_map();
     }
+
+    vfunc_unmap() {
+        // Collapse stacks again when the message list is closed
+        for (const threads of this._groups.values()) {
+            for (const group of threads.values()) {
+                group.expanded = false;
+                this._syncGroup(group);
+            }
+        }
+        super.vfunc_unmap();
+    }
+});
+
+const HistoryMessage = GObject.registerClass(
+class HistoryMessage extends MessageList.Message {
+    constructor(entry) {
+        const app = entry.appId
+            ? Shell.AppSystem.get_default().lookup_app(`${entry.appId}.desktop`)
+            : null;
+        const source = new MessageList.Source({
+            title: app?.get_name() ?? entry.sourceTitle,
+            icon: app?.get_icon() ?? entry.sourceIcon,
+        });
+
+        super(source);
+
+        this._app = app;
+
+        this.set({
+            title: entry.title,
+            body: entry.body,
+            useBodyMarkup: entry.useBodyMarkup,
+            icon: entry.icon,
+            datetime: GLib.DateTime.new_from_unix_local(entry.timestamp),
+        });
+    }
+
+    vfunc_clicked() {
+        if (!this._app)
+            return;
+
+        this._app.activate();
+        Main.overview.hide();
+        Main.panel.closeCalendar();
+    }
+
+    canClose() {
+        return true;
+    }
+});
+
+const NotificationHistorySection = GObject.registerClass(
+class NotificationHistorySection extends MessageList.MessageListSection {
+    _init() {
+        super._init();
+
+        this._messageForEntry = new Map();
+
+        const header = new St.BoxLayout({
+            style_class: 'message-list-history-header',
+        });
+        this.insert_child_at_index(header, 0);
+
+        header.add_child(new St.Label({
+            style_class: 'message-list-history-title',
+            text: _('Earlier'),
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        }));
+
+        this._searchEntry = new St.Entry({
+            style_class: 'message-list-history-search-entry',
+            hint_text: _('Search'),
+            can_focus: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this._searchEntry.clutter_text.connect('text-changed', () => {
+            this._syncMessages();
+            this.notify('empty');
+            this._sync();
+        });
+        header.add_child(this._searchEntry);
+
+        Main.notificationHistory.connectObject('changed',
+            () => this._syncMessages(), this);
+        this._syncMessages();
+    }
+
+    get allowed() {
+        return Main.sessionMode.hasNotifications &&
+               !Main.sessionMode.isGreeter;
+    }
+
+    // Keep the section and its search entry around while a search doesn't
+    // match anything
+    get empty() {
+        return super.empty && !this._searchEntry?.text;
+    }
+
+    _syncMessages() {
+        const entries = Main.notificationHistory
+            .getEntries(this._searchEntry.text)
+            .slice(0, MAX_HISTORY_MESSAGES);
+
+        for (const [entry, message] of this._messageForEntry) {
+            if (entries.includes(entry))
+                continue;
+
+            this._messageForEntry.delete(entry);
+            this.removeMessage(message, this.mapped);
+        }
+
+        let previous = null;
+        for (const entry of entries) {
+            let message = this._messageForEntry.get(entry);
+            if (!message) {
+                message = new HistoryMessage(entry);
+                message.connect('close', () => {
+                    this._messageForEntry.delete(entry);
+                    Main.notificationHistory.removeEntry(entry);
+                });
+                this._messageForEntry.set(entry, message);
+
+                const index = previous
+                    ? this._messages.indexOf(previous) + 1 : 0;
+                this.addMessageAtIndex(message, index, this.mapped);
+            }
+            previous = message;
+        }
+    }
+
+    clear() {
+        Main.notificationHistory.clear();
+    }
 });
 
 const Placeholder = GObject.registerClass(
@@ -925,20 +1340,95 @@ class Placeholder extends St.BoxLayout {
 const DoNotDisturbSwitch = GObject.registerClass(
 class DoNotDisturbSwitch extends PopupMenu.Switch {
     _init() {
-        this._settings = new Gio.Settings({
-            schema_id: 'org.gnome.desktop.notifications',
+        super._init(Main.messageTray.doNotDisturb);
+
+        Main.messageTray.connectObject('notify::do-not-disturb', () => {
+            this.state = Main.messageTray.doNotDisturb;
+        }, this);
+
+        this.connect('notify::state', () => {
+            if (this.state !== Main.messageTray.doNotDisturb)
+                Main.messageTray.setDoNotDisturb(this.state);
+        });
+    }
+});
+
+const DoNotDisturbStatus = GObject.registerClass(
+class DoNotDisturbStatus extends St.Label {
+    _init() {
+        super._init({
+            style_class: 'dnd-status-label',
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+
+        Main.messageTray.connectObject(
+            'notify::do-not-disturb-reason', () => this._sync(),
+            'notify::do-not-disturb-end', () => this._sync(),
+            this);
+        this._sync();
+    }
+
+    _sync() {
+        const end = formatTime(Main.messageTray.doNotDisturbEnd);
+
+        switch (Main.messageTray.doNotDisturbReason) {
+        case MessageTray.DoNotDisturbReason.TIMED:
+            /* Translators: %s is a time, like "14:30" */
+            this.text = _('Until %s').format(end);
+            break;
+        case MessageTray.DoNotDisturbReason.QUIET_HOURS:
+            /* Translators: %s is a time, like "07:00" */
+            this.text = _('Quiet hours until %s').format(end);
+            break;
+        case MessageTray.DoNotDisturbReason.SCREENCAST:
+            this.text = _('While recording the screen');
+            break;
+        case MessageTray.DoNotDisturbReason.FULLSCREEN:
+            this.text = _('While an app is fullscreen');
+            break;
+        default:
+            this.text = '';
+        }
+
+        this.visible = this.text !== '';
+    }
+});
+
+const DoNotDisturbDurations = GObject.registerClass(
+class DoNotDisturbDurations extends St.BoxLayout {
+    _init() {
+        super._init({
+            style_class: 'dnd-durations',
+            x_expand: true,
+            visible: false,
         });
 
-        super._init(this._settings.get_boolean('show-banners'));
+        this._settings = new Gio.Settings({
+            schema_id: 'org.gnome.shell.notifications',
+        });
 
-        this._settings.bind('show-banners',
-            this, 'state',
-            Gio.SettingsBindFlags.INVERT_BOOLEAN);
+        this._addDuration(_('For 1 Hour'),
+            now => now.add_hours(1));
+        this._addDuration(_('For 4 Hours'),
+            now => now.add_hours(4));
+        this._addDuration(_('Until Tomorrow'),
+            now => getNextTimeOfDay(now,
+                this._settings.get_uint('quiet-hours-end')));
+    }
 
-        this.connect('destroy', () => {
-            Gio.Settings.unbind(this, 'state');
-            this._settings = null;
+    _addDuration(label, getEnd) {
+        const button = new St.Button({
+            style_class: 'dnd-duration-button button',
+            label,
+            can_focus: true,
+            x_expand: true,
+        });
+        button.connect('clicked', () => {
+            Main.messageTray.setDoNotDisturb(true,
+                getEnd(GLib.DateTime.new_now_local()));
+            this.hide();
         });
+        this.add_child(button);
     }
 });
 
@@ -972,11 +1462,17 @@ class CalendarMessageList extends St.Widget {
         let hbox = new St.BoxLayout({style_class: 'message-list-controls'});
         box.add_child(hbox);
 
+        const dndLabelBox = new St.BoxLayout({
+            vertical: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        hbox.add_child(dndLabelBox);
+
         const dndLabel = new St.Label({
             text: _('Do Not Disturb'),
-            y_align: Clutter.ActorAlign.CENTER,
         });
-        hbox.add_child(dndLabel);
+        dndLabelBox.add_child(dndLabel);
+        dndLabelBox.add_child(new DoNotDisturbStatus());
 
         this._dndSwitch = new DoNotDisturbSwitch();
         this._dndButton = new St.Button({
@@ -992,6 +1488,20 @@ class CalendarMessageList extends St.Widget {
             GObject.BindingFlags.BIDIRECTIONAL | GObject.BindingFlags.SYNC_CREATE);
         hbox.add_child(this._dndButton);
 
+        const dndDurations = new DoNotDisturbDurations();
+
+        this._dndDurationButton = new St.Button({
+            style_class: 'dnd-duration-menu-button button',
+            icon_name: 'alarm-symbolic',
+            can_focus: true,
+            accessible_name: _('Turn on Do Not Disturb for a limited time'),
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this._dndDurationButton.connect('clicked', () => {
+            dndDurations.visible = !dndDurations.visible;
+        });
+        hbox.add_child(this._dndDurationButton);
+
         this._clearButton = new St.Button({
             style_class: 'message-list-clear-button button',
             label: _('Clear'),
@@ -1005,6 +1515,13 @@ class CalendarMessageList extends St.Widget {
         });
         hbox.add_child(this._clearButton);
 
+        // Hide the choice of durations again when the menu closes
+        dndDurations.connect('notify::mapped', () => {
+            if (!dndDurations.mapped)
+                dndDurations.hide();
+        });
+        box.add_child(dndDurations);
+
         this._placeholder.bind_property('visible',
             this._clearButton, 'visible',
             GObject.BindingFlags.INVERT_BOOLEAN);
@@ -1027,6 +1544,9 @@ class CalendarMessageList extends St.Widget {
         this._notificationSection = new NotificationSection();
         this._addSection(this._notificationSection);
 
+        this._historySection = new NotificationHistorySection();
+        this._addSection(this._historySection);
+
         Main.sessionMode.connect('updated', this._sync.bind(this));
     }
 
@@ -752,11 +752,8 @@ class MessagesIndicator extends St.Icon {
         this._sources = [];
         this._count = 0;
 
-        this._settings = new Gio.Settings({
-            schema_id: 'org.gnome.desktop.notifications',
-        });
-        this._settings.connect('changed::show-banners', this._sync.bind(this));
-
+        Main.messageTray.connectObject('notify::do-not-disturb',
+            this._sync.bind(this), this);
         Main.messageTray.connect('source-added', this._onSourceAdded.bind(this));
         Main.messageTray.connect('source-removed', this._onSourceRemoved.bind(this));
         Main.messageTray.connect('queue-changed', this._updateCount.bind(this));
@@ -765,11 +762,6 @@ class MessagesIndicator extends St.Icon {
         sources.forEach(source => this._onSourceAdded(null, source));
 
         this._sync();
-
-        this.connect('destroy', () => {
-            this._settings.run_dispose();
-            this._settings = null;
-        });
     }
 
     _onSourceAdded(tray, source) {
@@ -792,7 +784,7 @@ class MessagesIndicator extends St.Icon {
     }
 
     _sync() {
-        let doNotDisturb = !this._settings.get_boolean('show-banners');
+        let doNotDisturb = Main.messageTray.doNotDisturb;
         this.icon_name = doNotDisturb
             ? 'notifications-disabled-symbolic'
             : 'message-indicator-symbolic';
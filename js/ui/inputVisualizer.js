@@ -0,0 +1,269 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+
+import * as PointerWatcher from './pointerWatcher.js';
+import * as Ripples from './ripples.js';
+
+const POINTER_WATCH_INTERVAL = 20; // ms
+const KEY_COMBO_TIMEOUT = 2000; // ms
+const KEY_COMBO_FADE_TIME = 300; // ms
+const MAX_KEY_COMBOS = 3;
+
+const MODIFIER_KEYS = [
+    Clutter.KEY_Shift_L,
+    Clutter.KEY_Shift_R,
+    Clutter.KEY_Control_L,
+    Clutter.KEY_Control_R,
+    Clutter.KEY_Alt_L,
+    Clutter.KEY_Alt_R,
+    Clutter.KEY_Meta_L,
+    Clutter.KEY_Meta_R,
+    Clutter.KEY_Super_L,
+    Clutter.KEY_Super_R,
+    Clutter.KEY_Hyper_L,
+    Clutter.KEY_Hyper_R,
+    Clutter.KEY_ISO_Level3_Shift,
+    Clutter.KEY_Caps_Lock,
+    Clutter.KEY_Num_Lock,
+];
+
+/**
+ * @param {number} keyval - The key symbol.
+ * @returns {string|null} the name of a key that doesn't produce text
+ */
+function _getSpecialKeyName(keyval) {
+    if (keyval >= Clutter.KEY_F1 && keyval <= Clutter.KEY_F12)
+        return `F${keyval - Clutter.KEY_F1 + 1}`;
+
+    switch (keyval) {
+    case Clutter.KEY_Return:
+    case Clutter.KEY_KP_Enter:
+        return '⏎';
+    case Clutter.KEY_Tab:
+    case Clutter.KEY_ISO_Left_Tab:
+        return '⇥';
+    case Clutter.KEY_BackSpace:
+        return '⌫';
+    case Clutter.KEY_Left:
+        return '←';
+    case Clutter.KEY_Up:
+        return '↑';
+    case Clutter.KEY_Right:
+        return '→';
+    case Clutter.KEY_Down:
+        return '↓';
+    case Clutter.KEY_Escape:
+        return C_('keyboard key', 'Esc');
+    case Clutter.KEY_Delete:
+        return C_('keyboard key', 'Del');
+    case Clutter.KEY_Home:
+        return C_('keyboard key', 'Home');
+    case Clutter.KEY_End:
+        return C_('keyboard key', 'End');
+    case Clutter.KEY_Page_Up:
+        return C_('keyboard key', 'PgUp');
+    case Clutter.KEY_Page_Down:
+        return C_('keyboard key', 'PgDn');
+    case Clutter.KEY_space:
+        return C_('keyboard key', 'Space');
+    default:
+        return null;
+    }
+}
+
+/**
+ * Describes the key combination of a key press, like "Ctrl+Shift+T".
+ *
+ * Plain typing isn't described, as it might be a password; only keys
+ * pressed together with Ctrl, Alt or Super, and keys that don't produce
+ * text are.
+ *
+ * @param {Clutter.Event} event - The key press event.
+ * @returns {string|null} the key combination, if it should be shown
+ */
+function _describeKeyCombo(event) {
+    const keyval = event.get_key_symbol();
+    if (MODIFIER_KEYS.includes(keyval))
+        return null;
+
+    const state = event.get_state();
+    const modifiers = [];
+    if (state & Clutter.ModifierType.CONTROL_MASK)
+        modifiers.push(C_('keyboard key', 'Ctrl'));
+    if (state & Clutter.ModifierType.MOD1_MASK)
+        modifiers.push(C_('keyboard key', 'Alt'));
+    if (state & Clutter.ModifierType.SUPER_MASK)
+        modifiers.push(C_('keyboard key', 'Super'));
+    const isShortcut = modifiers.length > 0;
+    if (state & Clutter.ModifierType.SHIFT_MASK)
+        modifiers.push(C_('keyboard key', 'Shift'));
+
+    let key = _getSpecialKeyName(keyval);
+    if (!key) {
+        if (!isShortcut)
+            return null;
+
+        const unicode = Clutter.keysym_to_unicode(keyval);
+        if (!unicode)
+            return null;
+
+        key = String.fromCodePoint(unicode).toUpperCase();
+    }
+
+    return [...modifiers, key].join('+');
+}
+
+const KeyComboDisplay = GObject.registerClass(
+class KeyComboDisplay extends St.BoxLayout {
+    _init() {
+        super._init({
+            style_class: 'screencast-key-combo-box',
+            vertical: true,
+            x_align: Clutter.ActorAlign.START,
+            y_align: Clutter.ActorAlign.END,
+            x_expand: true,
+            y_expand: true,
+        });
+
+        this._lastCombo = null;
+    }
+
+    addCombo(text) {
+        // Repeating a combo counts up instead of filling the display.
+        if (this._lastCombo?.text === text &&
+            this._lastCombo.label.get_parent() === this) {
+            this._lastCombo.count++;
+            this._lastCombo.label.text = `${text} ×${this._lastCombo.count}`;
+            this._fadeOut(this._lastCombo.label);
+            return;
+        }
+
+        const label = new St.Label({
+            style_class: 'screencast-key-combo',
+            text,
+            x_align: Clutter.ActorAlign.START,
+        });
+        this.add_child(label);
+        this._lastCombo = {text, count: 1, label};
+
+        while (this.get_n_children() > MAX_KEY_COMBOS)
+            this.get_first_child().destroy();
+
+        this._fadeOut(label);
+    }
+
+    _fadeOut(label) {
+        label.remove_all_transitions();
+        label.opacity = 255;
+        label.ease({
+            opacity: 0,
+            delay: KEY_COMBO_TIMEOUT,
+            duration: KEY_COMBO_FADE_TIME,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            onComplete: () => label.destroy(),
+        });
+    }
+
+    clear() {
+        this.destroy_all_children();
+        this._lastCombo = null;
+    }
+});
+
+/**
+ * Shows recent key combinations in a corner of the recorded area and
+ * ripples where the pointer is clicked, so that they show up in screen
+ * recordings.
+ */
+export class InputVisualizer {
+    constructor() {
+        this._container = new St.Widget({
+            layout_manager: new Clutter.BinLayout(),
+            visible: false,
+        });
+        global.stage.add_child(this._container);
+        Shell.util_set_hidden_from_pick(this._container, true);
+
+        this._keyComboDisplay = new KeyComboDisplay();
+        this._container.add_child(this._keyComboDisplay);
+
+        this._ripples = new Ripples.Ripples(0.5, 0.5, 'screencast-click-ripple');
+        this._ripples.addTo(global.stage);
+
+        this._pointerWatch = null;
+        this._eventFilterId = 0;
+        this._buttons = 0;
+    }
+
+    get active() {
+        return this._pointerWatch !== null;
+    }
+
+    /**
+     * Starts showing input in the given area.
+     *
+     * @param {number} x - The X coordinate of the recorded area.
+     * @param {number} y - The Y coordinate of the recorded area.
+     * @param {number} width - The width of the recorded area.
+     * @param {number} height - The height of the recorded area.
+     */
+    start(x, y, width, height) {
+        if (this.active)
+            return;
+
+        this._container.set_position(x, y);
+        this._container.set_size(width, height);
+        global.stage.set_child_above_sibling(this._container, null);
+        this._container.show();
+
+        const pointerWatcher = PointerWatcher.getPointerWatcher();
+        this._buttons = pointerWatcher.pointerButtons;
+        this._pointerWatch = pointerWatcher.addWatch(POINTER_WATCH_INTERVAL,
+            this._onPointerChanged.bind(this));
+
+        this._eventFilterId =
+            Clutter.event_add_filter(global.stage, this._onEvent.bind(this));
+    }
+
+    stop() {
+        if (!this.active)
+            return;
+
+        this._pointerWatch.remove();
+        this._pointerWatch = null;
+
+        Clutter.event_remove_filter(this._eventFilterId);
+        this._eventFilterId = 0;
+
+        this._keyComboDisplay.clear();
+        this._container.hide();
+    }
+
+    _onPointerChanged(x, y, buttons) {
+        const pressed = buttons & ~this._buttons;
+        this._buttons = buttons;
+
+        if (pressed)
+            this._ripples.playAnimation(x, y);
+    }
+
+    _onEvent(event) {
+        if (event.type() === Clutter.EventType.KEY_PRESS) {
+            const combo = _describeKeyCombo(event);
+            if (combo)
+                this._keyComboDisplay.addCombo(combo);
+        }
+
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    destroy() {
+        this.stop();
+        this._ripples.destroy();
+        this._container.destroy();
+    }
+}
@@ -333,6 +333,10 @@ export const LayoutManager = GObject.registerClass({
         let workspaceManager = global.workspace_manager;
         workspaceManager.connect('notify::n-workspaces',
             this._queueUpdateRegions.bind(this));
+        workspaceManager.connect('active-workspace-changed', () => {
+            const workspace = workspaceManager.get_active_workspace();
+            this._bgManagers.forEach(bgManager => (bgManager.workspace = workspace));
+        });
 
         let display = global.display;
         display.connect('restacked',
@@ -497,6 +501,7 @@ export const LayoutManager = GObject.registerClass({
             container: this._backgroundGroup,
             layoutManager: this,
             monitorIndex,
+            workspace: global.workspace_manager.get_active_workspace(),
         });
 
         bgManager.connect('changed', this._addBackgroundMenu.bind(this));
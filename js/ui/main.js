@@ -21,6 +21,7 @@ import * as Introspect from '../misc/introspect.js';
 import * as Keyboard from './keyboard.js';
 import * as MessageTray from './messageTray.js';
 import * as ModalDialog from './modalDialog.js';
+import * as MonitorWorkspaces from './monitorWorkspaces.js';
 import * as OsdWindow from './osdWindow.js';
 import * as OsdMonitorLabeler from './osdMonitorLabeler.js';
 import * as Overview from './overview.js';
@@ -32,6 +33,7 @@ import * as Layout from './layout.js';
 import * as LoginManager from '../misc/loginManager.js';
 import * as LookingGlass from './lookingGlass.js';
 import * as NotificationDaemon from './notificationDaemon.js';
+import * as NotificationHistory from './notificationHistory.js';
 import * as WindowAttentionHandler from './windowAttentionHandler.js';
 import * as Screenshot from './screenshot.js';
 import * as ScreenShield from './screenShield.js';
@@ -66,6 +68,7 @@ export let wm = null;
 export let messageTray = null;
 export let screenShield = null;
 export let notificationDaemon = null;
+export let notificationHistory = null;
 export let windowAttentionHandler = null;
 export let ctrlAltTabManager = null;
 export let padOsdService = null;
@@ -238,9 +241,11 @@ async function _initializeUI() {
     screenshotUI = new Screenshot.ScreenshotUI();
 
     messageTray = new MessageTray.MessageTray();
+    notificationHistory = new NotificationHistory.NotificationHistory();
     panel = new Panel.Panel();
     keyboard = new Keyboard.KeyboardManager();
     notificationDaemon = new NotificationDaemon.NotificationDaemon();
+    notificationHistory.restoreNotifications();
     windowAttentionHandler = new WindowAttentionHandler.WindowAttentionHandler();
     componentManager = new Components.ComponentManager();
 
@@ -826,7 +831,18 @@ export function activateWindow(window, time, workspaceNum) {
     if (!time)
         time = global.get_current_time();
 
-    if (windowWorkspaceNum !== activeWorkspaceNum) {
+    // Monitors that switch workspaces on their own switch to the workspace
+    // the window belongs to, which puts it on the active workspace
+    const monitorIndex = window.get_monitor();
+    const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+    if (monitorWorkspaces.switchesIndependently(monitorIndex) &&
+        !window.is_on_all_workspaces()) {
+        const workspace = workspaceNum !== undefined
+            ? workspaceManager.get_workspace_by_index(workspaceNum)
+            : monitorWorkspaces.getWindowWorkspace(monitorIndex, window.get_workspace());
+        wm.actionMoveWorkspace(workspace, monitorIndex);
+        window.activate(time);
+    } else if (windowWorkspaceNum !== activeWorkspaceNum) {
         let workspace = workspaceManager.get_workspace_by_index(windowWorkspaceNum);
         workspace.activate_with_focus(window, time);
     } else {
@@ -846,6 +862,14 @@ export function activateWindow(window, time, workspaceNum) {
  * @param {bool} append - create workspace if it doesn't exist
  */
 export function moveWindowToMonitorAndWorkspace(window, monitorIndex, workspaceIndex, append = false) {
+    // Monitors that switch workspaces on their own may keep the windows
+    // of the workspace elsewhere
+    const workspace = global.workspace_manager.get_workspace_by_index(workspaceIndex);
+    if (workspace) {
+        workspaceIndex = MonitorWorkspaces.getMonitorWorkspaceManager()
+            .getWindowWorkspace(monitorIndex, workspace).index();
+    }
+
     // We need to move the window before changing the workspace, because
     // the move itself could cause a workspace change if the window enters
     // the primary monitor
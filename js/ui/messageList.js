@@ -8,6 +8,7 @@ import Meta from 'gi://Meta';
 import Pango from 'gi://Pango';
 import St from 'gi://St';
 
+import * as BarLevel from './barLevel.js';
 import * as Main from './main.js';
 import * as MessageTray from './messageTray.js';
 
@@ -405,6 +406,11 @@ export const Message = GObject.registerClass({
             'datetime', 'datetime', 'datetime',
             GObject.ParamFlags.READWRITE,
             GLib.DateTime),
+        // In percent, or -1 for no progress bar
+        'progress': GObject.ParamSpec.int(
+            'progress', 'progress', 'progress',
+            GObject.ParamFlags.READWRITE,
+            -1, 100, -1),
     },
     Signals: {
         'close': {},
@@ -484,6 +490,13 @@ export const Message = GObject.registerClass({
         });
         contentBox.add_child(this._bodyBin);
 
+        this._progressBar = new BarLevel.BarLevel({
+            style_class: 'message-progress-bar',
+            x_expand: true,
+            visible: false,
+        });
+        contentBox.add_child(this._progressBar);
+
         this.connect('destroy', this._onDestroy.bind(this));
 
         this._header.closeButton.connect('clicked', this.close.bind(this));
@@ -566,6 +579,20 @@ export const Message = GObject.registerClass({
         return this._useBodyMarkup;
     }
 
+    set progress(progress) {
+        if (this.progress === progress)
+            return;
+
+        this._progressBar.visible = progress >= 0;
+        this._progressBar.value = Math.max(progress, 0) / 100;
+        this.notify('progress');
+    }
+
+    get progress() {
+        return this._progressBar.visible
+            ? Math.round(this._progressBar.value * 100) : -1;
+    }
+
     setActionArea(actor) {
         this._actionBin.child = actor;
         this._actionBin.visible = actor && this.expanded;
@@ -3,19 +3,33 @@
 import Clutter from 'gi://Clutter';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
+import GnomeDesktop from 'gi://GnomeDesktop';
 import GObject from 'gi://GObject';
 import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
 import St from 'gi://St';
 
 import * as Calendar from './calendar.js';
+import * as DoNotDisturb from '../misc/doNotDisturb.js';
 import * as GnomeSession from '../misc/gnomeSession.js';
 import * as Layout from './layout.js';
 import * as Main from './main.js';
 import * as MessageList from './messageList.js';
+import * as NotificationRules from '../misc/notificationRules.js';
 import * as SignalTracker from '../misc/signalTracker.js';
+import * as Volume from './status/volume.js';
+
+const HAVE_GSOUND = imports.package.checkSymbol('GSound', '1.0');
+
+let GSound = null;
+if (HAVE_GSOUND)
+    ({default: GSound} = await import('gi://GSound?version=1.0'));
 
 const SHELL_KEYBINDINGS_SCHEMA = 'org.gnome.shell.keybindings';
+const NOTIFICATIONS_SCHEMA = 'org.gnome.shell.notifications';
+
+const SNOOZES_STATE_KEY = 'snoozed-notifications';
+const SNOOZES_STATE_TYPE = 'aa{sv}';
 
 export const ANIMATION_TIME = 200;
 
@@ -33,6 +47,8 @@ const MOUSE_LEFT_ACTOR_THRESHOLD = 20;
 
 const IDLE_TIME = 1000;
 
+const SOUND_SCHEMA = 'org.gnome.desktop.sound';
+
 export const State = {
     HIDDEN:  0,
     SHOWING: 1,
@@ -78,6 +94,45 @@ export const PrivacyScope = {
     SYSTEM: 1,
 };
 
+// The reason Do Not Disturb is on. MANUAL is for when the user turned it on
+// until further notice, TIMED for when they turned it on for a limited time;
+// the other reasons turn it on automatically, if the respective setting is
+// enabled.
+/** @enum {number} */
+export const DoNotDisturbReason = {
+    NONE: 0,
+    MANUAL: 1,
+    TIMED: 2,
+    QUIET_HOURS: 3,
+    SCREENCAST: 4,
+    FULLSCREEN: 5,
+};
+
+function _getNotificationIdentity(notification) {
+    const {policy} = notification.source;
+    return {
+        appId: policy instanceof NotificationApplicationPolicy ? policy.id : '',
+        title: notification.title ?? '',
+        body: notification.body ?? '',
+    };
+}
+
+/**
+ * Parses a sound as stored in the settings.
+ *
+ * @param {string} sound - A sound from the sound theme, the absolute path
+ *   of a sound file, or '' for no sound.
+ * @returns {Sound}
+ */
+function _parseSound(sound) {
+    if (!sound)
+        return new Sound(null, null);
+
+    return GLib.path_is_absolute(sound)
+        ? new Sound(Gio.File.new_for_path(sound), null)
+        : new Sound(null, sound);
+}
+
 class FocusGrabber {
     constructor(actor) {
         this._actor = actor;
@@ -156,6 +211,9 @@ export const NotificationPolicy = GObject.registerClass({
         'details-in-lock-screen': GObject.ParamSpec.boolean(
             'details-in-lock-screen', 'details-in-lock-screen', 'details-in-lock-screen',
             GObject.ParamFlags.READABLE, false),
+        'priority': GObject.ParamSpec.boolean(
+            'priority', 'priority', 'priority',
+            GObject.ParamFlags.READABLE, false),
     },
 }, class NotificationPolicy extends GObject.Object {
     /**
@@ -207,6 +265,22 @@ export const NotificationPolicy = GObject.registerClass({
     get detailsInLockScreen() {
         return false;
     }
+
+    // Whether notifications break through Do Not Disturb
+    get priority() {
+        return false;
+    }
+
+    /**
+     * Maps the urgency of a notification to the one it should be treated
+     * with, as configured for the source.
+     *
+     * @param {Urgency} urgency - The urgency requested by the notification.
+     * @returns {Urgency} the urgency to use
+     */
+    mapUrgency(urgency) {
+        return urgency;
+    }
 });
 
 export const NotificationGenericPolicy = GObject.registerClass({
@@ -255,6 +329,25 @@ export const NotificationApplicationPolicy = GObject.registerClass({
 
         this._masterSettings.connect('changed', this._changed.bind(this));
         this._settings.connect('changed', this._changed.bind(this));
+
+        this._shellSettings = new Gio.Settings({schema_id: NOTIFICATIONS_SCHEMA});
+        this._shellSettings.connect('changed::priority-apps',
+            () => this.notify('priority'));
+        this._shellSettings.connect('changed::urgency-overrides',
+            () => this._updateUrgencyOverrides());
+        this._updateUrgencyOverrides();
+    }
+
+    _updateUrgencyOverrides() {
+        const overrides =
+            this._shellSettings.get_value('urgency-overrides').deepUnpack();
+        this._urgencyOverrides = new Map(
+            Object.entries(overrides[this.id] ?? {})
+                .map(([from, to]) => [
+                    Urgency[from.toUpperCase()],
+                    Urgency[to.toUpperCase()],
+                ])
+                .filter(([from, to]) => from !== undefined && to !== undefined));
     }
 
     store() {
@@ -270,6 +363,7 @@ export const NotificationApplicationPolicy = GObject.registerClass({
     destroy() {
         this._masterSettings.run_dispose();
         this._settings.run_dispose();
+        this._shellSettings.run_dispose();
 
         super.destroy();
     }
@@ -294,7 +388,8 @@ export const NotificationApplicationPolicy = GObject.registerClass({
     }
 
     get showBanners() {
-        return this._masterSettings.get_boolean('show-banners') &&
+        // Do Not Disturb doesn't apply to priority apps
+        return (this._masterSettings.get_boolean('show-banners') || this.priority) &&
             this._settings.get_boolean('show-banners');
     }
 
@@ -310,10 +405,54 @@ export const NotificationApplicationPolicy = GObject.registerClass({
     get detailsInLockScreen() {
         return this._settings.get_boolean('details-in-lock-screen');
     }
+
+    get priority() {
+        return this._shellSettings.get_strv('priority-apps').includes(this.id);
+    }
+
+    mapUrgency(urgency) {
+        return this._urgencyOverrides.get(urgency) ?? urgency;
+    }
 });
 
+// Meta.SoundPlayer plays sounds at the volume of system alerts, so sounds
+// with a volume of their own are played through GSound instead. The volume
+// is passed to libcanberra with GSound.ATTR_CANBERRA_VOLUME, which scales
+// this one sound and leaves the volume of the event stream alone.
+let _soundContext = null;
+
+function _playSoundWithVolume(file, themedName, volume) {
+    if (!_soundContext) {
+        _soundContext = new GSound.Context();
+        _soundContext.init(null);
+    }
+
+    const soundSettings = new Gio.Settings({schema_id: SOUND_SCHEMA});
+    const attrs = {
+        [GSound.ATTR_EVENT_DESCRIPTION]: _('Notification sound'),
+        [GSound.ATTR_MEDIA_ROLE]: 'event',
+        [GSound.ATTR_CANBERRA_XDG_THEME_NAME]:
+            soundSettings.get_string('theme-name'),
+        // In decibels, so 1 is the full volume of the sound
+        [GSound.ATTR_CANBERRA_VOLUME]: `${20 * Math.log10(volume)}`,
+    };
+    if (themedName)
+        attrs[GSound.ATTR_EVENT_ID] = themedName;
+    else
+        attrs[GSound.ATTR_MEDIA_FILENAME] = file.get_path();
+
+    _soundContext.play_simple(attrs, null);
+}
+
 export const Sound = GObject.registerClass(
 class Sound extends GObject.Object {
+    /**
+     * A sound without file nor name plays nothing; it can be used to
+     * suppress default sounds.
+     *
+     * @param {Gio.File|null} file - A sound file.
+     * @param {string|null} themedName - A sound from the sound theme.
+     */
     constructor(file, themedName) {
         super();
 
@@ -321,7 +460,24 @@ class Sound extends GObject.Object {
         this._soundName = themedName;
     }
 
-    play() {
+    /**
+     * @param {number} [volume] - The volume between 0 and 1, or -1 for the
+     *   volume of system alerts.
+     */
+    play(volume = -1) {
+        if (volume === 0)
+            return;
+
+        // Without GSound, sounds play at the volume of system alerts
+        if (volume > 0 && GSound && (this._soundName || this._soundFile)) {
+            try {
+                _playSoundWithVolume(this._soundFile, this._soundName, volume);
+                return;
+            } catch (e) {
+                logError(e, 'Failed to play notification sound');
+            }
+        }
+
         const player = global.display.get_sound_player();
 
         if (this._soundName)
@@ -349,6 +505,15 @@ class Action extends GObject.Object {
     }
 });
 
+// An action that takes text typed by the user, like a reply to a message;
+// its label is used as placeholder of the entry
+export const ReplyAction = GObject.registerClass(
+class ReplyAction extends Action {
+    activate(text) {
+        this._callback(text);
+    }
+});
+
 export class Notification extends GObject.Object {
     constructor(params) {
         super(params);
@@ -361,7 +526,7 @@ export class Notification extends GObject.Object {
         // Automatically update the datetime property when the notification
         // is updated.
         this.connect('notify', (o, pspec) => {
-            if (pspec.name === 'acknowledged') {
+            if (pspec.name === 'acknowledged' || pspec.name === 'progress') {
                 // Don't update datetime property
             } else if (pspec.name === 'datetime') {
                 if (this._updateDatetimeId)
@@ -423,6 +588,12 @@ export class Notification extends GObject.Object {
         this.notify('urgency');
     }
 
+    // The urgency the notification is treated with, after applying the
+    // overrides of the source's policy
+    get effectiveUrgency() {
+        return this.source.policy.mapUrgency(this.urgency);
+    }
+
     // addAction:
     // @label: the label for the action's button
     // @callback: the callback for the action
@@ -443,6 +614,23 @@ export class Notification extends GObject.Object {
         this.emit('action-added', action);
     }
 
+    // addReplyAction:
+    // @label: the placeholder text of the reply entry
+    // @callback: the callback for the action, called with the reply text
+    addReplyAction(label, callback) {
+        const action = new ReplyAction(label, text => {
+            callback(text);
+
+            // See addAction()
+            if (this.resident)
+                return;
+
+            this.destroy();
+        });
+        this._actions.push(action);
+        this.emit('action-added', action);
+    }
+
     clearActions() {
         if (this._actions.length === 0)
             return;
@@ -457,7 +645,7 @@ export class Notification extends GObject.Object {
         if (!this.source.policy.enableSound)
             return;
 
-        this.sound?.play(this.title);
+        Main.messageTray.playNotificationSound(this);
     }
 
     activate() {
@@ -506,6 +694,7 @@ export const Source = GObject.registerClass({
         super(params);
 
         this.notifications = [];
+        this._snoozedNotifications = [];
 
         if (!this._policy)
             this._policy = new NotificationGenericPolicy();
@@ -544,35 +733,72 @@ export const Source = GObject.registerClass({
     }
 
     _onNotificationDestroy(notification) {
-        let index = this.notifications.indexOf(notification);
-        if (index < 0)
-            throw new Error('Notification was already removed previously');
+        const snoozedIndex = this._snoozedNotifications.indexOf(notification);
+        if (snoozedIndex >= 0) {
+            this._snoozedNotifications.splice(snoozedIndex, 1);
+        } else {
+            const index = this.notifications.indexOf(notification);
+            if (index < 0)
+                throw new Error('Notification was already removed previously');
 
-        this.notifications.splice(index, 1);
-        this.emit('notification-removed', notification);
-        this.countUpdated();
+            this.notifications.splice(index, 1);
+            this.emit('notification-removed', notification);
+            this.countUpdated();
+        }
 
-        if (!this._inDestruction && this.notifications.length === 0)
+        // Snoozed notifications keep the source around
+        if (!this._inDestruction &&
+            this.notifications.length === 0 &&
+            this._snoozedNotifications.length === 0)
             this.destroy();
     }
 
     addNotification(notification) {
-        if (this.notifications.includes(notification))
+        // Updates of known notifications may undo what the rules changed,
+        // so the rules apply to them again
+        const shown = Main.messageTray.applyNotificationRules(notification);
+
+        // Suppressed notifications weren't dismissed by the user, so don't
+        // report them as such
+        if (this.notifications.includes(notification) ||
+            this._snoozedNotifications.includes(notification)) {
+            if (!shown)
+                notification.destroy(NotificationDestroyedReason.SOURCE_CLOSED);
             return;
+        }
 
-        while (this.notifications.length >= MAX_NOTIFICATIONS_PER_SOURCE) {
-            const [oldest] = this.notifications;
-            oldest.destroy(NotificationDestroyedReason.EXPIRED);
+        if (!shown) {
+            notification.destroy(NotificationDestroyedReason.SOURCE_CLOSED);
+
+            if (!this._inDestruction &&
+                this.notifications.length === 0 &&
+                this._snoozedNotifications.length === 0)
+                this.destroy();
+            return;
         }
 
         notification.connect('destroy', this._onNotificationDestroy.bind(this));
         notification.connect('notify::acknowledged', () => {
+            // Snoozed notifications are shown again once they are due
+            if (!this.notifications.includes(notification))
+                return;
+
             this.countUpdated();
 
             // If acknowledged was set to false try to show the notification again
             if (!notification.acknowledged)
                 this.emit('notification-request-banner', notification);
         });
+
+        this._pushNotification(notification);
+    }
+
+    _pushNotification(notification) {
+        while (this.notifications.length >= MAX_NOTIFICATIONS_PER_SOURCE) {
+            const [oldest] = this.notifications;
+            oldest.destroy(NotificationDestroyedReason.EXPIRED);
+        }
+
         this.notifications.push(notification);
 
         this.emit('notification-added', notification);
@@ -580,6 +806,42 @@ export const Source = GObject.registerClass({
         this.countUpdated();
     }
 
+    /**
+     * Takes a notification out of the source without destroying it, until
+     * it is brought back with unsnoozeNotification().
+     *
+     * Use MessageTray.snoozeNotification() to snooze a notification.
+     *
+     * @param {Notification} notification - The notification to snooze.
+     */
+    snoozeNotification(notification) {
+        const index = this.notifications.indexOf(notification);
+        if (index < 0)
+            return;
+
+        this.notifications.splice(index, 1);
+        this._snoozedNotifications.push(notification);
+
+        notification.emit('snoozed');
+        this.emit('notification-removed', notification);
+        this.countUpdated();
+    }
+
+    /**
+     * Shows a snoozed notification again, as if it was new.
+     *
+     * @param {Notification} notification - The snoozed notification.
+     */
+    unsnoozeNotification(notification) {
+        const index = this._snoozedNotifications.indexOf(notification);
+        if (index < 0)
+            return;
+
+        this._snoozedNotifications.splice(index, 1);
+        notification.acknowledged = false;
+        this._pushNotification(notification);
+    }
+
     destroy(reason) {
         this._inDestruction = true;
 
@@ -588,6 +850,11 @@ export const Source = GObject.registerClass({
             oldest.destroy(reason);
         }
 
+        while (this._snoozedNotifications.length > 0) {
+            const [oldest] = this._snoozedNotifications;
+            oldest.destroy(reason);
+        }
+
         this.emit('destroy', reason);
 
         this.policy.destroy();
@@ -669,17 +936,50 @@ GObject.registerClass({
             'is-transient', 'is-transient', 'is-transient',
             GObject.ParamFlags.READWRITE,
             false),
+        // Whether the banner is shown expanded, like for critical ones
+        'force-expanded': GObject.ParamSpec.boolean(
+            'force-expanded', 'force-expanded', 'force-expanded',
+            GObject.ParamFlags.READWRITE,
+            false),
+        // In percent, or -1 if the notification doesn't show progress
+        'progress': GObject.ParamSpec.int(
+            'progress', 'progress', 'progress',
+            GObject.ParamFlags.READWRITE,
+            -1, 100, -1),
+        // The conversation or category the notification belongs to;
+        // notifications of a source are grouped by it
+        'thread-id': GObject.ParamSpec.string(
+            'thread-id', 'thread-id', 'thread-id',
+            GObject.ParamFlags.READWRITE,
+            null),
     },
     Signals: {
         'action-added': {param_types: [Action]},
         'action-removed': {param_types: [Action]},
         'activated': {},
         'destroy': {param_types: [GObject.TYPE_UINT]},
+        'snoozed': {},
     },
 }, Notification);
 SignalTracker.registerDestroyableType(Notification);
 
 export const MessageTray = GObject.registerClass({
+    Properties: {
+        'do-not-disturb': GObject.ParamSpec.boolean(
+            'do-not-disturb', 'do-not-disturb', 'do-not-disturb',
+            GObject.ParamFlags.READABLE,
+            false),
+        // Unfortunately we can't register new enum types in GJS
+        'do-not-disturb-reason': GObject.ParamSpec.int(
+            'do-not-disturb-reason', 'do-not-disturb-reason', 'do-not-disturb-reason',
+            GObject.ParamFlags.READABLE,
+            0, GLib.MAXINT32,
+            DoNotDisturbReason.NONE),
+        'do-not-disturb-end': GObject.ParamSpec.boxed(
+            'do-not-disturb-end', 'do-not-disturb-end', 'do-not-disturb-end',
+            GObject.ParamFlags.READABLE,
+            GLib.DateTime),
+    },
     Signals: {
         'queue-changed': {},
         'source-added': {param_types: [Source.$gtype]},
@@ -702,6 +1002,40 @@ export const MessageTray = GObject.registerClass({
             this._onStatusChanged(status);
         });
 
+        this._doNotDisturbReason = DoNotDisturbReason.NONE;
+        this._doNotDisturbEnd = null;
+        // Automatic reasons the user turned Do Not Disturb off for
+        this._overriddenDoNotDisturbReasons = new Set();
+
+        this._notificationSettings = new Gio.Settings({
+            schema_id: 'org.gnome.desktop.notifications',
+        });
+        this._notificationSettings.connect('changed::show-banners',
+            this._updateState.bind(this));
+        this._settings = new Gio.Settings({schema_id: NOTIFICATIONS_SCHEMA});
+        this._settings.connect('changed', this._updateState.bind(this));
+
+        // Quiet hours and time-limited Do Not Disturb end with the minute
+        this._clock = new GnomeDesktop.WallClock({time_only: true});
+        this._clock.connect('notify::clock', this._updateState.bind(this));
+
+        Main.screenshotUI.connect('notify::screencast-in-progress',
+            this._updateState.bind(this));
+
+        this._snoozes = this._loadSnoozes();
+        this._snoozeTimeoutId = 0;
+        this._clock.connect('notify::clock', this._updateSnoozes.bind(this));
+        this._updateSnoozes();
+
+        // Snoozed notifications that weren't restored are gone for good
+        Main.layoutManager.connect('startup-complete', () => {
+            this._snoozes = this._snoozes.filter(s => s.notification);
+            this._saveSnoozes();
+        });
+
+        this._settings.connect('changed::rules', this._loadRules.bind(this));
+        this._loadRules();
+
         let constraint = new Layout.MonitorConstraint({primary: true});
         Main.layoutManager.panelBox.bind_property('visible',
             constraint, 'work-area',
@@ -799,6 +1133,301 @@ export const MessageTray = GObject.registerClass({
         Shell.util_set_hidden_from_pick(this, false);
     }
 
+    get doNotDisturb() {
+        return this._doNotDisturbReason !== DoNotDisturbReason.NONE;
+    }
+
+    get doNotDisturbReason() {
+        return this._doNotDisturbReason;
+    }
+
+    get doNotDisturbEnd() {
+        return this._doNotDisturbEnd;
+    }
+
+    /**
+     * Turns Do Not Disturb on or off.
+     *
+     * Turning it off also overrides the automatic reasons for the time
+     * being, like quiet hours, until they no longer apply.
+     *
+     * @param {boolean} enabled - Whether to turn Do Not Disturb on.
+     * @param {GLib.DateTime} [end] - The time to turn it off again;
+     *   if not given, it stays on until turned off.
+     */
+    setDoNotDisturb(enabled, end = null) {
+        if (!enabled) {
+            const now = GLib.DateTime.new_now_local();
+            for (const reason of this._getDoNotDisturbReasons(now))
+                this._overriddenDoNotDisturbReasons.add(reason);
+        }
+
+        this._settings.set_int64('do-not-disturb-until',
+            enabled && end ? end.to_unix() : 0);
+        this._notificationSettings.set_boolean('show-banners',
+            !enabled || !!end);
+
+        // Overriding an automatic reason may not change any setting
+        this._updateState();
+    }
+
+    _loadSnoozes() {
+        try {
+            const value = global.get_persistent_state(SNOOZES_STATE_TYPE,
+                SNOOZES_STATE_KEY);
+            if (!value)
+                return [];
+
+            // Snoozes that came due while the Shell was down are kept too,
+            // their notifications are shown as soon as they are restored
+            return value.recursiveUnpack().map(s => ({
+                appId: s['app-id'],
+                title: s['title'],
+                body: s['body'],
+                until: s['until'],
+                notification: null,
+            }));
+        } catch (e) {
+            logError(e, 'Failed to load snoozed notifications');
+            return [];
+        }
+    }
+
+    _saveSnoozes() {
+        const value = new GLib.Variant(SNOOZES_STATE_TYPE,
+            this._snoozes.map(s => ({
+                'app-id': new GLib.Variant('s', s.appId),
+                'title': new GLib.Variant('s', s.title),
+                'body': new GLib.Variant('s', s.body),
+                'until': new GLib.Variant('x', s.until),
+            })));
+        global.set_persistent_state(SNOOZES_STATE_KEY, value);
+    }
+
+    _trackSnooze(snooze) {
+        snooze.notification.connectObject('destroy', () => {
+            this._snoozes = this._snoozes.filter(s => s !== snooze);
+            this._saveSnoozes();
+        }, this);
+    }
+
+    _updateSnoozes() {
+        if (this._snoozeTimeoutId) {
+            GLib.source_remove(this._snoozeTimeoutId);
+            this._snoozeTimeoutId = 0;
+        }
+
+        const now = GLib.DateTime.new_now_local().to_unix();
+        // Snoozes without a notification wait for it to be restored
+        const due = this._snoozes.filter(s => s.notification && s.until <= now);
+        if (due.length > 0) {
+            this._snoozes = this._snoozes.filter(s => !due.includes(s));
+            this._saveSnoozes();
+
+            for (const {notification} of due) {
+                notification.disconnectObject(this);
+                notification.source.unsnoozeNotification(notification);
+            }
+        }
+
+        const pending = this._snoozes.filter(s => s.until > now);
+        if (pending.length === 0)
+            return;
+
+        const next = Math.min(...pending.map(s => s.until));
+        this._snoozeTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT,
+            next - now, () => {
+                this._snoozeTimeoutId = 0;
+                this._updateSnoozes();
+                return GLib.SOURCE_REMOVE;
+            });
+        GLib.Source.set_name_by_id(this._snoozeTimeoutId,
+            '[gnome-shell] this._updateSnoozes');
+    }
+
+    /**
+     * Takes a notification out of the message list until the given time,
+     * when it is shown again with its banner.
+     *
+     * Snoozes are kept across restarts for notifications that are brought
+     * back by their daemon or the notification history.
+     *
+     * @param {Notification} notification - The notification to snooze.
+     * @param {GLib.DateTime} until - The time to show it again.
+     */
+    snoozeNotification(notification, until) {
+        const snooze = {
+            ..._getNotificationIdentity(notification),
+            until: until.to_unix(),
+            notification,
+        };
+        this._snoozes.push(snooze);
+        this._trackSnooze(snooze);
+        this._saveSnoozes();
+
+        notification.source.snoozeNotification(notification);
+        this._updateSnoozes();
+    }
+
+    _loadRules() {
+        this._rules = NotificationRules.parseRules(
+            this._settings.get_value('rules').recursiveUnpack());
+    }
+
+    /**
+     * Applies the user's rules to a new or updated notification.
+     *
+     * @param {Notification} notification - The notification.
+     * @returns {boolean} whether the notification should be shown, rather
+     *   than being suppressed
+     */
+    applyNotificationRules(notification) {
+        const {appId, title, body} = _getNotificationIdentity(notification);
+        const {suppress, lowUrgency, sound, expand} =
+            NotificationRules.getRuleEffects(this._rules, appId, title, body);
+
+        if (suppress)
+            return false;
+
+        if (lowUrgency)
+            notification.urgency = Urgency.LOW;
+
+        if (sound) {
+            const {soundFile, soundName} = sound;
+            notification.sound = new Sound(
+                soundFile ? Gio.File.new_for_path(soundFile) : null,
+                soundName);
+        }
+
+        if (expand)
+            notification.forceExpanded = true;
+
+        return true;
+    }
+
+    _getNotificationSound(notification) {
+        const {appId} = _getNotificationIdentity(notification);
+        const appSounds = this._settings.get_value('app-sounds').deepUnpack();
+        if (appSounds[appId] !== undefined)
+            return _parseSound(appSounds[appId]);
+
+        if (notification.sound)
+            return notification.sound;
+
+        const urgencySounds =
+            this._settings.get_value('urgency-sounds').deepUnpack();
+        const [urgencyName] = Object.entries(Urgency).find(
+            ([, urgency]) => urgency === notification.effectiveUrgency);
+        const sound = urgencySounds[urgencyName.toLowerCase()];
+        return sound ? _parseSound(sound) : null;
+    }
+
+    /**
+     * Plays the sound of a notification: the one set for its app, or else
+     * the one it asks for, or else the one set for its urgency.
+     *
+     * @param {Notification} notification - The notification.
+     */
+    playNotificationSound(notification) {
+        // Apps that record audio are most likely in a call, which
+        // shouldn't be interrupted
+        if (Volume.isRecordingAudio())
+            return;
+
+        const sound = this._getNotificationSound(notification);
+        sound?.play(this._settings.get_double('sound-volume'));
+    }
+
+    /**
+     * Snoozes a notification that was restored after a restart again,
+     * if it was snoozed when the Shell last quit. If the snooze came due
+     * in the meantime, the notification is shown again right away.
+     *
+     * Only call this for notifications that are brought back from saved
+     * state, not for new ones that happen to look the same.
+     *
+     * @param {Notification} notification - A restored notification that
+     *   was added to its source.
+     */
+    restoreSnooze(notification) {
+        const {appId, title, body} = _getNotificationIdentity(notification);
+        const snooze = this._snoozes.find(s =>
+            !s.notification &&
+            s.appId === appId &&
+            s.title === title &&
+            s.body === body);
+        if (!snooze)
+            return;
+
+        snooze.notification = notification;
+        this._trackSnooze(snooze);
+
+        notification.source.snoozeNotification(notification);
+        this._updateSnoozes();
+    }
+
+    _getDoNotDisturbReasons(now) {
+        const reasons = [];
+
+        if (!this._notificationSettings.get_boolean('show-banners'))
+            reasons.push(DoNotDisturbReason.MANUAL);
+
+        if (this._settings.get_int64('do-not-disturb-until') > now.to_unix())
+            reasons.push(DoNotDisturbReason.TIMED);
+
+        if (this._settings.get_boolean('quiet-hours-enabled') &&
+            DoNotDisturb.isQuietTime(now,
+                this._settings.get_uint('quiet-hours-start'),
+                this._settings.get_uint('quiet-hours-end')))
+            reasons.push(DoNotDisturbReason.QUIET_HOURS);
+
+        if (this._settings.get_boolean('do-not-disturb-during-screencast') &&
+            Main.screenshotUI.screencast_in_progress)
+            reasons.push(DoNotDisturbReason.SCREENCAST);
+
+        if (this._settings.get_boolean('do-not-disturb-during-fullscreen') &&
+            Main.layoutManager.primaryMonitor?.inFullscreen)
+            reasons.push(DoNotDisturbReason.FULLSCREEN);
+
+        return reasons;
+    }
+
+    _getDoNotDisturbEnd(reason, now) {
+        switch (reason) {
+        case DoNotDisturbReason.TIMED:
+            return GLib.DateTime.new_from_unix_local(
+                this._settings.get_int64('do-not-disturb-until'));
+        case DoNotDisturbReason.QUIET_HOURS:
+            return DoNotDisturb.getQuietTimeEnd(now,
+                this._settings.get_uint('quiet-hours-start'),
+                this._settings.get_uint('quiet-hours-end'));
+        default:
+            return null;
+        }
+    }
+
+    _updateDoNotDisturb() {
+        const now = GLib.DateTime.new_now_local();
+        const reasons = this._getDoNotDisturbReasons(now);
+
+        const reason = DoNotDisturb.getActiveReason(reasons,
+            this._overriddenDoNotDisturbReasons) ?? DoNotDisturbReason.NONE;
+        const end = this._getDoNotDisturbEnd(reason, now);
+
+        if (reason === this._doNotDisturbReason &&
+            end?.to_unix() === this._doNotDisturbEnd?.to_unix())
+            return;
+
+        const wasEnabled = this.doNotDisturb;
+        this._doNotDisturbReason = reason;
+        this._doNotDisturbEnd = end;
+
+        if (this.doNotDisturb !== wasEnabled)
+            this.notify('do-not-disturb');
+        this.notify('do-not-disturb-reason');
+        this.notify('do-not-disturb-end');
+    }
+
     get bannerAlignment() {
         return this._bannerBin.get_x_align();
     }
@@ -908,10 +1537,10 @@ export const MessageTray = GObject.registerClass({
         if (notification.acknowledged)
             return;
 
-        if (notification.urgency === Urgency.LOW)
+        if (notification.effectiveUrgency === Urgency.LOW)
             return;
 
-        if (!notification.source.policy.showBanners && notification.urgency !== Urgency.CRITICAL)
+        if (!this._canShowBanner(notification))
             return;
 
         if (this._notification === notification) {
@@ -926,16 +1555,24 @@ export const MessageTray = GObject.registerClass({
             // notifications, as only banner mode allows expansion.
             let bannerCount = this._notification ? 1 : 0;
             let full = this.queueCount + bannerCount >= MAX_NOTIFICATIONS_IN_QUEUE;
-            if (!full || notification.urgency === Urgency.CRITICAL) {
+            if (!full || notification.effectiveUrgency === Urgency.CRITICAL) {
                 this._notificationQueue.push(notification);
                 this._notificationQueue.sort(
-                    (n1, n2) => n2.urgency - n1.urgency);
+                    (n1, n2) => n2.effectiveUrgency - n1.effectiveUrgency);
                 this.emit('queue-changed');
             }
         }
         this._updateState();
     }
 
+    _canShowBanner(notification) {
+        if (notification.effectiveUrgency === Urgency.CRITICAL)
+            return true;
+
+        const {policy} = notification.source;
+        return policy.showBanners && (!this.doNotDisturb || policy.priority);
+    }
+
     _resetNotificationLeftTimeout() {
         this._useLongerNotificationLeftTimeout = false;
         if (this._notificationLeftTimeoutId) {
@@ -1035,6 +1672,8 @@ export const MessageTray = GObject.registerClass({
     // _updateState() figures out what (if anything) needs to be done
     // at the present time.
     _updateState() {
+        this._updateDoNotDisturb();
+
         let hasMonitor = Main.layoutManager.primaryMonitor != null;
         this.visible = !this._bannerBlocked && hasMonitor && this._banner != null;
         if (this._bannerBlocked || !hasMonitor)
@@ -1047,11 +1686,13 @@ export const MessageTray = GObject.registerClass({
 
         this._updatingState = true;
 
-        // Filter out acknowledged notifications.
+        // Filter out acknowledged notifications, and the ones that may no
+        // longer be shown since Do Not Disturb was turned on.
         let changed = false;
         this._notificationQueue = this._notificationQueue.filter(n => {
-            changed ||= n.acknowledged;
-            return !n.acknowledged;
+            const keep = !n.acknowledged && this._canShowBanner(n);
+            changed ||= !keep;
+            return keep;
         });
 
         if (changed)
@@ -1063,7 +1704,10 @@ export const MessageTray = GObject.registerClass({
             let nextNotification = this._notificationQueue[0] || null;
             if (hasNotifications && nextNotification) {
                 let limited = this._busy || Main.layoutManager.primaryMonitor.inFullscreen;
-                let showNextNotification = !limited || nextNotification.forFeedback || nextNotification.urgency === Urgency.CRITICAL;
+                let showNextNotification = !limited ||
+                    nextNotification.forFeedback ||
+                    nextNotification.effectiveUrgency === Urgency.CRITICAL ||
+                    nextNotification.source.policy.priority;
                 if (showNextNotification)
                     this._showNotification();
             }
@@ -1071,7 +1715,7 @@ export const MessageTray = GObject.registerClass({
                    this._notificationState === State.SHOWN) {
             let expired = (this._userActiveWhileNotificationShown &&
                            this._notificationTimeoutId === 0 &&
-                           this._notification.urgency !== Urgency.CRITICAL &&
+                           this._notification.effectiveUrgency !== Urgency.CRITICAL &&
                            !this._pointerInNotification) || this._notificationExpired;
             let mustClose = this._notificationRemoved || !hasNotifications || expired;
 
@@ -1148,7 +1792,8 @@ export const MessageTray = GObject.registerClass({
 
         // We auto-expand notifications with CRITICAL urgency, or for which the relevant setting
         // is on in the control center.
-        if (this._notification.urgency === Urgency.CRITICAL ||
+        if (this._notification.effectiveUrgency === Urgency.CRITICAL ||
+            this._notification.forceExpanded ||
             this._notification.source.policy.forceExpanded)
             this._expandBanner(true);
 
@@ -1183,7 +1828,7 @@ export const MessageTray = GObject.registerClass({
     }
 
     _showNotificationCompleted() {
-        if (this._notification.urgency !== Urgency.CRITICAL)
+        if (this._notification.effectiveUrgency !== Urgency.CRITICAL)
             this._updateNotificationTimeout(NOTIFICATION_TIMEOUT);
     }
 
@@ -0,0 +1,313 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import Meta from 'gi://Meta';
+
+import * as Signals from '../misc/signals.js';
+import {getWindowMoves, swapWorkspaces} from '../misc/workspaceSwaps.js';
+
+import * as Main from './main.js';
+
+const INDEPENDENT_KEY = 'independent-monitor-workspaces';
+
+const MUTTER_SCHEMA = 'org.gnome.mutter';
+const ONLY_ON_PRIMARY_KEY = 'workspaces-only-on-primary';
+
+let _monitorWorkspaceManager = null;
+
+/**
+ * @returns {MonitorWorkspaceManager}
+ */
+export function getMonitorWorkspaceManager() {
+    if (_monitorWorkspaceManager == null)
+        _monitorWorkspaceManager = new MonitorWorkspaceManager();
+    return _monitorWorkspaceManager;
+}
+
+/**
+ * Lets monitors other than the primary one switch workspaces on their own,
+ * when workspaces span all monitors.
+ *
+ * Mutter has a single active workspace that is shown on all monitors, so
+ * this moves windows around instead: while a secondary monitor shows
+ * workspace W and workspace A is active, the windows of that monitor that
+ * belong to W are put on A, and the ones that belong to A are put on W.
+ * All other windows stay on the workspace they belong to.
+ *
+ * Workspaces and the windows on them are always the ones they belong to;
+ * use getWindowWorkspace() to find out where these windows really are.
+ */
+class MonitorWorkspaceManager extends Signals.EventEmitter {
+    constructor() {
+        super();
+
+        this._enabled = false;
+
+        // The workspaces shown by secondary monitors, by monitor index
+        this._workspaces = new Map();
+        this._activeWorkspace = global.workspace_manager.get_active_workspace();
+
+        global.workspace_manager.connect('active-workspace-changed',
+            () => this._onActiveWorkspaceChanged());
+        global.workspace_manager.connect('workspace-removed',
+            () => this._onWorkspaceRemoved());
+
+        // The monitors windows left since the last redraw. Mutter moves
+        // windows off monitors that changed before the Shell is told about
+        // the change, so this is where to find out where they were.
+        this._previousMonitors = new Map();
+        global.display.connect('window-left-monitor',
+            (display, monitorIndex, window) =>
+                this._onWindowLeftMonitor(window, monitorIndex));
+
+        Main.layoutManager.connect('monitors-changed',
+            () => this._onMonitorsChanged());
+
+        // Don't leave windows on the workspaces they are parked on when
+        // the Shell goes away; nobody would know where they belong
+        global.connect('shutdown', () => this._putBackWindows());
+        global.display.connect('restart', () => {
+            this._putBackWindows();
+            return false;
+        });
+
+        global.settings.connect(`changed::${INDEPENDENT_KEY}`,
+            () => this._sync());
+        this._mutterSettings = new Gio.Settings({schema_id: MUTTER_SCHEMA});
+        this._mutterSettings.connect(`changed::${ONLY_ON_PRIMARY_KEY}`,
+            () => this._sync());
+        this._sync();
+    }
+
+    /**
+     * Whether secondary monitors switch workspaces independently.
+     *
+     * @type {boolean}
+     */
+    get enabled() {
+        return this._enabled;
+    }
+
+    _sync() {
+        const enabled =
+            global.settings.get_boolean(INDEPENDENT_KEY) &&
+            !this._mutterSettings.get_boolean(ONLY_ON_PRIMARY_KEY);
+
+        if (this._enabled === enabled)
+            return;
+
+        this._putBackWindows();
+
+        this._enabled = enabled;
+        this._resetWorkspaces();
+
+        this.emit('enabled-changed');
+        this.emit('changed');
+    }
+
+    _resetWorkspaces() {
+        this._workspaces.clear();
+
+        if (!this._enabled)
+            return;
+
+        for (const monitor of Main.layoutManager.monitors) {
+            if (monitor.index !== Main.layoutManager.primaryIndex)
+                this._workspaces.set(monitor.index, this._activeWorkspace);
+        }
+    }
+
+    _putBackWindows() {
+        // Put all windows back on the workspace they belong to
+        this._moveWindows([...this._workspaces.keys()].flatMap(monitorIndex =>
+            this._getMoves(monitorIndex, this._activeWorkspace, this._activeWorkspace)));
+
+        for (const monitorIndex of this._workspaces.keys())
+            this._workspaces.set(monitorIndex, this._activeWorkspace);
+    }
+
+    _getWindows(monitorIndex, getMonitor = w => w.get_monitor()) {
+        // Transient windows follow their parent, and sticky windows are
+        // on all workspaces anyway
+        return global.get_window_actors()
+            .map(a => a.meta_window)
+            .filter(w =>
+                getMonitor(w) === monitorIndex &&
+                !w.is_on_all_workspaces() &&
+                !w.is_override_redirect() &&
+                !w.get_transient_for());
+    }
+
+    /**
+     * Finds the windows of a monitor that have to be moved when the
+     * monitor or the active workspace switches.
+     *
+     * @param {number} monitorIndex - The index of the monitor.
+     * @param {Meta.Workspace} activeWorkspace - The new active workspace.
+     * @param {Meta.Workspace} workspace - The new workspace of the monitor.
+     * @param {Meta.Window} [movingWindow] - A window that is taken along
+     *   to the new workspace of the monitor.
+     * @returns {Array<[Meta.Window, Meta.Workspace]>} the windows and the
+     *   workspaces to put them on
+     */
+    _getMoves(monitorIndex, activeWorkspace, workspace, movingWindow = null) {
+        return getWindowMoves(this._getWindows(monitorIndex), {
+            workspace: this._workspaces.get(monitorIndex),
+            activeWorkspace: this._activeWorkspace,
+        }, {workspace, activeWorkspace}, movingWindow);
+    }
+
+    _moveWindows(moves) {
+        for (const [window, workspace] of moves)
+            window.change_workspace(workspace);
+    }
+
+    _onActiveWorkspaceChanged() {
+        const activeWorkspace = global.workspace_manager.get_active_workspace();
+        if (activeWorkspace === this._activeWorkspace)
+            return;
+
+        // The windows of secondary monitors were swapped with the old
+        // active workspace, swap them with the new one instead
+        const moves = [...this._workspaces].flatMap(([monitorIndex, workspace]) =>
+            this._getMoves(monitorIndex, activeWorkspace, workspace));
+
+        this._activeWorkspace = activeWorkspace;
+        this._moveWindows(moves);
+
+        if (this._enabled)
+            this.emit('changed');
+    }
+
+    _onWorkspaceRemoved() {
+        const {workspaceManager} = global;
+        const workspaces = [...Array(workspaceManager.n_workspaces).keys()]
+            .map(i => workspaceManager.get_workspace_by_index(i));
+
+        // Windows of removed workspaces were moved elsewhere by mutter
+        let changed = false;
+        for (const [monitorIndex, workspace] of this._workspaces) {
+            if (workspaces.includes(workspace))
+                continue;
+
+            this._workspaces.set(monitorIndex, this._activeWorkspace);
+            changed = true;
+        }
+
+        if (changed)
+            this.emit('changed');
+    }
+
+    _onWindowLeftMonitor(window, monitorIndex) {
+        if (this._previousMonitors.size === 0) {
+            const laters = global.compositor.get_laters();
+            laters.add(Meta.LaterType.BEFORE_REDRAW, () => {
+                this._previousMonitors.clear();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+
+        // Keep the first monitor of windows that move more than once
+        if (!this._previousMonitors.has(window))
+            this._previousMonitors.set(window, monitorIndex);
+    }
+
+    _onMonitorsChanged() {
+        if (!this._enabled)
+            return;
+
+        // Put all windows back on the workspace they belong to, following
+        // the monitors they were on before mutter moved them around, and
+        // start over with all monitors showing the active workspace
+        const getMonitor = w => this._previousMonitors.get(w) ?? w.get_monitor();
+        const state = {
+            workspace: this._activeWorkspace,
+            activeWorkspace: this._activeWorkspace,
+        };
+        this._moveWindows([...this._workspaces].flatMap(([monitorIndex, workspace]) =>
+            getWindowMoves(this._getWindows(monitorIndex, getMonitor), {
+                workspace,
+                activeWorkspace: this._activeWorkspace,
+            }, state)));
+
+        this._resetWorkspaces();
+        this.emit('changed');
+    }
+
+    /**
+     * @param {number} monitorIndex - The index of a monitor.
+     * @returns {boolean} whether the monitor switches workspaces on its own
+     */
+    switchesIndependently(monitorIndex) {
+        return this._workspaces.has(monitorIndex);
+    }
+
+    /**
+     * Gets the monitor workspace switches apply to, which is the one with
+     * the pointer when monitors switch independently.
+     *
+     * @returns {number} the index of the monitor
+     */
+    getSwitchingMonitor() {
+        return this._enabled
+            ? global.display.get_current_monitor()
+            : Main.layoutManager.primaryIndex;
+    }
+
+    /**
+     * @param {number} monitorIndex - The index of a monitor.
+     * @returns {Meta.Workspace} the workspace shown on the monitor
+     */
+    getWorkspace(monitorIndex) {
+        return this._workspaces.get(monitorIndex) ??
+            global.workspace_manager.get_active_workspace();
+    }
+
+    /**
+     * @returns {Meta.Workspace[]} the workspaces shown on secondary monitors
+     */
+    getWorkspaces() {
+        return [...new Set(this._workspaces.values())];
+    }
+
+    /**
+     * Gets the workspace the windows of a monitor that belong to a
+     * workspace are really on. As workspaces are swapped, this also gets
+     * the workspace the windows on a workspace belong to.
+     *
+     * @param {number} monitorIndex - The index of a monitor.
+     * @param {Meta.Workspace} workspace - A workspace.
+     * @returns {Meta.Workspace} the workspace the windows are on
+     */
+    getWindowWorkspace(monitorIndex, workspace) {
+        if (!this._workspaces.has(monitorIndex))
+            return workspace;
+
+        return swapWorkspaces(workspace,
+            this._workspaces.get(monitorIndex), this._activeWorkspace);
+    }
+
+    /**
+     * Switches the workspace of a secondary monitor.
+     *
+     * @param {number} monitorIndex - The index of the monitor.
+     * @param {Meta.Workspace} workspace - The workspace to show.
+     * @param {Meta.Window} [movingWindow] - A window to take along.
+     */
+    switchWorkspace(monitorIndex, workspace, movingWindow = null) {
+        if (!this.switchesIndependently(monitorIndex))
+            return;
+
+        if (this._workspaces.get(monitorIndex) === workspace && !movingWindow)
+            return;
+
+        const moves = this._getMoves(monitorIndex,
+            this._activeWorkspace, workspace, movingWindow);
+
+        this._workspaces.set(monitorIndex, workspace);
+        this._moveWindows(moves);
+
+        this.emit('changed');
+    }
+}
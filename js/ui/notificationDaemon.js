@@ -11,9 +11,20 @@ import * as Main from './main.js';
 import * as MessageTray from './messageTray.js';
 
 import {loadInterfaceXML} from '../misc/fileUtils.js';
-import {NotificationErrors, NotificationError} from '../misc/dbusErrors.js';
+import {DBusSenderChecker} from '../misc/util.js';
+import {
+    NotificationErrors,
+    NotificationError,
+    NotificationListErrors,
+    NotificationListError
+} from '../misc/dbusErrors.js';
 
 const FdoNotificationsIface = loadInterfaceXML('org.freedesktop.Notifications');
+const NotificationListIface = loadInterfaceXML('org.gnome.Shell.NotificationList');
+
+const NOTIFICATION_LIST_ALLOWLIST = [
+    'org.gnome.Orca.Service',
+];
 
 /** @enum {number} */
 const NotificationClosedReason = {
@@ -199,14 +210,31 @@ class FdoNotificationDaemon {
 
         const soundFile = 'sound-file' in hints
             ? Gio.File.new_for_path(hints['sound-file']) : null;
+        const soundName = hints['sound-name'] ?? null;
+
+        // An empty sound suppresses the default sound for the urgency
+        let sound = null;
+        if (hints['suppress-sound'])
+            sound = new MessageTray.Sound(null, null);
+        else if (soundFile || soundName)
+            sound = new MessageTray.Sound(soundFile, soundName);
+
+        const progress = 'value' in hints
+            ? Math.clamp(hints['value'], 0, 100) : -1;
+
+        // Progress updates are shown in place, rather than showing the
+        // banner again
+        const acknowledged = progress >= 0 && notification.progress >= 0
+            ? notification.acknowledged : false;
 
         notification.set({
             title: summary,
             body,
             gicon,
             useBodyMarkup: true,
-            sound: new MessageTray.Sound(soundFile, hints['sound-name']),
-            acknowledged: false,
+            sound,
+            progress,
+            acknowledged,
         });
         notification.clearActions();
 
@@ -217,6 +245,13 @@ class FdoNotificationDaemon {
                 let [actionId, label] = [actions[i], actions[i + 1]];
                 if (actionId === 'default') {
                     hasDefaultAction = true;
+                } else if (actionId === 'inline-reply') {
+                    const placeholder =
+                        hints['x-kde-reply-placeholder-text'] ?? label;
+                    notification.addReplyAction(placeholder, text => {
+                        this._emitActivationToken(source, id);
+                        this._emitNotificationReplied(id, text);
+                    });
                 } else {
                     notification.addAction(label, () => {
                         this._emitActivationToken(source, id);
@@ -253,6 +288,11 @@ class FdoNotificationDaemon {
         // of the 'transient' hint with hints['transient'] rather than hints.transient
         notification.isTransient = !!hints['transient'];
 
+        // There's no standard hint for conversations, so fall back to the
+        // category for grouping
+        notification.threadId =
+            hints['x-gnome-thread-id'] ?? hints['category'] ?? null;
+
         let privacyScope = hints['x-gnome-privacy-scope'] || 'user';
         notification.privacyScope = privacyScope === 'system'
             ? MessageTray.PrivacyScope.SYSTEM
@@ -280,6 +320,7 @@ class FdoNotificationDaemon {
             'body-markup',
             // 'icon-multi',
             'icon-static',
+            'inline-reply',
             'persistence',
             'sound',
         ];
@@ -304,6 +345,11 @@ class FdoNotificationDaemon {
             GLib.Variant.new('(us)', [id, action]));
     }
 
+    _emitNotificationReplied(id, text) {
+        this._dbusImpl.emit_signal('NotificationReplied',
+            GLib.Variant.new('(us)', [id, text]));
+    }
+
     _emitActivationToken(source, id) {
         const context = global.create_app_launch_context(0, -1);
         const info = source.app?.get_app_info();
@@ -409,9 +455,14 @@ const GtkNotificationDaemonNotification = GObject.registerClass(
 class GtkNotificationDaemonNotification extends MessageTray.Notification {
     constructor(source, id, notification) {
         super({source});
-        this._serialized = GLib.Variant.new('a{sv}', notification);
         this.id = id;
 
+        this.update(notification);
+    }
+
+    update(notification) {
+        this._serialized = GLib.Variant.new('a{sv}', notification);
+
         const {
             title,
             body,
@@ -419,6 +470,10 @@ class GtkNotificationDaemonNotification extends MessageTray.Notification {
             urgent,
             priority,
             buttons,
+            category,
+            'x-gnome-reply-action': replyAction,
+            'x-gnome-reply-placeholder-text': replyPlaceholder,
+            'x-gnome-progress': progress,
             'default-action': defaultAction,
             'default-action-target': defaultActionTarget,
             timestamp: time,
@@ -435,6 +490,8 @@ class GtkNotificationDaemonNotification extends MessageTray.Notification {
             this.urgency = MessageTray.Urgency.NORMAL;
         }
 
+        this.clearActions();
+
         if (buttons) {
             buttons.deepUnpack().forEach(button => {
                 this.addAction(button.label.unpack(), () => {
@@ -443,6 +500,15 @@ class GtkNotificationDaemonNotification extends MessageTray.Notification {
             });
         }
 
+        // The reply action is activated with the reply text as parameter
+        if (replyAction) {
+            const placeholder = replyPlaceholder?.unpack() ?? '';
+            this.addReplyAction(placeholder, text => {
+                this._activateAction(replyAction.unpack(),
+                    new GLib.Variant('s', text));
+            });
+        }
+
         this._defaultAction = defaultAction?.unpack();
         this._defaultActionTarget = defaultActionTarget;
 
@@ -453,6 +519,8 @@ class GtkNotificationDaemonNotification extends MessageTray.Notification {
                 ? Gio.icon_deserialize(gicon) : null,
             datetime: time
                 ? GLib.DateTime.new_from_unix_local(time.unpack()) : null,
+            threadId: category?.unpack() ?? null,
+            progress: progress ? Math.clamp(progress.unpack(), 0, 100) : -1,
         });
     }
 
@@ -545,6 +613,28 @@ class GtkNotificationDaemonAppSource extends MessageTray.Source {
         super.destroy(reason);
     }
 
+    /**
+     * Updates a notification that shows progress in place, rather than
+     * replacing it and showing its banner again.
+     *
+     * @param {string} notificationId - The ID of the notification.
+     * @param {object} notification - The new serialized notification.
+     * @returns {boolean} whether the notification was updated
+     */
+    updateNotification(notificationId, notification) {
+        const existing = this._notifications[notificationId];
+        if (!existing || existing.progress < 0 ||
+            !('x-gnome-progress' in notification))
+            return false;
+
+        existing.update(notification);
+
+        // The update may undo what the rules changed
+        if (!Main.messageTray.applyNotificationRules(existing))
+            existing.destroy(MessageTray.NotificationDestroyedReason.SOURCE_CLOSED);
+        return true;
+    }
+
     removeNotification(notificationId) {
         if (this._notifications[notificationId])
             this._notifications[notificationId].destroy(MessageTray.NotificationDestroyedReason.SOURCE_CLOSED);
@@ -617,6 +707,7 @@ class GtkNotificationDaemon {
                         // Acknowledge all stored notification so that we don't show a banner again
                         notification.acknowledged = true;
                         source.addNotification(notification);
+                        Main.messageTray.restoreSnooze(notification);
                     });
                 });
             }
@@ -659,6 +750,12 @@ class GtkNotificationDaemon {
         let timestamp = GLib.DateTime.new_now_local().to_unix();
         notificationSerialized['timestamp'] = new GLib.Variant('x', timestamp);
 
+        if (source.updateNotification(notificationId, notificationSerialized)) {
+            this._saveNotifications();
+            invocation.return_value(null);
+            return;
+        }
+
         const notification = new GtkNotificationDaemonNotification(source,
             notificationId,
             notificationSerialized);
@@ -677,9 +774,228 @@ class GtkNotificationDaemon {
     }
 }
 
+class NotificationList {
+    constructor() {
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(NotificationListIface, this);
+        this._dbusImpl.export(Gio.DBus.session, '/org/gnome/Shell/NotificationList');
+
+        this._senderChecker =
+            new DBusSenderChecker(NOTIFICATION_LIST_ALLOWLIST);
+
+        this._notifications = new Map();
+        this._ids = new Map();
+        this._nextId = 1;
+
+        // IDs of notifications that callers know of, which excludes ones
+        // hidden while the session is locked
+        this._exposedIds = new Set();
+
+        Main.sessionMode.connectObject('updated',
+            () => this._exposeNotifications(), this);
+
+        Main.messageTray.connectObject(
+            'source-added', (tray, source) => this._onSourceAdded(source),
+            'source-removed', (tray, source) => this._onSourceRemoved(source),
+            this);
+        for (const source of Main.messageTray.getSources()) {
+            this._onSourceAdded(source);
+            source.notifications.forEach(n => this._onNotificationAdded(n));
+        }
+    }
+
+    _onSourceAdded(source) {
+        source.connectObject(
+            'notification-added', (s, n) => this._onNotificationAdded(n),
+            'notification-removed', (s, n) => this._onNotificationRemoved(n),
+            this);
+    }
+
+    _onSourceRemoved(source) {
+        source.disconnectObject(this);
+        source.notifications.forEach(n => this._onNotificationRemoved(n));
+    }
+
+    _onNotificationAdded(notification) {
+        if (this._ids.has(notification))
+            return;
+
+        const id = this._nextId++;
+        this._notifications.set(id, notification);
+        this._ids.set(notification, id);
+
+        if (!this._isExposed(notification))
+            return;
+
+        this._exposedIds.add(id);
+        this._emitSignal('NotificationAdded',
+            new GLib.Variant('(a{sv})', [this._serialize(id, notification)]));
+    }
+
+    _onNotificationRemoved(notification) {
+        const id = this._ids.get(notification);
+        if (id === undefined)
+            return;
+
+        this._notifications.delete(id);
+        this._ids.delete(notification);
+
+        if (!this._exposedIds.delete(id))
+            return;
+
+        this._emitSignal('NotificationRemoved',
+            new GLib.Variant('(u)', [id]));
+    }
+
+    _exposeNotifications() {
+        // Announce notifications that were hidden while the session was locked
+        for (const [id, notification] of this._notifications) {
+            if (this._exposedIds.has(id) || !this._isExposed(notification))
+                continue;
+
+            this._exposedIds.add(id);
+            this._emitSignal('NotificationAdded',
+                new GLib.Variant('(a{sv})', [this._serialize(id, notification)]));
+        }
+    }
+
+    _emitSignal(name, parameters) {
+        if (global.context.unsafe_mode) {
+            this._dbusImpl.emit_signal(name, parameters);
+            return;
+        }
+
+        // Only tell allowed callers about notifications
+        const connection = this._dbusImpl.get_connection();
+        const info = this._dbusImpl.get_info();
+        for (const destination of this._senderChecker.allowedSenders) {
+            connection.emit_signal(
+                destination,
+                this._dbusImpl.get_object_path(),
+                info?.name ?? null,
+                name,
+                parameters);
+        }
+    }
+
+    // Like on the lock screen, only expose what the user allows there
+    // while the session is locked
+    _isExposed(notification) {
+        return !Main.sessionMode.isLocked ||
+            notification.source.policy.showInLockScreen;
+    }
+
+    _shouldExposeDetails(notification) {
+        return !Main.sessionMode.isLocked ||
+            notification.source.policy.detailsInLockScreen ||
+            notification.privacyScope === MessageTray.PrivacyScope.SYSTEM;
+    }
+
+    _serialize(id, notification) {
+        const {source} = notification;
+        const {policy} = source;
+        const appId = policy instanceof MessageTray.NotificationApplicationPolicy
+            ? policy.id : '';
+
+        const dict = {
+            'id': new GLib.Variant('u', id),
+            'app-id': new GLib.Variant('s', appId),
+            'source-title': new GLib.Variant('s', source.title ?? ''),
+            'urgency': new GLib.Variant('u', notification.effectiveUrgency),
+            'timestamp': new GLib.Variant('x', notification.datetime.to_unix()),
+        };
+        if (this._shouldExposeDetails(notification)) {
+            dict['title'] = new GLib.Variant('s', notification.title ?? '');
+            dict['body'] = new GLib.Variant('s', notification.body ?? '');
+        }
+        return dict;
+    }
+
+    async _checkInvocation(invocation) {
+        try {
+            await this._senderChecker.checkInvocation(invocation);
+            return true;
+        } catch (e) {
+            invocation.return_gerror(e);
+            return false;
+        }
+    }
+
+    _checkUnlocked(invocation) {
+        if (!Main.sessionMode.isLocked)
+            return true;
+
+        invocation.return_error_literal(NotificationListErrors,
+            NotificationListError.LOCKED,
+            'Notifications can’t be changed while the session is locked');
+        return false;
+    }
+
+    async _lookupNotification(id, invocation) {
+        if (!await this._checkInvocation(invocation))
+            return null;
+
+        if (!this._checkUnlocked(invocation))
+            return null;
+
+        const notification = this._notifications.get(id);
+        if (!notification || !this._exposedIds.has(id)) {
+            invocation.return_error_literal(NotificationListErrors,
+                NotificationListError.NOT_FOUND,
+                `No notification with ID ${id}`);
+            return null;
+        }
+        return notification;
+    }
+
+    async GetNotificationsAsync(params, invocation) {
+        if (!await this._checkInvocation(invocation))
+            return;
+
+        const notifications = [...this._notifications]
+            .filter(([, notification]) => this._isExposed(notification));
+        notifications.forEach(([id]) => this._exposedIds.add(id));
+
+        invocation.return_value(new GLib.Variant('(aa{sv})', [
+            notifications.map(([id, n]) => this._serialize(id, n)),
+        ]));
+    }
+
+    async DismissNotificationAsync([id], invocation) {
+        const notification = await this._lookupNotification(id, invocation);
+        if (!notification)
+            return;
+
+        notification.destroy(MessageTray.NotificationDestroyedReason.DISMISSED);
+        invocation.return_value(null);
+    }
+
+    async ActivateNotificationAsync([id], invocation) {
+        const notification = await this._lookupNotification(id, invocation);
+        if (!notification)
+            return;
+
+        notification.activate();
+        invocation.return_value(null);
+    }
+
+    async ClearNotificationsAsync(params, invocation) {
+        if (!await this._checkInvocation(invocation))
+            return;
+
+        if (!this._checkUnlocked(invocation))
+            return;
+
+        [...this._notifications.values()].forEach(notification => {
+            notification.destroy(MessageTray.NotificationDestroyedReason.DISMISSED);
+        });
+        invocation.return_value(null);
+    }
+}
+
 export class NotificationDaemon {
     constructor() {
         this._fdoNotificationDaemon = new FdoNotificationDaemon();
         this._gtkNotificationDaemon = new GtkNotificationDaemon();
+        this._notificationList = new NotificationList();
     }
 }
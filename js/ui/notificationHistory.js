@@ -0,0 +1,399 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import Shell from 'gi://Shell';
+
+import * as Main from './main.js';
+import * as MessageTray from './messageTray.js';
+import * as Signals from '../misc/signals.js';
+
+const NOTIFICATIONS_SCHEMA = 'org.gnome.shell.notifications';
+const RETENTION_KEY = 'history-retention-days';
+
+const STATE_KEY = 'notification-history';
+const STATE_TYPE = 'aa{sv}';
+
+const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id - A unique ID.
+ * @property {string} appId - The app ID without `.desktop` suffix, or ''.
+ * @property {string} sourceTitle - The title of the notification source.
+ * @property {Gio.Icon} [sourceIcon] - The icon of the notification source.
+ * @property {string} title - The title of the notification.
+ * @property {string} body - The body of the notification.
+ * @property {boolean} useBodyMarkup - Whether the body uses markup.
+ * @property {Gio.Icon} [icon] - The icon of the notification.
+ * @property {number} urgency - A {MessageTray.Urgency}.
+ * @property {number} privacyScope - A {MessageTray.PrivacyScope}.
+ * @property {number} timestamp - The time of the last update, in seconds.
+ * @property {boolean} active - Whether the notification is still around,
+ *   rather than having been dismissed or expired.
+ */
+
+/**
+ * Only themed and file icons can be stored; other icons, like images sent
+ * as raw data, are too big.
+ *
+ * @param {Gio.Icon} icon - An icon.
+ * @returns {Gio.Icon|null} the icon, if it can be stored
+ */
+function _storableIcon(icon) {
+    if (icon instanceof Gio.ThemedIcon || icon instanceof Gio.FileIcon)
+        return icon;
+    return null;
+}
+
+function _serializeEntry(entry) {
+    const dict = {
+        'id': new GLib.Variant('s', entry.id),
+        'app-id': new GLib.Variant('s', entry.appId),
+        'source-title': new GLib.Variant('s', entry.sourceTitle),
+        'title': new GLib.Variant('s', entry.title),
+        'body': new GLib.Variant('s', entry.body),
+        'use-body-markup': new GLib.Variant('b', entry.useBodyMarkup),
+        'urgency': new GLib.Variant('u', entry.urgency),
+        'privacy-scope': new GLib.Variant('u', entry.privacyScope),
+        'timestamp': new GLib.Variant('x', entry.timestamp),
+        'active': new GLib.Variant('b', entry.active),
+    };
+    if (entry.sourceIcon)
+        dict['source-icon'] = entry.sourceIcon.serialize();
+    if (entry.icon)
+        dict['icon'] = entry.icon.serialize();
+    return dict;
+}
+
+function _deserializeEntry(dict) {
+    const {
+        id,
+        'app-id': appId,
+        'source-title': sourceTitle,
+        'source-icon': sourceIcon,
+        title,
+        body,
+        'use-body-markup': useBodyMarkup,
+        icon,
+        urgency,
+        'privacy-scope': privacyScope,
+        timestamp,
+        active,
+    } = dict;
+
+    return {
+        id: id.unpack(),
+        appId: appId?.unpack() ?? '',
+        sourceTitle: sourceTitle?.unpack() ?? '',
+        sourceIcon: sourceIcon ? Gio.Icon.deserialize(sourceIcon) : null,
+        title: title?.unpack() ?? '',
+        body: body?.unpack() ?? '',
+        useBodyMarkup: useBodyMarkup?.unpack() ?? false,
+        icon: icon ? Gio.Icon.deserialize(icon) : null,
+        urgency: urgency?.unpack() ?? MessageTray.Urgency.NORMAL,
+        privacyScope: privacyScope?.unpack() ?? MessageTray.PrivacyScope.USER,
+        timestamp: timestamp.unpack(),
+        active: active?.unpack() ?? false,
+    };
+}
+
+function _entryMatches(entry, query) {
+    const text = [
+        entry.sourceTitle,
+        entry.title,
+        entry.useBodyMarkup ? entry.body.replace(/<[^>]*>/g, '') : entry.body,
+    ].join('\n').toLowerCase();
+    return text.includes(query);
+}
+
+function _getAppId(source) {
+    const {policy} = source;
+    return policy instanceof MessageTray.NotificationApplicationPolicy
+        ? policy.id : '';
+}
+
+/**
+ * A source for notifications that were still around when the Shell
+ * last quit.
+ */
+const RestoredSource = GObject.registerClass(
+class RestoredSource extends MessageTray.Source {
+    constructor(entry) {
+        const app = entry.appId
+            ? Shell.AppSystem.get_default().lookup_app(`${entry.appId}.desktop`)
+            : null;
+
+        super({
+            title: app?.get_name() ?? entry.sourceTitle,
+            icon: app?.get_icon() ?? entry.sourceIcon,
+            policy: MessageTray.NotificationPolicy.newForApp(app),
+        });
+
+        this.app = app;
+    }
+
+    open() {
+        this.app?.activate();
+        Main.overview.hide();
+        Main.panel.closeCalendar();
+    }
+});
+
+/**
+ * Keeps a history of notifications on disk.
+ *
+ * Notifications that are still around when the Shell quits or crashes are
+ * restored into the message list at the next start; the ones that were
+ * dismissed or expired are kept for the number of days set in
+ * `history-retention-days`.
+ *
+ * Private notifications of apps that aren't allowed to show notifications
+ * on the lock screen are never written to disk, nor are transient ones.
+ */
+export class NotificationHistory extends Signals.EventEmitter {
+    constructor() {
+        super();
+
+        this._settings = new Gio.Settings({schema_id: NOTIFICATIONS_SCHEMA});
+        this._settings.connect(`changed::${RETENTION_KEY}`, () => {
+            this._prune();
+            this._queueSave();
+            this.emit('changed');
+        });
+
+        this._entries = this._load();
+        this._entryForNotification = new Map();
+        this._restoredSources = new Map();
+        this._saveId = 0;
+
+        // Notifications that were around when the Shell quit; the ones that
+        // aren't brought back by their daemon are restored later.
+        this._unclaimedEntries = this._entries.filter(e => e.active);
+
+        Main.messageTray.connectObject(
+            'source-added', (tray, source) => this._onSourceAdded(source),
+            'source-removed', (tray, source) => source.disconnectObject(this),
+            this);
+        for (const source of Main.messageTray.getSources()) {
+            this._onSourceAdded(source);
+            source.notifications.forEach(n => this._trackNotification(n));
+        }
+
+        this._prune();
+    }
+
+    _load() {
+        try {
+            const value = global.get_persistent_state(STATE_TYPE, STATE_KEY);
+            return value ? value.deepUnpack().map(_deserializeEntry) : [];
+        } catch (e) {
+            logError(e, 'Failed to load notification history');
+            return [];
+        }
+    }
+
+    _save() {
+        const value = new GLib.Variant(STATE_TYPE,
+            this._entries.map(_serializeEntry));
+        global.set_persistent_state(STATE_KEY, value);
+    }
+
+    _queueSave() {
+        if (this._saveId)
+            return;
+
+        this._saveId = GLib.idle_add(GLib.PRIORITY_LOW, () => {
+            this._saveId = 0;
+            this._save();
+            return GLib.SOURCE_REMOVE;
+        });
+        GLib.Source.set_name_by_id(this._saveId,
+            '[gnome-shell] NotificationHistory._save');
+    }
+
+    _prune() {
+        const retentionDays = this._settings.get_uint(RETENTION_KEY);
+        const minTimestamp =
+            GLib.DateTime.new_now_local().add_days(-retentionDays).to_unix();
+
+        let nInactive = 0;
+        this._entries = this._entries
+            .sort((e1, e2) => e2.timestamp - e1.timestamp)
+            .filter(e => {
+                if (e.active)
+                    return true;
+
+                if (retentionDays === 0 || e.timestamp < minTimestamp)
+                    return false;
+
+                return ++nInactive <= MAX_HISTORY_ENTRIES;
+            });
+    }
+
+    _onSourceAdded(source) {
+        source.connectObject('notification-added',
+            (s, notification) => this._trackNotification(notification), this);
+    }
+
+    _canStore(notification) {
+        if (notification.isTransient)
+            return false;
+
+        return notification.privacyScope === MessageTray.PrivacyScope.SYSTEM ||
+            notification.source.policy.showInLockScreen;
+    }
+
+    _claimEntry(notification) {
+        const appId = _getAppId(notification.source);
+        const index = this._unclaimedEntries.findIndex(e =>
+            e.appId === appId &&
+            e.title === (notification.title ?? '') &&
+            e.body === (notification.body ?? ''));
+        if (index < 0)
+            return null;
+
+        const [entry] = this._unclaimedEntries.splice(index, 1);
+        return entry;
+    }
+
+    _trackNotification(notification, entry = null) {
+        if (this._entryForNotification.has(notification))
+            return;
+
+        if (!entry && !this._canStore(notification))
+            return;
+
+        entry ??= this._claimEntry(notification);
+        if (!entry) {
+            entry = {id: GLib.uuid_string_random(), active: true};
+            this._updateEntry(entry, notification);
+            this._entries.unshift(entry);
+            this._prune();
+            this._queueSave();
+        }
+
+        this._entryForNotification.set(notification, entry);
+        notification.connectObject(
+            'notify::datetime', () => {
+                // The datetime property changes whenever the notification
+                // is updated
+                this._updateEntry(entry, notification);
+                this._queueSave();
+            },
+            'destroy', (n, reason) => {
+                this._entryForNotification.delete(notification);
+                this._onNotificationDestroyed(entry, reason);
+            }, this);
+    }
+
+    _updateEntry(entry, notification) {
+        const {source} = notification;
+
+        Object.assign(entry, {
+            appId: _getAppId(source),
+            sourceTitle: source.title ?? '',
+            sourceIcon: _storableIcon(source.icon),
+            title: notification.title ?? '',
+            body: notification.body ?? '',
+            useBodyMarkup: notification.useBodyMarkup,
+            icon: _storableIcon(notification.gicon),
+            urgency: notification.urgency,
+            privacyScope: notification.privacyScope,
+            timestamp: notification.datetime.to_unix(),
+        });
+    }
+
+    _onNotificationDestroyed(entry, reason) {
+        // A newer version of the notification takes over
+        if (reason === MessageTray.NotificationDestroyedReason.REPLACED) {
+            this._entries = this._entries.filter(e => e !== entry);
+        } else {
+            entry.active = false;
+            this._prune();
+        }
+
+        this._queueSave();
+        this.emit('changed');
+    }
+
+    _getRestoredSource(entry) {
+        const key = entry.appId || entry.sourceTitle;
+        let source = this._restoredSources.get(key);
+        if (source)
+            return source;
+
+        source = new RestoredSource(entry);
+        source.connect('destroy', () => this._restoredSources.delete(key));
+        this._restoredSources.set(key, source);
+        Main.messageTray.add(source);
+        return source;
+    }
+
+    /**
+     * Restores the notifications that were around when the Shell quit.
+     *
+     * This must be called after the notification daemons restored the
+     * notifications they keep track of themselves, so they aren't
+     * restored twice.
+     */
+    restoreNotifications() {
+        const entries = this._unclaimedEntries.sort(
+            (e1, e2) => e1.timestamp - e2.timestamp);
+        this._unclaimedEntries = [];
+
+        for (const entry of entries) {
+            const source = this._getRestoredSource(entry);
+            const notification = new MessageTray.Notification({
+                source,
+                title: entry.title,
+                body: entry.body,
+                useBodyMarkup: entry.useBodyMarkup,
+                gicon: entry.icon,
+                urgency: entry.urgency,
+                privacyScope: entry.privacyScope,
+                datetime: GLib.DateTime.new_from_unix_local(entry.timestamp),
+                // Don't show banners for notifications the user has
+                // already had the chance to see
+                acknowledged: true,
+            });
+            notification.connect('activated', () => source.open());
+
+            this._trackNotification(notification, entry);
+            source.addNotification(notification);
+            Main.messageTray.restoreSnooze(notification);
+        }
+
+        this._queueSave();
+    }
+
+    /**
+     * Gets the notifications that were dismissed or expired, newest first.
+     *
+     * @param {string} [query] - Only return entries that contain this text.
+     * @returns {HistoryEntry[]}
+     */
+    getEntries(query = '') {
+        query = query.trim().toLowerCase();
+        return this._entries.filter(e => !e.active && _entryMatches(e, query));
+    }
+
+    /**
+     * @param {HistoryEntry} entry - The entry to remove.
+     */
+    removeEntry(entry) {
+        this._entries = this._entries.filter(e => e !== entry);
+        this._queueSave();
+        this.emit('changed');
+    }
+
+    /**
+     * Removes all notifications that were dismissed or expired.
+     */
+    clear() {
+        this._entries = this._entries.filter(e => e.active);
+        this._queueSave();
+        this.emit('changed');
+    }
+}
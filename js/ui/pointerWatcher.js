@@ -1,10 +1,18 @@
 // -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
 
+import Clutter from 'gi://Clutter';
 import GLib from 'gi://GLib';
 
 // We stop polling if the user is idle for more than this amount of time
 const IDLE_TIME = 1000;
 
+const BUTTON_MASK =
+    Clutter.ModifierType.BUTTON1_MASK |
+    Clutter.ModifierType.BUTTON2_MASK |
+    Clutter.ModifierType.BUTTON3_MASK |
+    Clutter.ModifierType.BUTTON4_MASK |
+    Clutter.ModifierType.BUTTON5_MASK;
+
 // This file implements a reasonably efficient system for tracking the position
 // of the mouse pointer. We simply query the pointer from the X server in a loop,
 // but we turn off the polling when the user is idle.
@@ -44,14 +52,16 @@ class PointerWatcher {
         this._watches = [];
         this.pointerX = null;
         this.pointerY = null;
+        this.pointerButtons = 0;
     }
 
     // addWatch:
     // @interval: hint as to the time resolution needed. When the user is
     //   not idle, the position of the pointer will be queried at least
     //   once every this many milliseconds.
-    // @callback to call when the pointer position changes - takes
-    //   two arguments, X and Y.
+    // @callback to call when the pointer position or the state of its
+    //   buttons changes - takes three arguments, X, Y and the
+    //   Clutter.ModifierType mask of pressed buttons.
     //
     // Set up a watch on the position of the mouse pointer. Returns a
     // PointerWatch object which has a remove() method to remove the watch.
@@ -111,16 +121,19 @@ class PointerWatcher {
     }
 
     _updatePointer() {
-        let [x, y] = global.get_pointer();
-        if (this.pointerX === x && this.pointerY === y)
+        let [x, y, mods] = global.get_pointer();
+        const buttons = mods & BUTTON_MASK;
+        if (this.pointerX === x && this.pointerY === y &&
+            this.pointerButtons === buttons)
             return;
 
         this.pointerX = x;
         this.pointerY = y;
+        this.pointerButtons = buttons;
 
         for (let i = 0; i < this._watches.length;) {
             let watch = this._watches[i];
-            watch.callback(x, y);
+            watch.callback(x, y, buttons);
             if (watch === this._watches[i]) // guard against self-removal
                 i++;
         }
@@ -1,7 +1,7 @@
 // -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
 
 import Clutter from 'gi://Clutter';
-import Cogl from 'gi://Cogl';
+import GdkPixbuf from 'gi://GdkPixbuf';
 import Gio from 'gi://Gio';
 import GObject from 'gi://GObject';
 import GLib from 'gi://GLib';
@@ -12,10 +12,13 @@ import Shell from 'gi://Shell';
 import St from 'gi://St';
 
 import * as GrabHelper from './grabHelper.js';
+import * as InputVisualizer from './inputVisualizer.js';
 import * as Layout from './layout.js';
 import * as Lightbox from './lightbox.js';
 import * as Main from './main.js';
 import * as MessageTray from './messageTray.js';
+import * as ScreenshotEditor from './screenshotEditor.js';
+import * as ScrollingCapture from './scrollingCapture.js';
 import * as Workspace from './workspace.js';
 
 Gio._promisify(Shell.Screenshot.prototype, 'pick_color');
@@ -27,6 +30,8 @@ Gio._promisify(Shell.Screenshot, 'composite_to_stream');
 
 import {ScreencastErrors, ScreencastError} from '../misc/dbusErrors.js';
 import {loadInterfaceXML} from '../misc/fileUtils.js';
+import * as FilenameTemplate from '../misc/filenameTemplate.js';
+import * as TextRecognition from '../misc/textRecognition.js';
 import {DBusSenderChecker} from '../misc/util.js';
 
 const ScreenshotIface = loadInterfaceXML('org.gnome.Shell.Screenshot');
@@ -34,6 +39,29 @@ const ScreenshotIface = loadInterfaceXML('org.gnome.Shell.Screenshot');
 const ScreencastIface = loadInterfaceXML('org.gnome.Shell.Screencast');
 const ScreencastProxy = Gio.DBusProxy.makeProxyWrapper(ScreencastIface);
 
+// Capture delays offered by the screenshot UI, in seconds.
+const CAPTURE_DELAYS = [0, 3, 5, 10];
+
+// Maximum capture delay accepted over D-Bus, in seconds.
+const MAX_CAPTURE_DELAY = 60;
+
+// Frame rates offered by the screen recording UI.
+const SCREENCAST_FRAMERATES = [15, 30, 60];
+
+// The camera overlay is a 4:3 box, sized and placed relative to the
+// recorded area.
+const CAMERA_OVERLAY_SIZE = 0.25;
+const CAMERA_OVERLAY_ASPECT_RATIO = 4 / 3;
+const CAMERA_OVERLAY_MARGIN = 0.03;
+
+const SCREENSHOTS_SCHEMA = 'org.gnome.shell.screenshots';
+
+const FORMAT_EXTENSIONS = {
+    png: 'png',
+    jpeg: 'jpg',
+    webp: 'webp',
+};
+
 const IconLabelButton = GObject.registerClass(
 class IconLabelButton extends St.Button {
     _init(iconName, label, params) {
@@ -781,6 +809,7 @@ class UIWindowSelectorWindowContent extends Clutter.Actor {
         });
 
         const window = actor.metaWindow;
+        this._windowActor = actor;
         this._boundingBox = window.get_frame_rect();
         this._bufferRect = window.get_buffer_rect();
         this._bufferScale = actor.get_resource_scale();
@@ -830,6 +859,10 @@ class UIWindowSelectorWindowContent extends Clutter.Actor {
         return this._actor.content;
     }
 
+    get windowActor() {
+        return this._windowActor;
+    }
+
     _onDestroy() {
         this.remove_child(this._actor);
         this._actor.destroy();
@@ -837,6 +870,7 @@ class UIWindowSelectorWindowContent extends Clutter.Actor {
         this.remove_child(this._border);
         this._border.destroy();
         this._border = null;
+        this._windowActor = null;
 
         if (this._cursor) {
             this.remove_child(this._cursor);
@@ -973,6 +1007,10 @@ class UIWindowSelectorWindow extends St.Button {
         return this.child.windowContent;
     }
 
+    get windowActor() {
+        return this.child.windowActor;
+    }
+
     addCursorTexture(content, point, scale) {
         this.child.addCursorTexture(content, point, scale);
     }
@@ -1049,6 +1087,261 @@ class UIWindowSelector extends St.Widget {
     }
 });
 
+const UICountdown = GObject.registerClass(
+class UICountdown extends St.Bin {
+    _init() {
+        super._init({
+            style_class: 'screenshot-ui-countdown',
+            visible: false,
+        });
+        this.add_constraint(new Layout.MonitorConstraint({primary: true}));
+
+        this._label = new St.Label({
+            style_class: 'screenshot-ui-countdown-label',
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this._label.set_pivot_point(0.5, 0.5);
+        this.set_child(this._label);
+
+        this._timeoutId = 0;
+        this._resolve = null;
+    }
+
+    /**
+     * Counts down the given number of seconds.
+     *
+     * @param {number} seconds - The number of seconds to count down.
+     * @returns {Promise<boolean>} whether the countdown ran to completion
+     */
+    run(seconds) {
+        this.cancel();
+
+        return new Promise(resolve => {
+            let remaining = seconds;
+
+            this._resolve = resolve;
+            this._setRemaining(remaining);
+            this.show();
+
+            this._timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 1000, () => {
+                remaining--;
+                if (remaining > 0) {
+                    this._setRemaining(remaining);
+                    return GLib.SOURCE_CONTINUE;
+                }
+
+                this._timeoutId = 0;
+                this._finish(true);
+                return GLib.SOURCE_REMOVE;
+            });
+            GLib.Source.set_name_by_id(this._timeoutId, '[gnome-shell] screenshot countdown');
+        });
+    }
+
+    cancel() {
+        if (!this._timeoutId)
+            return;
+
+        GLib.source_remove(this._timeoutId);
+        this._timeoutId = 0;
+        this._finish(false);
+    }
+
+    get running() {
+        return this._timeoutId !== 0;
+    }
+
+    _setRemaining(seconds) {
+        this._label.text = `${seconds}`;
+
+        this._label.remove_all_transitions();
+        this._label.set({opacity: 255, scale_x: 1, scale_y: 1});
+        this._label.ease({
+            opacity: 0,
+            scale_x: 0.5,
+            scale_y: 0.5,
+            duration: 900,
+            mode: Clutter.AnimationMode.EASE_IN_QUAD,
+        });
+    }
+
+    _finish(completed) {
+        this._label.remove_all_transitions();
+        this.hide();
+
+        const resolve = this._resolve;
+        this._resolve = null;
+        resolve(completed);
+    }
+});
+
+/**
+ * Marks where the camera image goes in a screen recording, and lets the user
+ * move it around. It is only shown while the recording is paused, so that it
+ * neither ends up in the recording nor gets in the way of the recorded
+ * windows.
+ */
+const UICameraOverlay = GObject.registerClass({
+    Signals: {'moved': {}},
+}, class UICameraOverlay extends St.Widget {
+    _init() {
+        super._init({
+            style_class: 'screenshot-ui-camera-overlay',
+            layout_manager: new Clutter.BinLayout(),
+            reactive: true,
+            track_hover: true,
+            visible: false,
+        });
+
+        this.add_child(new St.Icon({
+            icon_name: 'camera-video-symbolic',
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.CENTER,
+            x_expand: true,
+            y_expand: true,
+        }));
+
+        this._area = [0, 0, 1, 1];
+        this._dragGrab = null;
+        this._dragSequence = null;
+        this._dragOffset = [0, 0];
+
+        this.connect('notify::visible', () => {
+            if (!this.visible)
+                this._endDrag(this._dragSequence);
+        });
+    }
+
+    /**
+     * Sets the recorded area, and moves the overlay to its bottom right
+     * corner.
+     *
+     * @param {number} x - The X coordinate of the area.
+     * @param {number} y - The Y coordinate of the area.
+     * @param {number} width - The width of the area.
+     * @param {number} height - The height of the area.
+     */
+    setArea(x, y, width, height) {
+        this._area = [x, y, width, height];
+
+        const overlayWidth = Math.round(width * CAMERA_OVERLAY_SIZE);
+        const overlayHeight = Math.round(overlayWidth / CAMERA_OVERLAY_ASPECT_RATIO);
+        this.set_size(overlayWidth, overlayHeight);
+
+        const margin = Math.round(width * CAMERA_OVERLAY_MARGIN);
+        this._moveTo(
+            x + width - overlayWidth - margin,
+            y + height - overlayHeight - margin);
+    }
+
+    /**
+     * @returns {number[]} the position of the overlay as fractions of the
+     *   width and height of the recorded area
+     */
+    getRelativePosition() {
+        const [x, y, width, height] = this._area;
+        return [(this.x - x) / width, (this.y - y) / height];
+    }
+
+    _moveTo(x, y) {
+        const [areaX, areaY, width, height] = this._area;
+        this.set_position(
+            Math.clamp(x, areaX, areaX + width - this.width),
+            Math.clamp(y, areaY, areaY + height - this.height));
+    }
+
+    _startDrag(event, sequence) {
+        if (this._dragGrab)
+            return Clutter.EVENT_PROPAGATE;
+
+        const [x, y] = event.get_coords();
+        this._dragOffset = [x - this.x, y - this.y];
+        this._dragSequence = sequence;
+        this._dragGrab = global.stage.grab(this);
+
+        return Clutter.EVENT_STOP;
+    }
+
+    _drag(event, sequence) {
+        if (!this._dragGrab ||
+            sequence?.get_slot() !== this._dragSequence?.get_slot())
+            return Clutter.EVENT_PROPAGATE;
+
+        const [x, y] = event.get_coords();
+        const [offsetX, offsetY] = this._dragOffset;
+        this._moveTo(x - offsetX, y - offsetY);
+
+        return Clutter.EVENT_STOP;
+    }
+
+    _endDrag(sequence) {
+        if (!this._dragGrab ||
+            sequence?.get_slot() !== this._dragSequence?.get_slot())
+            return Clutter.EVENT_PROPAGATE;
+
+        this._dragGrab.dismiss();
+        this._dragGrab = null;
+        this._dragSequence = null;
+
+        this.emit('moved');
+
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_button_press_event(event) {
+        if (event.get_button() !== Clutter.BUTTON_PRIMARY)
+            return Clutter.EVENT_PROPAGATE;
+
+        return this._startDrag(event, null);
+    }
+
+    vfunc_button_release_event(event) {
+        if (event.get_button() !== Clutter.BUTTON_PRIMARY)
+            return Clutter.EVENT_PROPAGATE;
+
+        return this._endDrag(null);
+    }
+
+    vfunc_motion_event(event) {
+        return this._drag(event, null);
+    }
+
+    vfunc_touch_event(event) {
+        const eventType = event.type();
+        const sequence = event.get_event_sequence();
+        if (eventType === Clutter.EventType.TOUCH_BEGIN)
+            return this._startDrag(event, sequence);
+        else if (eventType === Clutter.EventType.TOUCH_END)
+            return this._endDrag(sequence);
+        else if (eventType === Clutter.EventType.TOUCH_UPDATE)
+            return this._drag(event, sequence);
+
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    vfunc_enter_event(event) {
+        global.display.set_cursor(Meta.Cursor.MOVE_OR_RESIZE_WINDOW);
+        return super.vfunc_enter_event(event);
+    }
+
+    vfunc_leave_event(event) {
+        if (!this._dragGrab)
+            global.display.set_cursor(Meta.Cursor.DEFAULT);
+        return super.vfunc_leave_event(event);
+    }
+
+    vfunc_hide() {
+        if (this._dragGrab) {
+            this._dragGrab.dismiss();
+            this._dragGrab = null;
+            this._dragSequence = null;
+        }
+
+        super.vfunc_hide();
+    }
+});
+
 const UIMode = {
     SCREENSHOT: 0,
     SCREENCAST: 1,
@@ -1068,6 +1361,12 @@ export const ScreenshotUI = GObject.registerClass({
             'screencast-in-progress',
             GObject.ParamFlags.READABLE,
             false),
+        'screencast-paused': GObject.ParamSpec.boolean(
+            'screencast-paused',
+            'screencast-paused',
+            'screencast-paused',
+            GObject.ParamFlags.READABLE,
+            false),
     },
     Signals: {
         'screenshot-taken': {param_types: [Gio.File.$gtype]},
@@ -1088,8 +1387,13 @@ export const ScreenshotUI = GObject.registerClass({
         });
 
         this._screencastInProgress = false;
+        this._screencastPaused = false;
         this._screencastSupported = false;
+        this._audioSupported = false;
+        this._supportedFormats = [];
+        this._cameraSupported = false;
         this._currentMode = UIMode.SCREENSHOT;
+        this._captureDelay = 0;
 
         this._screencastProxy = new ScreencastProxy(
             Gio.DBus.session,
@@ -1102,13 +1406,28 @@ export const ScreenshotUI = GObject.registerClass({
                 }
 
                 this._screencastSupported = this._screencastProxy.ScreencastSupported;
+                this._audioSupported = this._screencastProxy.AudioSupported;
+                this._supportedFormats =
+                    this._screencastProxy.SupportedFormats ?? [];
+                this._cameraSupported = this._screencastProxy.CameraSupported;
                 this._syncCastButton();
+                this._syncScreencastButtons();
             });
 
         this._screencastProxy.connectSignal('Error', (proxy, sender, [errorName, message]) =>
             this._screencastFailed(ScreencastPhase.RECORDING,
                 Gio.DBusError.new_for_dbus_error(errorName, message)));
 
+        this._screencastProxy.connectSignal('Stopped', () => {
+            if (!this._screencastInProgress)
+                return;
+
+            this._setScreencastInProgress(false);
+
+            // Translators: notification title.
+            this._showNotification(_('Screencast recorded: Time or size limit reached'));
+        });
+
         this._screencastProxy.connect('notify::g-name-owner', () => {
             if (this._screencastProxy.g_name_owner)
                 return;
@@ -1127,6 +1446,7 @@ export const ScreenshotUI = GObject.registerClass({
         });
 
         this._lockdownSettings = new Gio.Settings({schema_id: 'org.gnome.desktop.lockdown'});
+        this._settings = new Gio.Settings({schema_id: SCREENSHOTS_SCHEMA});
 
         // The full-screen screenshot has a separate container so that we can
         // show it without the screenshot UI fade-in for a nicer animation.
@@ -1155,6 +1475,31 @@ export const ScreenshotUI = GObject.registerClass({
         global.stage.add_child(this._screencastAreaIndicator);
         Shell.util_set_hidden_from_pick(this._screencastAreaIndicator, true);
 
+        this._cameraOverlay = new UICameraOverlay();
+        this._cameraOverlay.connect('moved', () => {
+            this._screencastProxy.MoveCameraOverlayAsync(
+                ...this._cameraOverlay.getRelativePosition()).catch(logError);
+        });
+        this._screencastCamera = false;
+        this.connect('notify::screencast-in-progress', () => {
+            if (!this._screencastInProgress) {
+                this._screencastCamera = false;
+                this._inputVisualizer.stop();
+            }
+            this._updateCameraOverlay();
+        });
+        this.connect('notify::screencast-paused',
+            () => this._updateCameraOverlay());
+        global.stage.add_child(this._cameraOverlay);
+
+        this._inputVisualizer = new InputVisualizer.InputVisualizer();
+
+        // The countdown for delayed captures stays above popup menus too, so
+        // that transient UI can be opened while it is running.
+        this._countdown = new UICountdown();
+        global.stage.add_child(this._countdown);
+        Shell.util_set_hidden_from_pick(this._countdown, true);
+
         Main.layoutManager.screenshotUIGroup.add_child(this);
 
         this._stageScreenshot = new St.Widget({style_class: 'screenshot-ui-screen-screenshot'});
@@ -1363,6 +1708,27 @@ export const ScreenshotUI = GObject.registerClass({
         });
         this._bottomRowContainer.add_child(this._showPointerButtonContainer);
 
+        this._delayLabel = new St.Label({
+            y_align: Clutter.ActorAlign.CENTER,
+            visible: false,
+        });
+        const delayBox = new St.BoxLayout({style_class: 'screenshot-ui-delay-button-box'});
+        delayBox.add_child(new St.Icon({icon_name: 'preferences-system-time-symbolic'}));
+        delayBox.add_child(this._delayLabel);
+
+        this._delayButton = new St.Button({
+            style_class: 'screenshot-ui-delay-button',
+            child: delayBox,
+        });
+        this._delayButton.connect('clicked', () => this._cycleCaptureDelay());
+        this._showPointerButtonContainer.add_child(this._delayButton);
+
+        this.add_child(new Tooltip(this._delayButton, {
+            text: _('Capture Delay'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
         this._showPointerButton = new St.Button({
             style_class: 'screenshot-ui-show-pointer-button',
             icon_name: 'screenshot-ui-show-pointer-symbolic',
@@ -1376,6 +1742,150 @@ export const ScreenshotUI = GObject.registerClass({
             visible: false,
         }));
 
+        this._scrollButton = new St.Button({
+            style_class: 'screenshot-ui-show-pointer-button',
+            icon_name: 'screenshot-ui-scrolling-symbolic',
+            toggle_mode: true,
+            visible: false,
+        });
+        this._showPointerButtonContainer.add_child(this._scrollButton);
+
+        this.add_child(new Tooltip(this._scrollButton, {
+            text: _('Capture Scrolling Window'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._annotateButton = new St.Button({
+            style_class: 'screenshot-ui-annotate-button',
+            icon_name: 'screenshot-ui-annotate-symbolic',
+            toggle_mode: true,
+        });
+        this._showPointerButtonContainer.add_child(this._annotateButton);
+
+        this.add_child(new Tooltip(this._annotateButton, {
+            text: _('Annotate Before Saving'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._formatButton = new St.Button({
+            style_class: 'screenshot-ui-option-button',
+            visible: false,
+        });
+        this._formatButton.connect('clicked',
+            () => this._cycleScreencastFormat());
+        this._showPointerButtonContainer.add_child(this._formatButton);
+
+        this.add_child(new Tooltip(this._formatButton, {
+            text: _('Recording Format'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._framerateButton = new St.Button({
+            style_class: 'screenshot-ui-option-button',
+            visible: false,
+        });
+        this._framerateButton.connect('clicked',
+            () => this._cycleScreencastFramerate());
+        this._showPointerButtonContainer.add_child(this._framerateButton);
+
+        this.add_child(new Tooltip(this._framerateButton, {
+            text: _('Frame Rate'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._settings.connect('changed::screencast-format',
+            () => this._syncScreencastOptionButtons());
+        this._settings.connect('changed::screencast-framerate',
+            () => this._syncScreencastOptionButtons());
+        this._syncScreencastOptionButtons();
+
+        this._cameraButton = new St.Button({
+            style_class: 'screenshot-ui-show-pointer-button',
+            icon_name: 'camera-video-symbolic',
+            toggle_mode: true,
+            visible: false,
+        });
+        this._settings.bind('screencast-camera-overlay',
+            this._cameraButton, 'checked',
+            Gio.SettingsBindFlags.DEFAULT);
+        this._showPointerButtonContainer.add_child(this._cameraButton);
+
+        this.add_child(new Tooltip(this._cameraButton, {
+            text: _('Show Camera'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._showInputButton = new St.Button({
+            style_class: 'screenshot-ui-show-pointer-button',
+            icon_name: 'input-keyboard-symbolic',
+            toggle_mode: true,
+            visible: false,
+        });
+        this._settings.bind('screencast-show-input',
+            this._showInputButton, 'checked',
+            Gio.SettingsBindFlags.DEFAULT);
+        this._showPointerButtonContainer.add_child(this._showInputButton);
+
+        this.add_child(new Tooltip(this._showInputButton, {
+            text: _('Show Keys and Clicks'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._desktopAudioButton = new St.Button({
+            style_class: 'screenshot-ui-show-pointer-button',
+            icon_name: 'audio-speakers-symbolic',
+            toggle_mode: true,
+            visible: false,
+        });
+        this._settings.bind('record-desktop-audio',
+            this._desktopAudioButton, 'checked',
+            Gio.SettingsBindFlags.DEFAULT);
+        this._showPointerButtonContainer.add_child(this._desktopAudioButton);
+
+        this.add_child(new Tooltip(this._desktopAudioButton, {
+            text: _('Record Desktop Audio'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._microphoneButton = new St.Button({
+            style_class: 'screenshot-ui-show-pointer-button',
+            icon_name: 'audio-input-microphone-symbolic',
+            toggle_mode: true,
+            visible: false,
+        });
+        this._settings.bind('record-microphone',
+            this._microphoneButton, 'checked',
+            Gio.SettingsBindFlags.DEFAULT);
+        this._showPointerButtonContainer.add_child(this._microphoneButton);
+
+        this.add_child(new Tooltip(this._microphoneButton, {
+            text: _('Record Microphone'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
+        this._textRecognitionAvailable = false;
+        this._copyTextButton = new St.Button({
+            style_class: 'screenshot-ui-show-pointer-button',
+            icon_name: 'screenshot-ui-copy-text-symbolic',
+            toggle_mode: true,
+            visible: false,
+        });
+        this._showPointerButtonContainer.add_child(this._copyTextButton);
+
+        this.add_child(new Tooltip(this._copyTextButton, {
+            text: _('Copy Text'),
+            style_class: 'screenshot-ui-tooltip',
+            visible: false,
+        }));
+
         this._showPointerButton.connect('notify::checked', () => {
             const state = this._showPointerButton.checked;
             this._cursor.visible = state;
@@ -1387,6 +1897,14 @@ export const ScreenshotUI = GObject.registerClass({
         });
         this._cursor.visible = false;
 
+        this._editor = new ScreenshotEditor.ScreenshotEditor();
+        this._editor.connect('done', () => {
+            this._saveEditedScreenshot().catch(logError);
+            this.close();
+        });
+        this._editor.connect('cancelled', () => this._closeEditor());
+        this.add_child(this._editor);
+
         this._monitorBins = [];
         this._windowSelectors = [];
         this._rebuildMonitorBins();
@@ -1483,14 +2001,84 @@ export const ScreenshotUI = GObject.registerClass({
             !this._castButton.checked;
     }
 
-    _refreshButtonLayout() {
-        const buttonLayout = Meta.prefs_get_button_layout();
+    _syncScrollButton() {
+        this._scrollButton.visible =
+            this._windowButton.checked && this._shotButton.checked;
+    }
 
-        this._closeButton.remove_style_class_name('left');
-        this._closeButton.remove_style_class_name('right');
+    async _updateCameraSupported() {
+        // Cameras come and go, so the service has to be asked every time
+        // rather than relying on the cached property.
+        try {
+            const reply = await Gio.DBus.session.call(
+                'org.gnome.Shell.Screencast',
+                '/org/gnome/Shell/Screencast',
+                'org.freedesktop.DBus.Properties',
+                'Get',
+                new GLib.Variant('(ss)',
+                    ['org.gnome.Shell.Screencast', 'CameraSupported']),
+                new GLib.VariantType('(v)'),
+                Gio.DBusCallFlags.NONE,
+                -1,
+                null);
+            [this._cameraSupported] = reply.recursiveUnpack();
+        } catch (e) {
+            logError(e, 'Failed to check for camera support');
+            this._cameraSupported = false;
+        }
 
-        if (buttonLayout.left_buttons.includes(Meta.ButtonFunction.CLOSE)) {
-            this._closeButton.add_style_class_name('left');
+        this._syncScreencastButtons();
+    }
+
+    _syncScreencastButtons() {
+        const visible = this._audioSupported && this._castButton.checked;
+        this._desktopAudioButton.visible = visible;
+        this._microphoneButton.visible = visible;
+
+        this._formatButton.visible = this._castButton.checked;
+        this._framerateButton.visible = this._castButton.checked;
+        this._cameraButton.visible =
+            this._cameraSupported && this._castButton.checked;
+        this._showInputButton.visible = this._castButton.checked;
+    }
+
+    _syncScreencastOptionButtons() {
+        const format = this._settings.get_string('screencast-format');
+        this._formatButton.label = _getScreencastFormatName(format);
+
+        const framerate = this._settings.get_int('screencast-framerate');
+        // Translators: frame rate of screen recordings, in frames per second.
+        this._framerateButton.label = _('%d fps').format(framerate);
+    }
+
+    _cycleScreencastFormat() {
+        const formats = ['auto', ...this._supportedFormats];
+        const index = formats.indexOf(
+            this._settings.get_string('screencast-format'));
+        this._settings.set_string('screencast-format',
+            formats[(index + 1) % formats.length]);
+    }
+
+    _cycleScreencastFramerate() {
+        const index = SCREENCAST_FRAMERATES.indexOf(
+            this._settings.get_int('screencast-framerate'));
+        this._settings.set_int('screencast-framerate',
+            SCREENCAST_FRAMERATES[(index + 1) % SCREENCAST_FRAMERATES.length]);
+    }
+
+    _syncCopyTextButton() {
+        this._copyTextButton.visible =
+            this._textRecognitionAvailable && this._shotButton.checked;
+    }
+
+    _refreshButtonLayout() {
+        const buttonLayout = Meta.prefs_get_button_layout();
+
+        this._closeButton.remove_style_class_name('left');
+        this._closeButton.remove_style_class_name('right');
+
+        if (buttonLayout.left_buttons.includes(Meta.ButtonFunction.CLOSE)) {
+            this._closeButton.add_style_class_name('left');
             this._closeButtonXAlignConstraint.factor = 0;
         } else {
             this._closeButton.add_style_class_name('right');
@@ -1566,6 +2154,10 @@ export const ScreenshotUI = GObject.registerClass({
         if (this._openingCoroutineInProgress)
             return;
 
+        // Opening the UI again takes over from a pending delayed capture.
+        this._countdown.cancel();
+        this._scrollingCapture?.cancel();
+
         if (this._screencastInProgress)
             return;
 
@@ -1576,6 +2168,13 @@ export const ScreenshotUI = GObject.registerClass({
         this._castButton.checked = mode === UIMode.SCREENCAST;
         this._syncCastButton();
 
+        if (this._screencastSupported)
+            this._updateCameraSupported();
+
+        // The engine may have been installed or removed in the meantime.
+        this._textRecognitionAvailable = TextRecognition.isAvailable();
+        this._syncCopyTextButton();
+
         if (!this.visible) {
             // Screenshot UI is opening from completely closed state
             // (rather than opening back from in process of closing).
@@ -1691,6 +2290,8 @@ export const ScreenshotUI = GObject.registerClass({
         this._stageScreenshot.set_content(null);
         this._cursor.set_content(null);
 
+        this._closeEditor();
+
         this._areaSelector.reset();
         for (const selector of this._windowSelectors)
             selector.reset();
@@ -1777,6 +2378,8 @@ export const ScreenshotUI = GObject.registerClass({
     }
 
     _onWindowButtonToggled() {
+        this._syncScrollButton();
+
         if (this._windowButton.checked) {
             this._windowButton.toggle_mode = false;
             this._selectionButton.checked = false;
@@ -1807,6 +2410,9 @@ export const ScreenshotUI = GObject.registerClass({
     }
 
     _onShotButtonToggled() {
+        this._syncScrollButton();
+        this._syncCopyTextButton();
+
         if (this._shotButton.checked) {
             this._shotButton.toggle_mode = false;
 
@@ -1827,6 +2433,8 @@ export const ScreenshotUI = GObject.registerClass({
             this._castButton.toggle_mode = false;
 
             this._captureButton.add_style_pseudo_class('cast');
+            this._annotateButton.hide();
+            this._syncScreencastButtons();
 
             this._stageScreenshotContainer.remove_all_transitions();
             this._stageScreenshotContainer.ease({
@@ -1845,6 +2453,8 @@ export const ScreenshotUI = GObject.registerClass({
             this._castButton.toggle_mode = true;
 
             this._captureButton.remove_style_pseudo_class('cast');
+            this._annotateButton.show();
+            this._syncScreencastButtons();
 
             this._syncWindowButtonSensitivity();
         }
@@ -1876,8 +2486,30 @@ export const ScreenshotUI = GObject.registerClass({
         return [x, y, w, h];
     }
 
+    _cycleCaptureDelay() {
+        const index = CAPTURE_DELAYS.indexOf(this._captureDelay);
+        this._captureDelay = CAPTURE_DELAYS[(index + 1) % CAPTURE_DELAYS.length];
+
+        this._delayLabel.visible = this._captureDelay > 0;
+        this._delayLabel.text = ngettext(
+            '%d second', '%d seconds', this._captureDelay).format(this._captureDelay);
+        this._delayButton.checked = this._captureDelay > 0;
+    }
+
     _onCaptureButtonClicked() {
-        if (this._shotButton.checked) {
+        if (this._copyTextButton.visible && this._copyTextButton.checked) {
+            this._copyText().catch(logError);
+            this.close();
+        } else if (this._scrollButton.visible && this._scrollButton.checked) {
+            this._captureScrolling().catch(logError);
+        } else if (this._captureDelay > 0) {
+            if (this._shotButton.checked)
+                this._captureDelayed().catch(logError);
+            else
+                this._startScreencastDelayed().catch(logError);
+        } else if (this._shotButton.checked && this._annotateButton.checked) {
+            this._openEditor().catch(logError);
+        } else if (this._shotButton.checked) {
             this._saveScreenshot().catch(logError);
             this.close();
         } else {
@@ -1886,13 +2518,11 @@ export const ScreenshotUI = GObject.registerClass({
         }
     }
 
-    async _saveScreenshot() {
-        let file = null;
-
+    _getScreenshotParams() {
         if (this._selectionButton.checked || this._screenButton.checked) {
             const content = this._stageScreenshot.get_content();
             if (!content)
-                return; // Failed to capture the screenshot for some reason.
+                return null; // Failed to capture the screenshot for some reason.
 
             const texture = content.get_texture();
             const geometry = this._getSelectedGeometry(true);
@@ -1901,29 +2531,25 @@ export const ScreenshotUI = GObject.registerClass({
             if (!this._cursor.visible)
                 cursorTexture = null;
 
-            try {
-                file = await captureScreenshot(
-                    texture, geometry, this._scale,
-                    {
-                        texture: cursorTexture ?? null,
-                        x: this._cursor.x * this._scale,
-                        y: this._cursor.y * this._scale,
-                        scale: this._cursorScale,
-                    }
-                );
-            } catch (e) {
-                logError(e, 'Error capturing screenshot');
-            }
+            return [
+                texture, geometry, this._scale,
+                {
+                    texture: cursorTexture ?? null,
+                    x: this._cursor.x * this._scale,
+                    y: this._cursor.y * this._scale,
+                    scale: this._cursorScale,
+                },
+            ];
         } else if (this._windowButton.checked) {
             const window =
                 this._windowSelectors.flatMap(selector => selector.windows())
                                      .find(win => win.checked);
             if (!window)
-                return;
+                return null;
 
             const content = window.windowContent;
             if (!content)
-                return;
+                return null;
 
             const texture = content.get_texture();
 
@@ -1931,21 +2557,242 @@ export const ScreenshotUI = GObject.registerClass({
             if (!this._cursor.visible)
                 cursorTexture = null;
 
-            try {
-                file = await captureScreenshot(
-                    texture,
-                    null,
-                    window.bufferScale,
-                    {
-                        texture: cursorTexture ?? null,
-                        x: window.cursorPoint.x * window.bufferScale,
-                        y: window.cursorPoint.y * window.bufferScale,
-                        scale: this._cursorScale,
-                    }
-                );
-            } catch (e) {
-                logError(e, 'Error capturing screenshot');
+            return [
+                texture,
+                null,
+                window.bufferScale,
+                {
+                    texture: cursorTexture ?? null,
+                    x: window.cursorPoint.x * window.bufferScale,
+                    y: window.cursorPoint.y * window.bufferScale,
+                    scale: this._cursorScale,
+                },
+                window.windowActor.metaWindow,
+            ];
+        }
+
+        return null;
+    }
+
+    async _saveScreenshot() {
+        const params = this._getScreenshotParams();
+        if (!params)
+            return;
+
+        let file = null;
+        try {
+            file = await captureScreenshot(...params);
+        } catch (e) {
+            logError(e, 'Error capturing screenshot');
+        }
+
+        if (file)
+            this.emit('screenshot-taken', file);
+    }
+
+    async _copyText() {
+        const params = this._getScreenshotParams();
+        if (!params)
+            return;
+
+        // The pointer would only get in the way of recognizing the text.
+        const [texture, geometry, scale] = params;
+        const [bytes, pixbuf] =
+            await _compositeScreenshot(texture, geometry, scale, null);
+
+        const settings = new Gio.Settings({schema_id: SCREENSHOTS_SCHEMA});
+        let text;
+        try {
+            text = await TextRecognition.recognizeText(bytes,
+                settings.get_string('text-recognition-languages'));
+        } catch (e) {
+            // Translators: notification title.
+            Main.notifyError(_('Could not copy text'), e.message);
+            return;
+        }
+
+        _storeRecognizedText(text, pixbuf);
+    }
+
+    async _captureDelayed() {
+        // Remember what to capture; closing resets the window selection.
+        const includeCursor = this._cursor.visible;
+        const annotate = this._annotateButton.checked;
+        const geometry = this._windowButton.checked
+            ? null : this._getSelectedGeometry(false);
+        const windowActor = this._windowButton.checked
+            ? this._windowSelectors.flatMap(selector => selector.windows())
+                .find(win => win.checked)?.windowActor ?? null
+            : null;
+
+        if (!geometry && !windowActor)
+            return;
+
+        this.close(true);
+
+        // The window may go away during the countdown
+        let windowClosed = false;
+        const destroyId =
+            windowActor?.connect('destroy', () => (windowClosed = true));
+        const proceed = await this._countdown.run(this._captureDelay);
+        if (windowActor && !windowClosed)
+            windowActor.disconnect(destroyId);
+
+        if (!proceed)
+            return;
+
+        if (windowClosed) {
+            Main.notifyError(_('Screenshot failed'),
+                _('The window was closed before it could be captured.'));
+            return;
+        }
+
+        let params;
+        if (windowActor) {
+            const window = windowActor.metaWindow;
+            const content = windowActor.paint_to_content(null);
+            const bufferRect = window.get_buffer_rect();
+            const bufferScale = windowActor.get_resource_scale();
+
+            // Like in the window selector, the pointer is only drawn when
+            // it is over the window
+            let cursor = null;
+            if (includeCursor && window.has_pointer && window.has_pointer()) {
+                const shooter = new Shell.Screenshot();
+                const [, , cursorContent, cursorPoint, cursorScale] =
+                    await shooter.screenshot_stage_to_content();
+                cursor = {
+                    texture: cursorContent?.get_texture() ?? null,
+                    x: ((cursorPoint?.x ?? 0) - bufferRect.x) * bufferScale,
+                    y: ((cursorPoint?.y ?? 0) - bufferRect.y) * bufferScale,
+                    scale: cursorScale,
+                };
             }
+
+            params = [content.get_texture(), null, bufferScale, cursor, window];
+        } else {
+            const shooter = new Shell.Screenshot();
+            const [content, scale, cursorContent, cursorPoint, cursorScale] =
+                await shooter.screenshot_stage_to_content();
+            params = [
+                content.get_texture(),
+                geometry.map(coord => coord * scale),
+                scale,
+                {
+                    texture: includeCursor ? cursorContent?.get_texture() ?? null : null,
+                    x: (cursorPoint?.x ?? 0) * scale,
+                    y: (cursorPoint?.y ?? 0) * scale,
+                    scale: cursorScale,
+                },
+            ];
+        }
+
+        if (annotate) {
+            const [, pixbuf] = await _compositeScreenshot(...params);
+            await this._reopenEditor(pixbuf, params[2]);
+            return;
+        }
+
+        let file = null;
+        try {
+            file = await captureScreenshot(...params);
+        } catch (e) {
+            logError(e, 'Error capturing screenshot');
+        }
+
+        if (file)
+            this.emit('screenshot-taken', file);
+    }
+
+    async _captureScrolling() {
+        const windowActor =
+            this._windowSelectors.flatMap(selector => selector.windows())
+                .find(win => win.checked)?.windowActor;
+        if (!windowActor)
+            return;
+
+        const annotate = this._annotateButton.checked;
+
+        this.close(true);
+
+        // The capture notices when the window goes away during the countdown
+        const capture = new ScrollingCapture.ScrollingCapture(windowActor);
+        this._scrollingCapture = capture;
+
+        let pixbuf = null;
+        try {
+            if (this._captureDelay > 0 &&
+                !await this._countdown.run(this._captureDelay))
+                capture.cancel();
+            else
+                pixbuf = await capture.capture();
+        } catch (e) {
+            logError(e, 'Error capturing scrolling screenshot');
+        }
+
+        if (this._scrollingCapture === capture)
+            delete this._scrollingCapture;
+
+        if (!pixbuf)
+            return;
+
+        if (annotate) {
+            await this._reopenEditor(pixbuf, windowActor.get_resource_scale());
+            return;
+        }
+
+        let file = null;
+        try {
+            file = _captureScreenshotPixbuf(pixbuf, windowActor.metaWindow);
+        } catch (e) {
+            logError(e, 'Error capturing screenshot');
+        }
+
+        if (file)
+            this.emit('screenshot-taken', file);
+    }
+
+    async _reopenEditor(pixbuf, scale) {
+        // The UI was closed for capturing, bring it back for editing.
+        await this.open();
+        if (this.visible)
+            this._showEditor(pixbuf, scale);
+    }
+
+    async _openEditor() {
+        const params = this._getScreenshotParams();
+        if (!params)
+            return;
+
+        const [, pixbuf] = await _compositeScreenshot(...params);
+        this._showEditor(pixbuf, params[2]);
+    }
+
+    _showEditor(pixbuf, scale) {
+        this._areaSelector.stopDrag();
+        this._panel.hide();
+        this._closeButton.hide();
+
+        this._editor.open(pixbuf, scale);
+    }
+
+    _closeEditor() {
+        if (!this._editor.visible)
+            return;
+
+        this._editor.close();
+        this._panel.show();
+        this._closeButton.show();
+        this.grab_key_focus();
+    }
+
+    async _saveEditedScreenshot() {
+        let file = null;
+        try {
+            const texture = this._editor.render();
+            file = await captureScreenshot(texture, null, 1, null);
+        } catch (e) {
+            logError(e, 'Error capturing screenshot');
         }
 
         if (file)
@@ -1958,20 +2805,54 @@ export const ScreenshotUI = GObject.registerClass({
 
         const [x, y, w, h] = this._getSelectedGeometry(false);
         const drawCursor = this._cursor.visible;
+        const desktopAudio =
+            this._audioSupported && this._desktopAudioButton.checked;
+        const microphone =
+            this._audioSupported && this._microphoneButton.checked;
+        const maxDuration = this._settings.get_uint('screencast-max-duration');
+        const maxFileSize =
+            this._settings.get_uint('screencast-max-size') * 1024 * 1024;
+        const format = this._settings.get_string('screencast-format');
 
         // Set up the screencast indicator rect.
+        let area;
         if (this._selectionButton.checked) {
-            this._screencastAreaIndicator.setSelectionRect(
-                ...this._areaSelector.getGeometry());
+            area = this._areaSelector.getGeometry();
         } else if (this._screenButton.checked) {
             const index =
                 this._screenSelectors.findIndex(screen => screen.checked);
             const monitor = Main.layoutManager.monitors[index];
 
-            this._screencastAreaIndicator.setSelectionRect(
-                monitor.x, monitor.y, monitor.width, monitor.height);
+            area = [monitor.x, monitor.y, monitor.width, monitor.height];
+        }
+        this._screencastAreaIndicator.setSelectionRect(...area);
+
+        const camera = this._cameraSupported && this._cameraButton.checked;
+        if (camera)
+            this._cameraOverlay.setArea(...area);
+
+        const options = {
+            'draw-cursor': new GLib.Variant('b', drawCursor),
+            'desktop-audio': new GLib.Variant('b', desktopAudio),
+            'microphone': new GLib.Variant('b', microphone),
+            'max-duration': new GLib.Variant('u', maxDuration),
+            'max-file-size': new GLib.Variant('t', maxFileSize),
+            'framerate': new GLib.Variant('i',
+                this._settings.get_int('screencast-framerate')),
+        };
+        if (format !== 'auto')
+            options['format'] = new GLib.Variant('s', format);
+        if (camera) {
+            const [cameraX, cameraY] = this._cameraOverlay.getRelativePosition();
+            options['camera-overlay'] = new GLib.Variant('b', true);
+            options['camera-overlay-x'] = new GLib.Variant('d', cameraX);
+            options['camera-overlay-y'] = new GLib.Variant('d', cameraY);
+            options['camera-overlay-size'] =
+                new GLib.Variant('d', CAMERA_OVERLAY_SIZE);
         }
 
+        const showInput = this._showInputButton.checked;
+
         // Close instantly so the fade-out doesn't get recorded.
         this.close(true);
 
@@ -2002,9 +2883,25 @@ export const ScreenshotUI = GObject.registerClass({
                     /* xgettext:no-c-format */
                     _('Screencast from %d %t'),
                 ]),
-                {'draw-cursor': new GLib.Variant('b', drawCursor)});
+                options);
 
             this._screencastPath = path;
+
+            this._screencastCamera = camera;
+
+            if (showInput)
+                this._inputVisualizer.start(...area);
+
+            // The recorder falls back to another format if the chosen one
+            // can't be recorded, let the user know.
+            const [, extension] = path.match(/\.(\w+)$/) ?? [];
+            if (format !== 'auto' && extension !== format) {
+                Main.notify(
+                    _('Could not record as %s').format(
+                        _getScreencastFormatName(format)),
+                    _('The recording is saved as %s instead.').format(
+                        _getScreencastFormatName(extension)));
+            }
         } catch (error) {
             // Recorder service disconnected without reply -> service crash
             // That should have blocklisted the pipeline that caused the crash,
@@ -2024,6 +2921,17 @@ export const ScreenshotUI = GObject.registerClass({
         }
     }
 
+    async _startScreencastDelayed() {
+        // The selection survives closing the UI, so _startScreencast() can
+        // pick it up once the countdown is over.
+        this.close(true);
+
+        if (!await this._countdown.run(this._captureDelay))
+            return;
+
+        await this._startScreencast();
+    }
+
     async stopScreencast() {
         if (!this._screencastInProgress)
             return;
@@ -2049,6 +2957,42 @@ export const ScreenshotUI = GObject.registerClass({
         this._showNotification(_('Screencast recorded'));
     }
 
+    async pauseScreencast() {
+        if (!this._screencastInProgress || this._screencastPaused)
+            return;
+
+        try {
+            const [success] = await this._screencastProxy.PauseScreencastAsync();
+            if (success)
+                this._setScreencastPaused(true);
+        } catch (error) {
+            log(`Error pausing screencast: ${error.message}`);
+        }
+    }
+
+    async resumeScreencast() {
+        if (!this._screencastInProgress || !this._screencastPaused)
+            return;
+
+        // Hide the camera overlay before the recorder picks up again
+        this._cameraOverlay.hide();
+
+        try {
+            const [success] = await this._screencastProxy.ResumeScreencastAsync();
+            if (success)
+                this._setScreencastPaused(false);
+        } catch (error) {
+            log(`Error resuming screencast: ${error.message}`);
+        }
+
+        this._updateCameraOverlay();
+    }
+
+    _updateCameraOverlay() {
+        this._cameraOverlay.visible = this._screencastCamera &&
+            this._screencastInProgress && this._screencastPaused;
+    }
+
     _screencastFailed(phase, error) {
         console.error(`Screencast failed during phase ${phase}: ${error}`);
 
@@ -2134,10 +3078,28 @@ export const ScreenshotUI = GObject.registerClass({
             return;
 
         this._screencastInProgress = inProgress;
+        if (!inProgress)
+            this._setScreencastPaused(false);
         this.notify('screencast-in-progress');
     }
 
+    get screencast_paused() {
+        return this._screencastPaused;
+    }
+
+    _setScreencastPaused(paused) {
+        if (this._screencastPaused === paused)
+            return;
+
+        this._screencastPaused = paused;
+        this.notify('screencast-paused');
+    }
+
     vfunc_key_press_event(event) {
+        // The editor handles its own keys.
+        if (this._editor.visible)
+            return super.vfunc_key_press_event(event);
+
         const symbol = event.get_key_symbol();
         if (symbol === Clutter.KEY_Return || symbol === Clutter.KEY_space ||
             symbol === Clutter.KEY_KP_Enter || symbol === Clutter.KEY_ISO_Enter ||
@@ -2168,6 +3130,23 @@ export const ScreenshotUI = GObject.registerClass({
             return Clutter.EVENT_STOP;
         }
 
+        if (symbol === Clutter.KEY_d || symbol === Clutter.KEY_D) {
+            this._cycleCaptureDelay();
+            return Clutter.EVENT_STOP;
+        }
+
+        if (this._annotateButton.visible &&
+            (symbol === Clutter.KEY_a || symbol === Clutter.KEY_A)) {
+            this._annotateButton.checked = !this._annotateButton.checked;
+            return Clutter.EVENT_STOP;
+        }
+
+        if (this._copyTextButton.visible &&
+            (symbol === Clutter.KEY_t || symbol === Clutter.KEY_T)) {
+            this._copyTextButton.checked = !this._copyTextButton.checked;
+            return Clutter.EVENT_STOP;
+        }
+
         if (this._castButton.reactive &&
             (symbol === Clutter.KEY_v || symbol === Clutter.KEY_V)) {
             this._castButton.checked = !this._castButton.checked;
@@ -2204,14 +3183,164 @@ export const ScreenshotUI = GObject.registerClass({
     }
 });
 
+/**
+ * @param {string} format - A screencast format, like 'webm'.
+ * @returns {string} the name of the format shown in the UI
+ */
+function _getScreencastFormatName(format) {
+    switch (format) {
+    case 'auto':
+        // Translators: the screencast format is picked automatically.
+        return _('Auto');
+    case 'webm':
+        return 'WebM';
+    case 'mp4':
+        return 'MP4';
+    case 'gif':
+        return 'GIF';
+    default:
+        return format?.toUpperCase() ?? '';
+    }
+}
+
+/**
+ * Returns the configured file format for screenshots, falling back to PNG
+ * if the format isn't supported.
+ *
+ * @param {Gio.Settings} settings - The screenshot settings.
+ * @returns {string} the GdkPixbuf name of the format
+ */
+function _getScreenshotFormat(settings) {
+    const format = settings.get_string('file-format');
+    if (format === 'png')
+        return format;
+
+    const supported = GdkPixbuf.Pixbuf.get_formats()
+        .some(f => f.get_name() === format && f.is_writable());
+    if (!supported) {
+        log(`Screenshot format ${format} is not supported, saving as PNG`);
+        return 'png';
+    }
+
+    return format;
+}
+
+/**
+ * Returns the directory screenshots are saved to.
+ *
+ * @param {Gio.Settings} settings - The screenshot settings.
+ * @returns {Gio.File} the directory
+ */
+function _getScreenshotDirectory(settings) {
+    const path = settings.get_string('save-directory');
+    if (path === '~')
+        return Gio.File.new_for_path(GLib.get_home_dir());
+    if (path.startsWith('~/'))
+        return Gio.File.new_for_path(GLib.build_filenamev([GLib.get_home_dir(), path.slice(2)]));
+    if (GLib.path_is_absolute(path))
+        return Gio.File.new_for_path(path);
+
+    return Gio.File.new_for_path(GLib.build_filenamev([
+        GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES) || GLib.get_home_dir(),
+        // Translators: name of the folder under ~/Pictures for screenshots.
+        _('Screenshots'),
+    ]));
+}
+
+/**
+ * Encodes a screenshot in the given format.
+ *
+ * @param {GdkPixbuf.Pixbuf} pixbuf - The screenshot.
+ * @param {string} format - The GdkPixbuf name of the format.
+ * @param {number} quality - The quality for lossy formats, from 1 to 100.
+ * @returns {GLib.Bytes} the encoded image
+ */
+function _encodeScreenshot(pixbuf, format, quality) {
+    let image = pixbuf;
+    // JPEG has no alpha channel.
+    if (format === 'jpeg' && pixbuf.has_alpha) {
+        image = pixbuf.composite_color_simple(
+            pixbuf.width, pixbuf.height, GdkPixbuf.InterpType.NEAREST,
+            255, 256, 0xffffff, 0xffffff);
+    }
+
+    const [, buffer] = image.save_to_bufferv(format, ['quality'], [`${quality}`]);
+    return new GLib.Bytes(buffer);
+}
+
+/**
+ * Returns file names to try in turn for a screenshot, following the file
+ * name template if one is set.
+ *
+ * @param {string} template - The file name template, or ''.
+ * @param {GLib.DateTime} time - The time of the capture.
+ * @param {Meta.Window} [window] - The captured window, used for the
+ *   placeholders; defaults to the focused window.
+ * @param {string} [defaultName] - The name to use without template.
+ * @returns {Generator<string|*, void, *>} file name without extension
+ */
+function* _getScreenshotNames(template, time, window = null, defaultName = '') {
+    /**
+     * Returns a filename suffix with an increasingly large index.
+     *
+     * @returns {Generator<string|*, void, *>} suffix string
+     */
+    function* suffixes() {
+        yield '';
+
+        for (let i = 1; ; i++)
+            yield `-${i}`;
+    }
+
+    const focusWindow = window ?? global.display.focus_window;
+    const app = focusWindow
+        ? Shell.WindowTracker.get_default().get_window_app(focusWindow)
+        : null;
+    const params = {
+        dateTime: time,
+        appName: app?.get_name() ?? '',
+        windowTitle: focusWindow?.get_title() ?? '',
+    };
+
+    if (FilenameTemplate.hasCounter(template)) {
+        let lastName = null;
+        for (let counter = 1; ; counter++) {
+            const name = FilenameTemplate.expandFilenameTemplate(
+                template, {...params, counter});
+
+            // Stop when the counter doesn't make a difference, like
+            // when the template cuts it off
+            if (!name || name === lastName)
+                break;
+
+            lastName = name;
+            yield name;
+        }
+    }
+
+    let name = template
+        ? FilenameTemplate.expandFilenameTemplate(template, params)
+        : defaultName;
+    if (!name) {
+        const timestamp = time.format('%Y-%m-%d %H-%M-%S');
+        // Translators: this is the name of the file that the screenshot is
+        // saved to. The placeholder is a timestamp, e.g. "2017-05-21 12-24-03".
+        name = _('Screenshot from %s').format(timestamp);
+    }
+
+    for (const suffix of suffixes())
+        yield `${name}${suffix}`;
+}
+
 /**
  * Stores a PNG-encoded screenshot into the clipboard and a file, and shows a
  * notification.
  *
  * @param {GLib.Bytes} bytes - The PNG-encoded screenshot.
  * @param {GdkPixbuf.Pixbuf} pixbuf - The Pixbuf with the screenshot.
+ * @param {Meta.Window} [window] - The captured window, used for the file name.
  */
-function _storeScreenshot(bytes, pixbuf) {
+function _storeScreenshot(bytes, pixbuf, window = null) {
     // Store to the clipboard first in case storing to file fails.
     const clipboard = St.Clipboard.get_default();
     clipboard.set_content(St.ClipboardType.CLIPBOARD, 'image/png', bytes);
@@ -2225,18 +3354,6 @@ function _storeScreenshot(bytes, pixbuf) {
     // The function is declared here rather than inside the condition to
     // satisfy eslint.
 
-    /**
-     * Returns a filename suffix with an increasingly large index.
-     *
-     * @returns {Generator<string|*, void, *>} suffix string
-     */
-    function* suffixes() {
-        yield '';
-
-        for (let i = 1; ; i++)
-            yield `-${i}`;
-    }
-
     /**
      * Adds a record of a screenshot file in the recently used files list.
      *
@@ -2270,11 +3387,8 @@ function _storeScreenshot(bytes, pixbuf) {
         lockdownSettings.get_boolean('disable-save-to-disk');
 
     if (!disableSaveToDisk) {
-        const dir = Gio.File.new_for_path(GLib.build_filenamev([
-            GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES) || GLib.get_home_dir(),
-            // Translators: name of the folder under ~/Pictures for screenshots.
-            _('Screenshots'),
-        ]));
+        const settings = new Gio.Settings({schema_id: SCREENSHOTS_SCHEMA});
+        const dir = _getScreenshotDirectory(settings);
 
         try {
             dir.make_directory_with_parents(null);
@@ -2283,21 +3397,22 @@ function _storeScreenshot(bytes, pixbuf) {
                 throw e;
         }
 
-        const timestamp = time.format('%Y-%m-%d %H-%M-%S');
-        // Translators: this is the name of the file that the screenshot is
-        // saved to. The placeholder is a timestamp, e.g. "2017-05-21 12-24-03".
-        const name = _('Screenshot from %s').format(timestamp);
+        const format = _getScreenshotFormat(settings);
+        const fileBytes = format === 'png'
+            ? bytes
+            : _encodeScreenshot(pixbuf, format, settings.get_int('quality'));
+        const extension = FORMAT_EXTENSIONS[format];
 
-        // If the target file already exists, try appending a suffix with an
-        // increasing number to it.
-        for (const suffix of suffixes()) {
+        // If the target file already exists, try the next name.
+        const template = settings.get_string('filename-template');
+        for (const name of _getScreenshotNames(template, time, window)) {
             file = Gio.File.new_for_path(GLib.build_filenamev([
-                dir.get_path(), `${name}${suffix}.png`,
+                dir.get_path(), `${name}.${extension}`,
             ]));
 
             try {
                 const stream = file.create(Gio.FileCreateFlags.NONE, null);
-                stream.write_bytes(bytes, null);
+                stream.write_bytes(fileBytes, null);
                 break;
             } catch (e) {
                 if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS))
@@ -2312,16 +3427,7 @@ function _storeScreenshot(bytes, pixbuf) {
     // Create a St.ImageContent icon for the notification. We want
     // St.ImageContent specifically because it preserves the aspect ratio when
     // shown in a notification.
-    const pixels = pixbuf.read_pixel_bytes();
-    const content =
-        St.ImageContent.new_with_preferred_size(pixbuf.width, pixbuf.height);
-    content.set_bytes(
-        pixels,
-        Cogl.PixelFormat.RGBA_8888,
-        pixbuf.width,
-        pixbuf.height,
-        pixbuf.rowstride
-    );
+    const content = ScreenshotEditor.contentFromPixbuf(pixbuf);
 
     // Show a notification.
     const source = new MessageTray.Source({
@@ -2371,27 +3477,21 @@ function _storeScreenshot(bytes, pixbuf) {
 }
 
 /**
- * Captures a screenshot from a texture, given a region, scale and optional
- * cursor data.
+ * Composites a texture region and optional cursor into a PNG-encoded image.
  *
  * @param {Cogl.Texture} texture - The texture to take the screenshot from.
  * @param {number[4]} [geometry] - The region to use: x, y, width and height.
  * @param {number} scale - The texture scale.
  * @param {object} [cursor] - Cursor data to include in the screenshot.
- * @param {Cogl.Texture} cursor.texture - The cursor texture.
- * @param {number} cursor.x - The cursor x coordinate.
- * @param {number} cursor.y - The cursor y coordinate.
- * @param {number} cursor.scale - The cursor texture scale.
+ * @returns {Promise<[GLib.Bytes, GdkPixbuf.Pixbuf]>} the encoded image and
+ *   its pixbuf
  */
-export async function captureScreenshot(texture, geometry, scale, cursor) {
+async function _compositeScreenshot(texture, geometry, scale, cursor) {
     const stream = Gio.MemoryOutputStream.new_resizable();
     const [x, y, w, h] = geometry ?? [0, 0, -1, -1];
     if (cursor === null)
         cursor = {texture: null, x: 0, y: 0, scale: 1};
 
-    global.display.get_sound_player().play_from_theme(
-        'screen-capture', _('Screenshot taken'), null);
-
     const pixbuf = await Shell.Screenshot.composite_to_stream(
         texture,
         x, y, w, h,
@@ -2401,7 +3501,76 @@ export async function captureScreenshot(texture, geometry, scale, cursor) {
     );
 
     stream.close(null);
-    return _storeScreenshot(stream.steal_as_bytes(), pixbuf);
+    return [stream.steal_as_bytes(), pixbuf];
+}
+
+/**
+ * Stores text recognized in a screenshot into the clipboard, and shows it in
+ * a notification.
+ *
+ * @param {string} text - The recognized text.
+ * @param {GdkPixbuf.Pixbuf} pixbuf - The Pixbuf with the screenshot.
+ */
+function _storeRecognizedText(text, pixbuf) {
+    if (text) {
+        const clipboard = St.Clipboard.get_default();
+        clipboard.set_text(St.ClipboardType.CLIPBOARD, text);
+    }
+
+    const source = new MessageTray.Source({
+        // Translators: notification source name.
+        title: _('Screenshot'),
+        iconName: 'screenshot-recorded-symbolic',
+    });
+    const notification = new MessageTray.Notification({
+        source,
+        // Translators: notification title.
+        title: text ? _('Text copied') : _('No text found'),
+        body: text,
+        gicon: ScreenshotEditor.contentFromPixbuf(pixbuf),
+        isTransient: true,
+    });
+
+    Main.messageTray.add(source);
+    source.addNotification(notification);
+}
+
+/**
+ * Captures a screenshot from a texture, given a region, scale and optional
+ * cursor data.
+ *
+ * @param {Cogl.Texture} texture - The texture to take the screenshot from.
+ * @param {number[4]} [geometry] - The region to use: x, y, width and height.
+ * @param {number} scale - The texture scale.
+ * @param {object} [cursor] - Cursor data to include in the screenshot.
+ * @param {Cogl.Texture} cursor.texture - The cursor texture.
+ * @param {number} cursor.x - The cursor x coordinate.
+ * @param {number} cursor.y - The cursor y coordinate.
+ * @param {number} cursor.scale - The cursor texture scale.
+ * @param {Meta.Window} [window] - The captured window, used for the file name.
+ */
+export async function captureScreenshot(texture, geometry, scale, cursor, window = null) {
+    global.display.get_sound_player().play_from_theme(
+        'screen-capture', _('Screenshot taken'), null);
+
+    const [bytes, pixbuf] =
+        await _compositeScreenshot(texture, geometry, scale, cursor);
+    return _storeScreenshot(bytes, pixbuf, window);
+}
+
+/**
+ * Stores a captured image like captureScreenshot().
+ *
+ * @param {GdkPixbuf.Pixbuf} pixbuf - The captured image.
+ * @param {Meta.Window} [window] - The captured window, used for the file name.
+ * @returns {Gio.File|undefined} the file the screenshot was saved to
+ */
+function _captureScreenshotPixbuf(pixbuf, window = null) {
+    global.display.get_sound_player().play_from_theme(
+        'screen-capture', _('Screenshot taken'), null);
+
+    const [, buffer] = pixbuf.save_to_bufferv('png', [], []);
+    return _storeScreenshot(new GLib.Bytes(buffer), pixbuf, window);
 }
 
 /**
@@ -2436,6 +3605,7 @@ export class ScreenshotService {
         ]);
 
         this._lockdownSettings = new Gio.Settings({schema_id: 'org.gnome.desktop.lockdown'});
+        this._settings = new Gio.Settings({schema_id: SCREENSHOTS_SCHEMA});
 
         Gio.DBus.session.own_name('org.gnome.Shell.Screenshot', Gio.BusNameOwnerFlags.REPLACE, null, null);
     }
@@ -2494,23 +3664,43 @@ export class ScreenshotService {
                y + height <= global.screen_height;
     }
 
-    *_resolveRelativeFilename(filename) {
-        filename = filename.replace(/\.png$/, '');
-
-        let path = [
+    _getDefaultSaveDirectory() {
+        return [
             GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES),
             GLib.get_home_dir(),
         ].find(p => p && GLib.file_test(p, GLib.FileTest.EXISTS));
+    }
 
-        if (!path)
-            return null;
+    _getSaveDirectory() {
+        if (this._settings.get_string('save-directory') === '')
+            return this._getDefaultSaveDirectory();
+
+        const dir = _getScreenshotDirectory(this._settings);
+        try {
+            dir.make_directory_with_parents(null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                log(`Failed to create screenshot directory, using the default one: ${e.message}`);
+                return this._getDefaultSaveDirectory();
+            }
+        }
+        return dir.get_path();
+    }
 
-        yield Gio.File.new_for_path(
-            GLib.build_filenamev([path, `${filename}.png`]));
+    *_resolveRelativeFilename(filename) {
+        const extension = FORMAT_EXTENSIONS[_getScreenshotFormat(this._settings)];
+        const defaultName = filename.replace(/\.(png|jpe?g|webp)$/, '');
+
+        const path = this._getSaveDirectory();
+        if (!path)
+            return;
 
-        for (let idx = 1; ; idx++) {
+        const names = _getScreenshotNames(
+            this._settings.get_string('filename-template'),
+            GLib.DateTime.new_now_local(), null, defaultName);
+        for (const name of names) {
             yield Gio.File.new_for_path(
-                GLib.build_filenamev([path, `${filename}-${idx}.png`]));
+                GLib.build_filenamev([path, `${name}.${extension}`]));
         }
     }
 
@@ -2530,7 +3720,8 @@ export class ScreenshotService {
             }
         }
 
-        let err;
+        let err = new GLib.Error(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND,
+            'No folder to save the screenshot to');
         for (let file of this._resolveRelativeFilename(filename)) {
             try {
                 let stream = file.create(Gio.FileCreateFlags.NONE, null);
@@ -2559,12 +3750,32 @@ export class ScreenshotService {
         });
     }
 
+    _convertScreenshot(path) {
+        // The screenshot is always written as PNG, re-encode it if the
+        // file name asks for a different format.
+        const [, extension] = path.match(/\.(jpe?g|webp)$/i) ?? [];
+        if (!extension)
+            return;
+
+        const format = extension.toLowerCase() === 'webp' ? 'webp' : 'jpeg';
+        try {
+            const pixbuf = GdkPixbuf.Pixbuf.new_from_file(path);
+            const bytes = _encodeScreenshot(pixbuf, format,
+                this._settings.get_int('quality'));
+            Gio.File.new_for_path(path).replace_contents(bytes.toArray(),
+                null, false, Gio.FileCreateFlags.NONE, null);
+        } catch (e) {
+            log(`Failed to save screenshot as ${format}: ${e.message}`);
+        }
+    }
+
     _onScreenshotComplete(stream, file, invocation) {
         stream.close(null);
 
         let filenameUsed = '';
         if (file) {
             filenameUsed = file.get_path();
+            this._convertScreenshot(filenameUsed);
         } else {
             let bytes = stream.steal_as_bytes();
             let clipboard = St.Clipboard.get_default();
@@ -2593,8 +3804,37 @@ export class ScreenshotService {
         return [x, y, width, height];
     }
 
-    async ScreenshotAreaAsync(params, invocation) {
-        let [x, y, width, height, flash, filename] = params;
+    _waitForDelay(delay, invocation) {
+        const sender = invocation.get_sender();
+        const shooter = this._screenShooter.get(sender);
+
+        return new Promise(resolve => {
+            if (delay === 0) {
+                resolve(true);
+                return;
+            }
+
+            const id = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, delay, () => {
+                // Don't bother capturing if the caller went away meanwhile.
+                resolve(this._screenShooter.get(sender) === shooter);
+                return GLib.SOURCE_REMOVE;
+            });
+            GLib.Source.set_name_by_id(id, '[gnome-shell] screenshot delay');
+        });
+    }
+
+    _checkDelay(delay, invocation) {
+        if (delay <= MAX_CAPTURE_DELAY)
+            return true;
+
+        invocation.return_error_literal(
+            Gio.IOErrorEnum,
+            Gio.IOErrorEnum.CANCELLED,
+            'Invalid params');
+        return false;
+    }
+
+    async _screenshotArea(invocation, x, y, width, height, flash, delay, filename) {
         [x, y, width, height] = this._scaleArea(x, y, width, height);
         if (!this._checkArea(x, y, width, height)) {
             invocation.return_error_literal(
@@ -2603,10 +3843,16 @@ export class ScreenshotService {
                 'Invalid params');
             return;
         }
+        if (!this._checkDelay(delay, invocation))
+            return;
+
         let screenshot = await this._createScreenshot(invocation);
         if (!screenshot)
             return;
 
+        if (!await this._waitForDelay(delay, invocation))
+            return;
+
         let [stream, file] = this._createStream(filename, invocation);
         if (!stream)
             return;
@@ -2624,12 +3870,17 @@ export class ScreenshotService {
         }
     }
 
-    async ScreenshotWindowAsync(params, invocation) {
-        let [includeFrame, includeCursor, flash, filename] = params;
+    async _screenshotWindow(invocation, includeFrame, includeCursor, flash, delay, filename) {
+        if (!this._checkDelay(delay, invocation))
+            return;
+
         let screenshot = await this._createScreenshot(invocation);
         if (!screenshot)
             return;
 
+        if (!await this._waitForDelay(delay, invocation))
+            return;
+
         let [stream, file] = this._createStream(filename, invocation);
         if (!stream)
             return;
@@ -2647,12 +3898,17 @@ export class ScreenshotService {
         }
     }
 
-    async ScreenshotAsync(params, invocation) {
-        let [includeCursor, flash, filename] = params;
+    async _screenshot(invocation, includeCursor, flash, delay, filename) {
+        if (!this._checkDelay(delay, invocation))
+            return;
+
         let screenshot = await this._createScreenshot(invocation);
         if (!screenshot)
             return;
 
+        if (!await this._waitForDelay(delay, invocation))
+            return;
+
         let [stream, file] = this._createStream(filename, invocation);
         if (!stream)
             return;
@@ -2670,6 +3926,40 @@ export class ScreenshotService {
         }
     }
 
+    async ScreenshotAreaAsync(params, invocation) {
+        const [x, y, width, height, flash, filename] = params;
+        await this._screenshotArea(invocation,
+            x, y, width, height, flash, 0, filename);
+    }
+
+    async ScreenshotAreaDelayedAsync(params, invocation) {
+        const [x, y, width, height, flash, delay, filename] = params;
+        await this._screenshotArea(invocation,
+            x, y, width, height, flash, delay, filename);
+    }
+
+    async ScreenshotWindowAsync(params, invocation) {
+        const [includeFrame, includeCursor, flash, filename] = params;
+        await this._screenshotWindow(invocation,
+            includeFrame, includeCursor, flash, 0, filename);
+    }
+
+    async ScreenshotWindowDelayedAsync(params, invocation) {
+        const [includeFrame, includeCursor, flash, delay, filename] = params;
+        await this._screenshotWindow(invocation,
+            includeFrame, includeCursor, flash, delay, filename);
+    }
+
+    async ScreenshotAsync(params, invocation) {
+        const [includeCursor, flash, filename] = params;
+        await this._screenshot(invocation, includeCursor, flash, 0, filename);
+    }
+
+    async ScreenshotDelayedAsync(params, invocation) {
+        const [includeCursor, flash, delay, filename] = params;
+        await this._screenshot(invocation, includeCursor, flash, delay, filename);
+    }
+
     async InteractiveScreenshotAsync(params, invocation) {
         try {
             await this._senderChecker.checkInvocation(invocation);
@@ -0,0 +1,652 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import Clutter from 'gi://Clutter';
+import Cogl from 'gi://Cogl';
+import GdkPixbuf from 'gi://GdkPixbuf';
+import GObject from 'gi://GObject';
+import Graphene from 'gi://Graphene';
+import St from 'gi://St';
+import Cairo from 'gi://cairo';
+
+import * as Layout from './layout.js';
+import * as Main from './main.js';
+
+import {AnnotationHistory} from '../misc/annotationHistory.js';
+
+export const Tool = {
+    ARROW: 'arrow',
+    RECTANGLE: 'rectangle',
+    PEN: 'pen',
+    TEXT: 'text',
+    HIGHLIGHTER: 'highlighter',
+    BLUR: 'blur',
+    PIXELATE: 'pixelate',
+};
+
+const TOOLS = [
+    {tool: Tool.ARROW, iconName: 'screenshot-ui-arrow-symbolic', label: N_('Arrow')},
+    {tool: Tool.RECTANGLE, iconName: 'screenshot-ui-rectangle-symbolic', label: N_('Rectangle')},
+    {tool: Tool.PEN, iconName: 'document-edit-symbolic', label: N_('Pen')},
+    {tool: Tool.TEXT, iconName: 'insert-text-symbolic', label: N_('Text')},
+    {tool: Tool.HIGHLIGHTER, iconName: 'screenshot-ui-highlighter-symbolic', label: N_('Highlighter')},
+    {tool: Tool.BLUR, iconName: 'screenshot-ui-blur-symbolic', label: N_('Blur')},
+    {tool: Tool.PIXELATE, iconName: 'screenshot-ui-pixelate-symbolic', label: N_('Pixelate')},
+];
+
+const COLORS = [
+    {red: 0xe0, green: 0x1b, blue: 0x24, alpha: 0xff},
+    {red: 0xf6, green: 0xd3, blue: 0x2d, alpha: 0xff},
+    {red: 0x33, green: 0xd1, blue: 0x7a, alpha: 0xff},
+    {red: 0x35, green: 0x84, blue: 0xe4, alpha: 0xff},
+    {red: 0xff, green: 0xff, blue: 0xff, alpha: 0xff},
+    {red: 0x00, green: 0x00, blue: 0x00, alpha: 0xff},
+];
+
+const LINE_WIDTH = 4;
+const FONT_SIZE = 20;
+const HIGHLIGHTER_WIDTH_FACTOR = 4;
+const HIGHLIGHTER_ALPHA = 0x66;
+const ARROW_HEAD_ANGLE = Math.PI / 6;
+const PIXELATE_BLOCK_SIZE = 12;
+const BLUR_DOWNSCALE_FACTOR = 8;
+
+// Fraction of the primary monitor the edited image may cover.
+const PAGE_MAX_WIDTH_FRACTION = 0.9;
+const PAGE_MAX_HEIGHT_FRACTION = 0.75;
+
+/**
+ * Creates a St.ImageContent with the pixbuf's pixels. St.ImageContent
+ * preserves the aspect ratio when used as an icon.
+ *
+ * @param {GdkPixbuf.Pixbuf} pixbuf - The pixbuf to create the content from.
+ * @returns {St.ImageContent}
+ */
+export function contentFromPixbuf(pixbuf) {
+    const content =
+        St.ImageContent.new_with_preferred_size(pixbuf.width, pixbuf.height);
+    content.set_bytes(
+        pixbuf.read_pixel_bytes(),
+        pixbuf.has_alpha ? Cogl.PixelFormat.RGBA_8888 : Cogl.PixelFormat.RGB_888,
+        pixbuf.width,
+        pixbuf.height,
+        pixbuf.rowstride
+    );
+    return content;
+}
+
+/**
+ * Whether the annotation replaces pixels of the image rather than being
+ * drawn on top of it.
+ *
+ * @param {object} annotation - The annotation.
+ * @returns {boolean}
+ */
+function _isRedaction(annotation) {
+    return annotation.tool === Tool.BLUR || annotation.tool === Tool.PIXELATE;
+}
+
+/**
+ * Returns the normalized rectangle spanned by the first and last point of
+ * an annotation.
+ *
+ * @param {object} annotation - The annotation.
+ * @returns {number[]} x, y, width and height
+ */
+function _getBounds(annotation) {
+    const [startX, startY] = annotation.points[0];
+    const [endX, endY] = annotation.points.at(-1);
+
+    return [
+        Math.min(startX, endX),
+        Math.min(startY, endY),
+        Math.abs(endX - startX),
+        Math.abs(endY - startY),
+    ];
+}
+
+/**
+ * Draws a vector annotation with cairo, in image coordinates.
+ *
+ * @param {Cairo.Context} cr - The cairo context.
+ * @param {object} annotation - The annotation to draw.
+ */
+export function drawAnnotation(cr, annotation) {
+    const {tool, color, lineWidth, points} = annotation;
+
+    cr.save();
+    cr.setLineCap(Cairo.LineCap.ROUND);
+    cr.setLineJoin(Cairo.LineJoin.ROUND);
+    cr.setLineWidth(lineWidth);
+    cr.setSourceColor(color);
+
+    switch (tool) {
+    case Tool.ARROW: {
+        const [startX, startY] = points[0];
+        const [endX, endY] = points.at(-1);
+        const angle = Math.atan2(endY - startY, endX - startX);
+        const headLength = lineWidth * 4;
+
+        cr.moveTo(startX, startY);
+        cr.lineTo(endX, endY);
+        cr.moveTo(
+            endX - headLength * Math.cos(angle - ARROW_HEAD_ANGLE),
+            endY - headLength * Math.sin(angle - ARROW_HEAD_ANGLE));
+        cr.lineTo(endX, endY);
+        cr.lineTo(
+            endX - headLength * Math.cos(angle + ARROW_HEAD_ANGLE),
+            endY - headLength * Math.sin(angle + ARROW_HEAD_ANGLE));
+        cr.stroke();
+        break;
+    }
+
+    case Tool.RECTANGLE:
+        cr.rectangle(..._getBounds(annotation));
+        cr.stroke();
+        break;
+
+    case Tool.HIGHLIGHTER:
+        cr.setLineCap(Cairo.LineCap.SQUARE);
+        cr.setLineWidth(lineWidth * HIGHLIGHTER_WIDTH_FACTOR);
+        cr.setSourceColor({...color, alpha: HIGHLIGHTER_ALPHA});
+    // fall through
+    case Tool.PEN:
+        cr.moveTo(...points[0]);
+        for (const point of points.slice(1))
+            cr.lineTo(...point);
+        cr.stroke();
+        break;
+
+    case Tool.TEXT: {
+        const [x, y] = points[0];
+        cr.selectFontFace('Sans', Cairo.FontSlant.NORMAL, Cairo.FontWeight.BOLD);
+        cr.setFontSize(annotation.fontSize);
+        cr.moveTo(x, y + annotation.fontSize);
+        cr.showText(annotation.text);
+        break;
+    }
+    }
+
+    cr.restore();
+}
+
+/**
+ * Returns a copy of a region of a pixbuf with its details removed by either
+ * blurring or pixelating it.
+ *
+ * @param {GdkPixbuf.Pixbuf} pixbuf - The source image.
+ * @param {string} tool - Either Tool.BLUR or Tool.PIXELATE.
+ * @param {number[]} rect - The region in pixbuf coordinates.
+ * @returns {GdkPixbuf.Pixbuf}
+ */
+function _redactPixbuf(pixbuf, tool, rect) {
+    const [x, y, width, height] = rect;
+    const region = pixbuf.new_subpixbuf(x, y, width, height);
+    const factor = tool === Tool.PIXELATE
+        ? PIXELATE_BLOCK_SIZE : BLUR_DOWNSCALE_FACTOR;
+
+    // Scaling the region down and back up again loses the details; bilinear
+    // filtering smears them into a blur, nearest filtering into blocks.
+    const small = region.scale_simple(
+        Math.max(1, Math.round(width / factor)),
+        Math.max(1, Math.round(height / factor)),
+        GdkPixbuf.InterpType.BILINEAR);
+    return small.scale_simple(width, height, tool === Tool.PIXELATE
+        ? GdkPixbuf.InterpType.NEAREST : GdkPixbuf.InterpType.BILINEAR);
+}
+
+const UIAnnotationCanvas = GObject.registerClass(
+class UIAnnotationCanvas extends St.DrawingArea {
+    _init(params) {
+        super._init(params);
+
+        this._annotations = [];
+        this._pendingAnnotation = null;
+    }
+
+    setAnnotations(annotations, pendingAnnotation = null) {
+        this._annotations = annotations;
+        this._pendingAnnotation = pendingAnnotation;
+        this.queue_repaint();
+    }
+
+    vfunc_repaint() {
+        const cr = this.get_context();
+
+        const annotations = [...this._annotations, this._pendingAnnotation];
+        for (const annotation of annotations) {
+            if (annotation && !_isRedaction(annotation))
+                drawAnnotation(cr, annotation);
+        }
+
+        cr.$dispose();
+    }
+});
+
+export const ScreenshotEditor = GObject.registerClass({
+    Signals: {'done': {}, 'cancelled': {}},
+}, class ScreenshotEditor extends St.Widget {
+    _init(params) {
+        super._init({
+            style_class: 'screenshot-ui-editor',
+            layout_manager: new Clutter.BoxLayout({vertical: true}),
+            reactive: true,
+            can_focus: true,
+            visible: false,
+            ...params,
+        });
+        this.add_constraint(new Layout.MonitorConstraint({primary: true}));
+
+        this._history = new AnnotationHistory();
+        this._pendingAnnotation = null;
+        this._pixbuf = null;
+        this._scale = 1;
+        this._tool = Tool.ARROW;
+        this._color = COLORS[0];
+
+        this._pageBin = new St.Widget({
+            layout_manager: new Clutter.BinLayout(),
+            x_expand: true,
+            y_expand: true,
+        });
+        this.add_child(this._pageBin);
+
+        // The page holds the captured image at its logical size; it is only
+        // scaled down for display, so painting it yields a full resolution
+        // image.
+        this._page = new Clutter.Actor({
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.CENTER,
+            pivot_point: new Graphene.Point({x: 0.5, y: 0.5}),
+        });
+        this._pageBin.add_child(this._page);
+
+        this._redactions = new Clutter.Actor();
+        this._page.add_child(this._redactions);
+
+        this._canvas = new UIAnnotationCanvas();
+        this._page.add_child(this._canvas);
+
+        this._toolbar = new St.BoxLayout({
+            style_class: 'screenshot-ui-editor-toolbar',
+            x_align: Clutter.ActorAlign.CENTER,
+        });
+        this.add_child(this._toolbar);
+
+        const toolBox = new St.BoxLayout({
+            style_class: 'screenshot-ui-editor-button-group',
+        });
+        this._toolbar.add_child(toolBox);
+
+        this._toolButtons = new Map();
+        for (const {tool, iconName, label} of TOOLS) {
+            const button = new St.Button({
+                style_class: 'screenshot-ui-editor-button',
+                icon_name: iconName,
+                accessible_name: _(label),
+                can_focus: true,
+            });
+            button.connect('clicked', () => this._setTool(tool));
+            toolBox.add_child(button);
+            this._toolButtons.set(tool, button);
+        }
+
+        const colorBox = new St.BoxLayout({
+            style_class: 'screenshot-ui-editor-button-group',
+        });
+        this._toolbar.add_child(colorBox);
+
+        this._colorButtons = new Map();
+        for (const color of COLORS) {
+            const {red, green, blue} = color;
+            const button = new St.Button({
+                style_class: 'screenshot-ui-editor-button',
+                can_focus: true,
+                child: new St.Widget({
+                    style_class: 'screenshot-ui-editor-color-swatch',
+                    style: `background-color: rgb(${red}, ${green}, ${blue});`,
+                }),
+            });
+            button.connect('clicked', () => this._setColor(color));
+            colorBox.add_child(button);
+            this._colorButtons.set(color, button);
+        }
+
+        const historyBox = new St.BoxLayout({
+            style_class: 'screenshot-ui-editor-button-group',
+        });
+        this._toolbar.add_child(historyBox);
+
+        this._undoButton = new St.Button({
+            style_class: 'screenshot-ui-editor-button',
+            icon_name: 'edit-undo-symbolic',
+            accessible_name: _('Undo'),
+            can_focus: true,
+        });
+        this._undoButton.connect('clicked', () => this.undo());
+        historyBox.add_child(this._undoButton);
+
+        this._redoButton = new St.Button({
+            style_class: 'screenshot-ui-editor-button',
+            icon_name: 'edit-redo-symbolic',
+            accessible_name: _('Redo'),
+            can_focus: true,
+        });
+        this._redoButton.connect('clicked', () => this.redo());
+        historyBox.add_child(this._redoButton);
+
+        const cancelButton = new St.Button({
+            style_class: 'screenshot-ui-editor-text-button',
+            label: _('Cancel'),
+            can_focus: true,
+        });
+        cancelButton.connect('clicked', () => this.emit('cancelled'));
+        this._toolbar.add_child(cancelButton);
+
+        const doneButton = new St.Button({
+            style_class: 'screenshot-ui-editor-text-button default',
+            /* Translators: button that saves an annotated screenshot. */
+            label: _('Done'),
+            can_focus: true,
+        });
+        doneButton.connect('clicked', () => this._finish());
+        this._toolbar.add_child(doneButton);
+
+        this._setTool(Tool.ARROW);
+        this._setColor(COLORS[0]);
+    }
+
+    /**
+     * Starts editing a captured image.
+     *
+     * @param {GdkPixbuf.Pixbuf} pixbuf - The captured image.
+     * @param {number} scale - The scale of the image in physical pixels per
+     *   logical pixel.
+     */
+    open(pixbuf, scale) {
+        this._pixbuf = pixbuf;
+        this._scale = scale;
+        this._history.clear();
+        this._pendingAnnotation = null;
+
+        const width = pixbuf.width / scale;
+        const height = pixbuf.height / scale;
+        this._page.set({width, height, content: contentFromPixbuf(pixbuf)});
+        this._canvas.set_size(width, height);
+
+        const monitor = Main.layoutManager.primaryMonitor;
+        const pageScale = Math.min(1,
+            monitor.width * PAGE_MAX_WIDTH_FRACTION / width,
+            monitor.height * PAGE_MAX_HEIGHT_FRACTION / height);
+        this._page.set_scale(pageScale, pageScale);
+
+        this._sync();
+        this.show();
+        this.grab_key_focus();
+    }
+
+    close() {
+        this._cancelDrag();
+        this._commitText();
+
+        this.hide();
+        this._history.clear();
+        this._redactions.destroy_all_children();
+        this._canvas.setAnnotations([]);
+        this._page.set_content(null);
+        this._pixbuf = null;
+    }
+
+    /**
+     * Paints the image along with all annotations.
+     *
+     * @returns {Cogl.Texture} the annotated image
+     */
+    render() {
+        this._commitText();
+
+        const content = this._page.paint_to_content(null);
+        return content.get_texture();
+    }
+
+    undo() {
+        if (this._history.undo())
+            this._sync();
+    }
+
+    redo() {
+        if (this._history.redo())
+            this._sync();
+    }
+
+    _finish() {
+        this._commitText();
+        this.emit('done');
+    }
+
+    _setTool(tool) {
+        this._commitText();
+        this._tool = tool;
+
+        for (const [buttonTool, button] of this._toolButtons)
+            button.checked = buttonTool === tool;
+    }
+
+    _setColor(color) {
+        this._color = color;
+
+        for (const [buttonColor, button] of this._colorButtons)
+            button.checked = buttonColor === color;
+    }
+
+    _sync() {
+        const {annotations} = this._history;
+
+        this._redactions.destroy_all_children();
+        for (const annotation of annotations.filter(_isRedaction))
+            this._addRedactionActor(annotation);
+
+        this._canvas.setAnnotations(annotations, this._pendingAnnotation);
+
+        this._undoButton.reactive = this._history.canUndo;
+        this._redoButton.reactive = this._history.canRedo;
+    }
+
+    _addRedactionActor(annotation) {
+        const [x, y, width, height] = _getBounds(annotation);
+
+        // Clamp the region to the image, in physical pixels.
+        const left = Math.clamp(Math.floor(x * this._scale), 0, this._pixbuf.width);
+        const top = Math.clamp(Math.floor(y * this._scale), 0, this._pixbuf.height);
+        const right = Math.clamp(Math.ceil((x + width) * this._scale), 0, this._pixbuf.width);
+        const bottom = Math.clamp(Math.ceil((y + height) * this._scale), 0, this._pixbuf.height);
+        if (right - left < 1 || bottom - top < 1)
+            return;
+
+        const pixbuf = _redactPixbuf(this._pixbuf, annotation.tool,
+            [left, top, right - left, bottom - top]);
+        this._redactions.add_child(new Clutter.Actor({
+            x: left / this._scale,
+            y: top / this._scale,
+            width: (right - left) / this._scale,
+            height: (bottom - top) / this._scale,
+            content: contentFromPixbuf(pixbuf),
+        }));
+    }
+
+    _getPagePoint(event) {
+        const [stageX, stageY] = event.get_coords();
+        const [success, x, y] = this._page.transform_stage_point(stageX, stageY);
+        if (!success)
+            return null;
+
+        return [
+            Math.clamp(x, 0, this._page.width),
+            Math.clamp(y, 0, this._page.height),
+        ];
+    }
+
+    _startText(point) {
+        this._commitText();
+
+        const [x, y] = point;
+        this._textEntry = new St.Entry({
+            style_class: 'screenshot-ui-editor-text-entry',
+            x,
+            y,
+        });
+        this._textPoint = point;
+        this._textEntry.clutter_text.connect('activate', () => this._commitText());
+        this._page.add_child(this._textEntry);
+        this._textEntry.grab_key_focus();
+    }
+
+    _commitText() {
+        if (!this._textEntry)
+            return;
+
+        const entry = this._textEntry;
+        delete this._textEntry;
+
+        const text = entry.get_text().trim();
+        if (text !== '') {
+            this._history.push({
+                tool: Tool.TEXT,
+                color: this._color,
+                lineWidth: LINE_WIDTH,
+                fontSize: FONT_SIZE,
+                points: [this._textPoint],
+                text,
+            });
+            this._sync();
+        }
+
+        entry.destroy();
+        this.grab_key_focus();
+    }
+
+    _cancelDrag() {
+        this._dragGrab?.dismiss();
+        delete this._dragGrab;
+
+        this._pendingAnnotation = null;
+    }
+
+    _onPress(event) {
+        if (this._pendingAnnotation)
+            return Clutter.EVENT_PROPAGATE;
+
+        const point = this._getPagePoint(event);
+        if (!point)
+            return Clutter.EVENT_PROPAGATE;
+
+        if (this._tool === Tool.TEXT) {
+            this._startText(point);
+            return Clutter.EVENT_STOP;
+        }
+
+        this._commitText();
+        this._pendingAnnotation = {
+            tool: this._tool,
+            color: this._color,
+            lineWidth: LINE_WIDTH,
+            points: [point],
+        };
+        this._dragGrab = global.stage.grab(this);
+
+        return Clutter.EVENT_STOP;
+    }
+
+    _onMotion(event) {
+        if (!this._pendingAnnotation)
+            return Clutter.EVENT_PROPAGATE;
+
+        const point = this._getPagePoint(event);
+        if (!point)
+            return Clutter.EVENT_STOP;
+
+        const {tool, points} = this._pendingAnnotation;
+        if (tool === Tool.PEN || tool === Tool.HIGHLIGHTER)
+            points.push(point);
+        else
+            points[1] = point;
+
+        this._canvas.setAnnotations(
+            this._history.annotations, this._pendingAnnotation);
+
+        return Clutter.EVENT_STOP;
+    }
+
+    _onRelease() {
+        if (!this._pendingAnnotation)
+            return Clutter.EVENT_PROPAGATE;
+
+        const annotation = this._pendingAnnotation;
+        this._cancelDrag();
+
+        // Ignore clicks that didn't draw anything.
+        if (annotation.points.length > 1)
+            this._history.push(annotation);
+        this._sync();
+
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_button_press_event(event) {
+        if (event.get_button() === Clutter.BUTTON_PRIMARY)
+            return this._onPress(event);
+
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    vfunc_button_release_event(event) {
+        if (event.get_button() === Clutter.BUTTON_PRIMARY)
+            return this._onRelease(event);
+
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    vfunc_motion_event(event) {
+        return this._onMotion(event);
+    }
+
+    vfunc_key_press_event(event) {
+        const symbol = event.get_key_symbol();
+        const state = event.get_state();
+
+        if (state & Clutter.ModifierType.CONTROL_MASK) {
+            if (symbol === Clutter.KEY_z || symbol === Clutter.KEY_Z) {
+                if (state & Clutter.ModifierType.SHIFT_MASK)
+                    this.redo();
+                else
+                    this.undo();
+                return Clutter.EVENT_STOP;
+            }
+
+            if (symbol === Clutter.KEY_y || symbol === Clutter.KEY_Y) {
+                this.redo();
+                return Clutter.EVENT_STOP;
+            }
+        }
+
+        if (symbol === Clutter.KEY_Return || symbol === Clutter.KEY_KP_Enter ||
+            symbol === Clutter.KEY_ISO_Enter) {
+            this._finish();
+            return Clutter.EVENT_STOP;
+        }
+
+        if (symbol === Clutter.KEY_Escape) {
+            // Drop the text being typed, or else discard all edits and
+            // go back to the selection
+            if (this._textEntry) {
+                this._textEntry.destroy();
+                delete this._textEntry;
+                this.grab_key_focus();
+            } else {
+                this.emit('cancelled');
+            }
+            return Clutter.EVENT_STOP;
+        }
+
+        return super.vfunc_key_press_event(event);
+    }
+});
@@ -0,0 +1,264 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import Clutter from 'gi://Clutter';
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+
+const SCROLL_STEPS_PER_FRAME = 3;
+const SCROLL_SETTLE_TIME = 250; // ms
+const MAX_FRAMES = 40;
+
+// Larger images can't be turned into textures for the notification.
+const MAX_HEIGHT = 16384;
+
+// Overlaps smaller than this are too likely to match by accident.
+const MIN_OVERLAP_ROWS = 16;
+
+/**
+ * Computes a hash for each row of pixels of an image.
+ *
+ * @param {GdkPixbuf.Pixbuf} pixbuf - The image.
+ * @returns {Uint32Array} the row hashes
+ */
+function _hashRows(pixbuf) {
+    const pixels = pixbuf.read_pixel_bytes().toArray();
+    const rowLength = pixbuf.width * pixbuf.n_channels;
+    const hashes = new Uint32Array(pixbuf.height);
+
+    // FNV-1a
+    for (let y = 0; y < pixbuf.height; y++) {
+        const start = y * pixbuf.rowstride;
+        let hash = 0x811c9dc5;
+        for (let i = start; i < start + rowLength; i++) {
+            hash ^= pixels[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        hashes[y] = hash >>> 0;
+    }
+
+    return hashes;
+}
+
+/**
+ * Finds out how far the contents of a window scrolled between two frames.
+ *
+ * Rows that are identical at the top and bottom of both frames are taken to
+ * be fixed headers and footers, like toolbars, that don't scroll along.
+ *
+ * @param {number[]} previous - The row hashes of the previous frame.
+ * @param {number[]} next - The row hashes of the next frame.
+ * @returns {object|null} the number of fixed `top` and `bottom` rows and the
+ *   `offset` the contents moved up by, or null if they didn't scroll
+ */
+export function findScrollOffset(previous, next) {
+    const height = Math.min(previous.length, next.length);
+
+    let top = 0;
+    while (top < height && previous[top] === next[top])
+        top++;
+
+    if (top === height)
+        return null;
+
+    let bottom = 0;
+    while (bottom < height - top &&
+           previous[height - 1 - bottom] === next[height - 1 - bottom])
+        bottom++;
+
+    const contentHeight = height - top - bottom;
+    for (let offset = 1; offset <= contentHeight - MIN_OVERLAP_ROWS; offset++) {
+        let matches = true;
+        for (let i = 0; matches && i < contentHeight - offset; i++)
+            matches = next[top + i] === previous[top + offset + i];
+
+        if (matches)
+            return {top, bottom, offset};
+    }
+
+    return null;
+}
+
+/**
+ * Captures a window while scrolling through it, and stitches the frames
+ * into a single tall image.
+ */
+export class ScrollingCapture {
+    /**
+     * @param {Meta.WindowActor} windowActor - The window to capture.
+     */
+    constructor(windowActor) {
+        this._windowActor = windowActor;
+        this._cancelled = false;
+
+        this._windowDestroyed = false;
+        this._windowActor.connectObject('destroy',
+            () => (this._windowDestroyed = true), this);
+
+        this._virtualPointer = null;
+    }
+
+    cancel() {
+        this._cancelled = true;
+        this._windowActor.disconnectObject(this);
+    }
+
+    /**
+     * Runs the capture.
+     *
+     * @returns {Promise<GdkPixbuf.Pixbuf|null>} the stitched image, or null if
+     *   the window went away or the capture was cancelled
+     */
+    async capture() {
+        if (this._windowDestroyed)
+            return null;
+
+        const window = this._windowActor.metaWindow;
+        window.activate(global.get_current_time());
+
+        const seat = Clutter.get_default_backend().get_default_seat();
+        this._virtualPointer =
+            seat.create_virtual_device(Clutter.InputDeviceType.POINTER_DEVICE);
+
+        // Scroll events go to the window under the pointer.
+        const [pointerX, pointerY] = global.get_pointer();
+        const rect = window.get_frame_rect();
+        try {
+            this._virtualPointer.notify_absolute_motion(
+                this._getTime(),
+                rect.x + rect.width / 2,
+                rect.y + rect.height / 2);
+
+            return await this._captureFrames();
+        } finally {
+            this._virtualPointer.notify_absolute_motion(
+                this._getTime(), pointerX, pointerY);
+            this._virtualPointer.run_dispose();
+            this._virtualPointer = null;
+
+            this._windowActor.disconnectObject(this);
+        }
+    }
+
+    async _captureFrames() {
+        await this._wait(SCROLL_SETTLE_TIME);
+
+        let frame = await this._grabFrame();
+        if (!frame)
+            return null;
+
+        const {width, height} = frame;
+        let hashes = _hashRows(frame);
+
+        // Slices of the frames that make up the final image, top to bottom.
+        const slices = [];
+        let sliceStart = 0;
+        let lastStep = null;
+        let totalHeight = 0;
+
+        for (let i = 1; i < MAX_FRAMES && totalHeight < MAX_HEIGHT; i++) {
+            this._scroll();
+            // eslint-disable-next-line no-await-in-loop
+            await this._wait(SCROLL_SETTLE_TIME);
+
+            // eslint-disable-next-line no-await-in-loop
+            const nextFrame = await this._grabFrame();
+            if (!nextFrame)
+                return null;
+
+            if (nextFrame.width !== width || nextFrame.height !== height)
+                break;
+
+            const nextHashes = _hashRows(nextFrame);
+            const step = findScrollOffset(hashes, nextHashes);
+            if (!step)
+                break;
+
+            // Everything of the current frame above the footer is final;
+            // the next frame continues right below it.
+            const sliceEnd = height - step.bottom;
+            if (sliceEnd <= sliceStart)
+                break;
+
+            slices.push(frame.new_subpixbuf(
+                0, sliceStart, width, sliceEnd - sliceStart).copy());
+            totalHeight += sliceEnd - sliceStart;
+
+            sliceStart = sliceEnd - step.offset;
+            lastStep = step;
+            frame = nextFrame;
+            hashes = nextHashes;
+        }
+
+        // The rest of the last frame, including its footer.
+        if (lastStep) {
+            slices.push(frame.new_subpixbuf(
+                0, sliceStart, width, height - sliceStart).copy());
+        } else {
+            slices.push(frame);
+        }
+
+        return this._stitch(slices);
+    }
+
+    _stitch(slices) {
+        const [first] = slices;
+        const height = Math.min(MAX_HEIGHT,
+            slices.reduce((sum, slice) => sum + slice.height, 0));
+        const result = GdkPixbuf.Pixbuf.new(GdkPixbuf.Colorspace.RGB,
+            first.has_alpha, 8, first.width, height);
+
+        let y = 0;
+        for (const slice of slices) {
+            const sliceHeight = Math.min(slice.height, height - y);
+            if (sliceHeight <= 0)
+                break;
+
+            slice.copy_area(0, 0, slice.width, sliceHeight, result, 0, y);
+            y += sliceHeight;
+        }
+
+        return result;
+    }
+
+    async _grabFrame() {
+        if (this._cancelled || this._windowDestroyed)
+            return null;
+
+        const content = this._windowActor.paint_to_content(null);
+        const stream = Gio.MemoryOutputStream.new_resizable();
+        const pixbuf = await Shell.Screenshot.composite_to_stream(
+            content.get_texture(),
+            0, 0, -1, -1,
+            this._windowActor.get_resource_scale(),
+            null, 0, 0, 1,
+            stream);
+        stream.close(null);
+
+        return pixbuf;
+    }
+
+    _scroll() {
+        for (let i = 0; i < SCROLL_STEPS_PER_FRAME; i++) {
+            this._virtualPointer.notify_discrete_scroll(
+                this._getTime(),
+                Clutter.ScrollDirection.DOWN,
+                Clutter.ScrollSource.WHEEL);
+        }
+    }
+
+    _getTime() {
+        return GLib.get_monotonic_time();
+    }
+
+    _wait(ms) {
+        return new Promise(resolve => {
+            const id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, ms, () => {
+                resolve();
+                return GLib.SOURCE_REMOVE;
+            });
+            GLib.Source.set_name_by_id(id, '[gnome-shell] scrolling capture');
+        });
+    }
+}
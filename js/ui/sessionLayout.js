@@ -0,0 +1,374 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+
+import * as WindowPlacements from '../misc/windowPlacements.js';
+import * as WindowRules from '../misc/windowRules.js';
+
+import * as MonitorWorkspaces from './monitorWorkspaces.js';
+
+const RESTORE_KEY = 'restore-window-layout';
+
+const STATE_KEY = 'window-layout';
+const STATE_TYPE = 'aa{sv}';
+
+// The layout saved with the “Save Window Layout” action; unlike the places
+// recorded as windows change, it is kept until it is saved again
+const SAVED_STATE_KEY = 'saved-window-layout';
+
+const MAX_PLACEMENTS = 100;
+
+// How long after the Shell started windows are put back to their place, in
+// seconds; this covers windows that come back after a restart, and apps
+// that are started with the session
+const RESTORE_PERIOD = 120;
+
+// How long changes to windows are collected before saving, in seconds
+const SAVE_TIMEOUT = 5;
+
+const PLACEMENT_TYPES = {
+    'app-id': 's',
+    'wm-class': 's',
+    'title': 's',
+    'monitor': 'i',
+    'workspace': 'i',
+    'x': 'i',
+    'y': 'i',
+    'width': 'i',
+    'height': 'i',
+    'maximized': 'u',
+    'tile': 's',
+    'fullscreen': 'b',
+    'above': 'b',
+    'sticky': 'b',
+    'last-seen': 'x',
+};
+
+const _toCamelCase = key => key.replace(/-(.)/g, (m, c) => c.toUpperCase());
+
+function _serializePlacement(placement) {
+    const dict = {};
+    for (const [key, type] of Object.entries(PLACEMENT_TYPES))
+        dict[key] = new GLib.Variant(type, placement[_toCamelCase(key)]);
+    return dict;
+}
+
+function _deserializePlacement(dict) {
+    const placement = {};
+    for (const key of Object.keys(PLACEMENT_TYPES)) {
+        if (!(key in dict))
+            throw new Error(`Missing “${key}”`);
+        placement[_toCamelCase(key)] = dict[key].unpack();
+    }
+    return placement;
+}
+
+/**
+ * Records where windows are, and puts windows that are opened again after
+ * a restart of the Shell or a new login back to where they were, or to
+ * where they were when the layout was last saved.
+ */
+export class SessionLayoutManager {
+    /**
+     * @param {WorkspaceTracker} workspaceTracker - The workspace tracker,
+     *   used to provide the workspaces windows are put back on.
+     * @param {SnapLayoutManager} snapLayouts - The snap layout manager,
+     *   used to tile windows again.
+     */
+    constructor(workspaceTracker, snapLayouts) {
+        this._workspaceTracker = workspaceTracker;
+        this._snapLayouts = snapLayouts;
+
+        this._placements = this._load(STATE_KEY);
+        this._windowPlacements = new Map();
+        this._savedPlacements = this._load(SAVED_STATE_KEY);
+        this._windowSavedPlacements = new Map();
+        this._saveId = 0;
+
+        this._restoreEndTime =
+            GLib.get_monotonic_time() + RESTORE_PERIOD * GLib.USEC_PER_SEC;
+
+        global.display.connect('window-created',
+            (display, window) => this._onWindowCreated(window));
+        global.settings.connect(`changed::${RESTORE_KEY}`,
+            () => this._syncEnabled());
+        this._syncEnabled();
+    }
+
+    get _enabled() {
+        return global.settings.get_boolean(RESTORE_KEY);
+    }
+
+    _syncEnabled() {
+        if (this._enabled) {
+            global.get_window_actors()
+                .map(a => a.meta_window)
+                .filter(w => this._isRestorable(w))
+                .forEach(w => this._trackWindow(w, null));
+        } else {
+            [...this._windowPlacements.keys()].forEach(
+                w => this._untrackWindow(w));
+        }
+    }
+
+    _load(key) {
+        try {
+            const value = global.get_persistent_state(STATE_TYPE, key);
+            if (!value)
+                return [];
+
+            return value.deepUnpack().flatMap(dict => {
+                try {
+                    return [_deserializePlacement(dict)];
+                } catch (e) {
+                    console.warn(`Ignoring invalid window placement: ${e.message}`);
+                    return [];
+                }
+            });
+        } catch (e) {
+            logError(e, 'Failed to load window layout');
+            return [];
+        }
+    }
+
+    _queueSave() {
+        if (this._saveId)
+            return;
+
+        this._saveId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW,
+            SAVE_TIMEOUT, () => {
+                this._saveId = 0;
+                this._saveRecorded();
+                return GLib.SOURCE_REMOVE;
+            });
+        GLib.Source.set_name_by_id(this._saveId,
+            '[gnome-shell] SessionLayoutManager._saveRecorded');
+    }
+
+    _store(key, placements) {
+        const value = new GLib.Variant(STATE_TYPE,
+            placements.map(_serializePlacement));
+        global.set_persistent_state(key, value);
+    }
+
+    _saveRecorded() {
+        if (this._saveId) {
+            GLib.source_remove(this._saveId);
+            this._saveId = 0;
+        }
+
+        if (!this._enabled)
+            return;
+
+        for (const window of this._windowPlacements.keys())
+            this._recordWindow(window);
+
+        this._placements = WindowPlacements.prunePlacements(
+            this._placements, MAX_PLACEMENTS);
+        this._store(STATE_KEY, this._placements);
+    }
+
+    /**
+     * Saves where all open windows are now as the layout to put them back
+     * to after a restart or a new login. The saved layout is preferred
+     * over the places recorded as windows change, and is kept until it
+     * is saved again.
+     */
+    save() {
+        this._saveRecorded();
+
+        if (!this._enabled)
+            return;
+
+        this._savedPlacements = [];
+        this._windowSavedPlacements.clear();
+        for (const [window, placement] of this._windowPlacements) {
+            if (!placement)
+                continue;
+
+            const saved = {...placement};
+            this._savedPlacements.push(saved);
+            this._windowSavedPlacements.set(window, saved);
+        }
+        this._store(SAVED_STATE_KEY, this._savedPlacements);
+    }
+
+    _isRestorable(window) {
+        return window.get_window_type() === Meta.WindowType.NORMAL &&
+            !window.is_skip_taskbar() &&
+            !window.get_transient_for();
+    }
+
+    _describeWindow(window) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        return {
+            appId: app?.get_id() ?? '',
+            wmClass: window.get_wm_class() ?? '',
+            title: window.get_title() ?? '',
+        };
+    }
+
+    _onWindowCreated(window) {
+        if (!this._enabled)
+            return;
+
+        // Wait for the app to set up the window, so it can be matched by
+        // its title, and to not get in the way of its initial placement
+        const actor = window.get_compositor_private();
+        actor.connectObject('first-frame', () => {
+            actor.disconnectObject(this);
+
+            if (!this._enabled || !this._isRestorable(window))
+                return;
+
+            const saved = this._findPlacement(window,
+                this._savedPlacements, this._windowSavedPlacements);
+            const placement = this._findPlacement(window,
+                this._placements, this._windowPlacements);
+
+            // The saved layout wins over where the window was last seen
+            if (saved ?? placement)
+                this._restoreWindow(window, saved ?? placement);
+            if (saved)
+                this._windowSavedPlacements.set(window, saved);
+            this._trackWindow(window, placement);
+        }, this);
+    }
+
+    _findPlacement(window, placements, windowPlacements) {
+        const restoreTime = this._restoreEndTime - GLib.get_monotonic_time();
+        if (restoreTime <= 0)
+            return null;
+
+        const taken = new Set(windowPlacements.values());
+        return WindowPlacements.findPlacement(placements,
+            this._describeWindow(window), taken);
+    }
+
+    _restoreWindow(window, placement) {
+        const nMonitors = global.display.get_n_monitors();
+        const monitor = placement.monitor < nMonitors
+            ? placement.monitor
+            : global.display.get_primary_monitor();
+
+        const workArea = window.get_work_area_for_monitor(monitor);
+        const width = Math.min(placement.width, workArea.width);
+        const height = Math.min(placement.height, workArea.height);
+        const x = Math.clamp(placement.x, 0, workArea.width - width);
+        const y = Math.clamp(placement.y, 0, workArea.height - height);
+
+        if (window.is_fullscreen())
+            window.unmake_fullscreen();
+        if (window.get_maximized())
+            window.unmaximize(Meta.MaximizeFlags.BOTH);
+
+        if (placement.sticky) {
+            window.stick();
+        } else {
+            const restoreTime =
+                this._restoreEndTime - GLib.get_monotonic_time();
+            const workspace = this._workspaceTracker.ensureWorkspace(
+                placement.workspace, Math.ceil(restoreTime / 1000));
+            window.change_workspace(MonitorWorkspaces.getMonitorWorkspaceManager()
+                .getWindowWorkspace(monitor, workspace));
+        }
+
+        if (window.get_monitor() !== monitor)
+            window.move_to_monitor(monitor);
+
+        // Tiled windows go back to their side of the work area, which may
+        // have changed in size, and are maximized vertically again
+        if (placement.tile) {
+            const {layout, slot} = WindowRules.getTileSlot(placement.tile);
+            this._snapLayouts.placeWindow(window, layout, slot, monitor);
+        } else {
+            window.move_resize_frame(true,
+                workArea.x + x, workArea.y + y, width, height);
+        }
+
+        if (placement.maximized)
+            window.maximize(placement.maximized);
+        if (placement.fullscreen)
+            window.make_fullscreen();
+        if (placement.above)
+            window.make_above();
+    }
+
+    _trackWindow(window, placement) {
+        if (this._windowPlacements.has(window))
+            return;
+
+        this._windowPlacements.set(window, placement);
+
+        window.connectObject(
+            'position-changed', () => this._queueSave(),
+            'size-changed', () => this._queueSave(),
+            'workspace-changed', () => this._queueSave(),
+            'notify::title', () => this._queueSave(),
+            'unmanaging', () => {
+                // Remember where the window was when it is opened again
+                this._recordWindow(window);
+                this._untrackWindow(window);
+                this._queueSave();
+            }, this);
+        this._queueSave();
+    }
+
+    _untrackWindow(window) {
+        window.disconnectObject(this);
+        this._windowPlacements.delete(window);
+        this._windowSavedPlacements.delete(window);
+    }
+
+    _recordWindow(window) {
+        const monitor = window.get_monitor();
+        if (monitor < 0)
+            return;
+
+        let placement = this._windowPlacements.get(window);
+        if (!placement) {
+            placement = {};
+            this._placements.push(placement);
+            this._windowPlacements.set(window, placement);
+        }
+
+        // Keep the size windows get back when they are no longer
+        // maximized or fullscreen
+        const maximized = window.get_maximized();
+        const fullscreen = window.is_fullscreen();
+        const workArea = window.get_work_area_for_monitor(monitor);
+        const rect = window.get_frame_rect();
+        if (!('width' in placement) ||
+            (maximized !== Meta.MaximizeFlags.BOTH && !fullscreen)) {
+            Object.assign(placement, {
+                x: rect.x - workArea.x,
+                y: rect.y - workArea.y,
+                width: rect.width,
+                height: rect.height,
+            });
+        }
+
+        // Record the workspace the window belongs to, not the one it is
+        // parked on while its monitor shows another workspace
+        const workspace = window.get_workspace()
+            ? MonitorWorkspaces.getMonitorWorkspaceManager()
+                .getWindowWorkspace(monitor, window.get_workspace()).index()
+            : 0;
+
+        Object.assign(placement, {
+            ...this._describeWindow(window),
+            monitor,
+            workspace,
+            maximized,
+            tile: maximized === Meta.MaximizeFlags.VERTICAL && !fullscreen
+                ? WindowPlacements.getTileSide(rect, workArea)
+                : '',
+            fullscreen,
+            above: window.is_above(),
+            sticky: window.is_on_all_workspaces(),
+            lastSeen: GLib.get_real_time(),
+        });
+    }
+}
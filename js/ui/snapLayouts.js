@@ -0,0 +1,510 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+
+import Clutter from 'gi://Clutter';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Mtk from 'gi://Mtk';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+
+import * as Main from './main.js';
+import * as TileLayouts from '../misc/tileLayouts.js';
+
+import {TilePreview} from './windowManager.js';
+
+const MUTTER_SCHEMA = 'org.gnome.mutter';
+
+// How close to an edge of the work area the pointer has to be for a window
+// being dragged to be tiled to a quarter, in logical pixels
+const CORNER_THRESHOLD = 24;
+
+const POINTER_POLL_INTERVAL = 50; // ms
+
+const WINDOW_ICON_SIZE = 24;
+
+/**
+ * A popup that covers the stage and closes when clicking outside of its
+ * contents or pressing Escape.
+ */
+const SnapPopup = GObject.registerClass({
+    GTypeFlags: GObject.TypeFlags.ABSTRACT,
+}, class SnapPopup extends St.Widget {
+    constructor(params) {
+        super({
+            reactive: true,
+            ...params,
+        });
+
+        this._grab = null;
+
+        this.add_constraint(new Clutter.BindConstraint({
+            source: global.stage,
+            coordinate: Clutter.BindCoordinate.ALL,
+        }));
+        Main.uiGroup.add_child(this);
+        global.focus_manager.add_group(this);
+
+        Main.layoutManager.connectObject(
+            'system-modal-opened', () => this.close(), this);
+
+        this.connect('destroy', () => {
+            if (this._grab)
+                Main.popModal(this._grab);
+            this._grab = null;
+        });
+    }
+
+    /**
+     * @returns {boolean} whether the popup could be opened
+     */
+    open() {
+        const grab = Main.pushModal(this);
+        // We expect at least a keyboard grab here
+        if ((grab.get_seat_state() & Clutter.GrabState.KEYBOARD) === 0) {
+            Main.popModal(grab);
+            this.destroy();
+            return false;
+        }
+        this._grab = grab;
+        return true;
+    }
+
+    close() {
+        this.destroy();
+    }
+
+    vfunc_button_press_event(event) {
+        if (global.stage.get_event_actor(event) === this)
+            this.close();
+        return Clutter.EVENT_STOP;
+    }
+
+    vfunc_key_press_event(event) {
+        if (event.get_key_symbol() === Clutter.KEY_Escape) {
+            this.close();
+            return Clutter.EVENT_STOP;
+        }
+
+        return super.vfunc_key_press_event(event);
+    }
+});
+
+const LayoutThumbnail = GObject.registerClass({
+    Signals: {
+        'slot-activated': {param_types: [GObject.TYPE_JSOBJECT]},
+    },
+}, class LayoutThumbnail extends St.Widget {
+    constructor(layout) {
+        super({style_class: 'snap-layout'});
+
+        this._layout = layout;
+        this._buttons = layout.slots.map(slot => {
+            const button = new St.Button({
+                style_class: 'snap-layout-slot',
+                can_focus: true,
+            });
+            button.connect('clicked', () => this.emit('slot-activated', slot));
+            this.add_child(button);
+            return button;
+        });
+    }
+
+    vfunc_allocate(box) {
+        this.set_allocation(box);
+
+        const themeNode = this.get_theme_node();
+        const contentBox = themeNode.get_content_box(box);
+        const spacing = themeNode.get_length('spacing');
+
+        // Dividing the area including one extra spacing leaves the
+        // spacing between slots, but not after the last ones
+        const area = {
+            x: contentBox.x1,
+            y: contentBox.y1,
+            width: contentBox.get_width() + spacing,
+            height: contentBox.get_height() + spacing,
+        };
+
+        const childBox = new Clutter.ActorBox();
+        this._layout.slots.forEach((slot, i) => {
+            const rect = TileLayouts.getSlotRect(this._layout, slot, area);
+            childBox.set_origin(rect.x, rect.y);
+            childBox.set_size(rect.width - spacing, rect.height - spacing);
+            this._buttons[i].allocate(childBox);
+        });
+    }
+});
+
+const SnapLayoutPicker = GObject.registerClass({
+    Signals: {
+        'slot-activated': {
+            param_types: [GObject.TYPE_JSOBJECT, GObject.TYPE_JSOBJECT],
+        },
+    },
+}, class SnapLayoutPicker extends SnapPopup {
+    constructor(window) {
+        super();
+
+        this._window = window;
+
+        this._box = new St.BoxLayout({
+            style_class: 'snap-layout-picker',
+            reactive: true,
+        });
+        this.add_child(this._box);
+
+        for (const layout of TileLayouts.LAYOUTS) {
+            const thumbnail = new LayoutThumbnail(layout);
+            thumbnail.connect('slot-activated',
+                (t, slot) => this.emit('slot-activated', layout, slot));
+            this._box.add_child(thumbnail);
+        }
+    }
+
+    open() {
+        if (!super.open())
+            return false;
+
+        this._box.get_first_child().get_first_child().grab_key_focus();
+        return true;
+    }
+
+    vfunc_allocate(box) {
+        this.set_allocation(box);
+
+        // Show the picker at the top of the window, in its work area
+        const frameRect = this._window.get_frame_rect();
+        const workArea = this._window.get_work_area_current_monitor();
+        const [, natWidth] = this._box.get_preferred_width(-1);
+        const [, natHeight] = this._box.get_preferred_height(natWidth);
+
+        const x = Math.clamp(
+            frameRect.x + Math.floor((frameRect.width - natWidth) / 2),
+            workArea.x,
+            workArea.x + workArea.width - natWidth);
+        const y = Math.clamp(frameRect.y,
+            workArea.y,
+            workArea.y + workArea.height - natHeight);
+
+        const childBox = new Clutter.ActorBox();
+        childBox.set_origin(x, y);
+        childBox.set_size(natWidth, natHeight);
+        this._box.allocate(childBox);
+    }
+});
+
+/**
+ * Offers windows to fill the free slots of a layout with.
+ */
+const SnapAssist = GObject.registerClass({
+    Signals: {
+        'window-chosen': {
+            param_types: [Meta.Window.$gtype, GObject.TYPE_JSOBJECT],
+        },
+    },
+}, class SnapAssist extends SnapPopup {
+    /**
+     * @param {object[]} slots - The free slots, as objects with the `slot`
+     *   and its `rect` on the stage.
+     * @param {Meta.Window[]} windows - The windows to offer.
+     */
+    constructor(slots, windows) {
+        super({style_class: 'snap-assist'});
+
+        // The buttons of each window, by slot
+        this._windowButtons = new Map(windows.map(w => [w, new Map()]));
+        this._slotBoxes = new Map();
+
+        for (const {slot, rect} of slots) {
+            const slotBox = new St.Bin({
+                style_class: 'snap-assist-slot',
+                reactive: true,
+                x: rect.x,
+                y: rect.y,
+                width: rect.width,
+                height: rect.height,
+            });
+            this.add_child(slotBox);
+            this._slotBoxes.set(slot, slotBox);
+
+            const list = new St.BoxLayout({
+                style_class: 'snap-assist-window-list',
+                vertical: true,
+            });
+            slotBox.child = new St.ScrollView({
+                hscrollbar_policy: St.PolicyType.NEVER,
+                x_align: Clutter.ActorAlign.CENTER,
+                y_align: Clutter.ActorAlign.CENTER,
+                child: list,
+            });
+
+            for (const window of windows) {
+                const button = this._createWindowButton(window, slot);
+                list.add_child(button);
+                this._windowButtons.get(window).set(slot, button);
+            }
+        }
+    }
+
+    _createWindowButton(window, slot) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+
+        const box = new St.BoxLayout({style_class: 'snap-assist-window-box'});
+        box.add_child(app
+            ? app.create_icon_texture(WINDOW_ICON_SIZE)
+            : new St.Icon({
+                icon_name: 'application-x-executable',
+                icon_size: WINDOW_ICON_SIZE,
+            }));
+        box.add_child(new St.Label({
+            text: window.title ?? app?.get_name() ?? '',
+            y_align: Clutter.ActorAlign.CENTER,
+        }));
+
+        const button = new St.Button({
+            style_class: 'snap-assist-window',
+            child: box,
+            can_focus: true,
+            x_expand: true,
+        });
+        button.connect('clicked', () => this._chooseWindow(window, slot));
+        return button;
+    }
+
+    _chooseWindow(window, slot) {
+        // The buttons of the other windows in the slot go away with its box
+        this._slotBoxes.get(slot).destroy();
+        this._slotBoxes.delete(slot);
+        for (const buttons of this._windowButtons.values())
+            buttons.delete(slot);
+
+        this._windowButtons.get(window).forEach(b => b.destroy());
+        this._windowButtons.delete(window);
+
+        this.emit('window-chosen', window, slot);
+
+        if (this._slotBoxes.size === 0 || this._windowButtons.size === 0)
+            this.close();
+        else
+            this._focusFirstButton();
+    }
+
+    _focusFirstButton() {
+        const [buttons] = this._windowButtons.values();
+        const [button] = buttons.values();
+        button.grab_key_focus();
+    }
+
+    open() {
+        if (!super.open())
+            return false;
+
+        this._focusFirstButton();
+        return true;
+    }
+});
+
+/**
+ * Tiles windows into the slots of layouts: to quarters when dragging them
+ * to a corner, or to the slots of the layouts offered by a picker. Once a
+ * window is placed, other windows are offered to fill the free slots.
+ */
+export class SnapLayoutManager {
+    constructor() {
+        this._mutterSettings = new Gio.Settings({schema_id: MUTTER_SCHEMA});
+
+        this._tilePreview = null;
+        this._tilePreviewRequest = null;
+
+        this._dragWindow = null;
+        this._dragPlacement = null;
+        this._dragPollId = 0;
+
+        global.display.connect('grab-op-begin',
+            (display, window, op) => this._onGrabOpBegin(window, op));
+        global.display.connect('grab-op-end',
+            (display, window) => this._onGrabOpEnd(window));
+    }
+
+    _getSlotRect(window, layout, slot, monitorIndex) {
+        const workArea = window.get_work_area_for_monitor(monitorIndex);
+        return new Mtk.Rectangle(
+            TileLayouts.getSlotRect(layout, slot, workArea));
+    }
+
+    /**
+     * Tiles a window into a slot of a layout.
+     *
+     * @param {Meta.Window} window - The window to tile.
+     * @param {object} layout - The layout, as in `tileLayouts.js`.
+     * @param {object} slot - A slot of the layout.
+     * @param {number} monitorIndex - The monitor to tile the window on.
+     */
+    placeWindow(window, layout, slot, monitorIndex) {
+        if (window.minimized)
+            window.unminimize();
+        if (window.get_maximized())
+            window.unmaximize(Meta.MaximizeFlags.BOTH);
+        if (window.get_monitor() !== monitorIndex)
+            window.move_to_monitor(monitorIndex);
+
+        const rect = this._getSlotRect(window, layout, slot, monitorIndex);
+        window.move_resize_frame(true,
+            rect.x, rect.y, rect.width, rect.height);
+    }
+
+    _offerFreeSlots(window, layout, slot, monitorIndex) {
+        const workspace = window.get_workspace();
+        const windows = global.display.get_tab_list(
+            Meta.TabList.NORMAL, workspace).filter(w => w !== window);
+
+        // Slots that already hold a window aren't free
+        const slots = layout.slots.filter(s => s !== slot).map(s => ({
+            slot: s,
+            rect: this._getSlotRect(window, layout, s, monitorIndex),
+        })).filter(({rect}) =>
+            !windows.some(w => w.get_frame_rect().equal(rect)));
+
+        const candidates = windows.filter(w => w.allows_resize());
+        if (slots.length === 0 || candidates.length === 0)
+            return;
+
+        const assist = new SnapAssist(slots, candidates);
+        assist.connect('window-chosen', (a, candidate, freeSlot) => {
+            this.placeWindow(candidate, layout, freeSlot, monitorIndex);
+            candidate.activate(global.get_current_time());
+        });
+        assist.open();
+    }
+
+    /**
+     * Opens a picker to tile a window into a slot of a layout.
+     *
+     * The picker is opened with a shortcut or from the window menu, not by
+     * hovering the maximize button: Mutter doesn't tell the Shell when the
+     * pointer is over the buttons of server-side decorations, and the
+     * buttons of client-side decorations belong to the apps.
+     *
+     * @param {Meta.Window} window - The window to tile.
+     */
+    openPicker(window) {
+        if (!window?.allows_resize())
+            return;
+
+        const picker = new SnapLayoutPicker(window);
+        picker.connect('slot-activated', (p, layout, slot) => {
+            picker.close();
+
+            const monitorIndex = window.get_monitor();
+            this.placeWindow(window, layout, slot, monitorIndex);
+            this._offerFreeSlots(window, layout, slot, monitorIndex);
+        });
+        picker.open();
+    }
+
+    /**
+     * Shows the tile preview Mutter asks for, unless the window being
+     * dragged is about to be tiled to a quarter.
+     *
+     * @param {Meta.Window} window - The window being dragged.
+     * @param {Mtk.Rectangle} tileRect - The area the window would tile to.
+     * @param {number} monitorIndex - The monitor of the area.
+     */
+    showTilePreview(window, tileRect, monitorIndex) {
+        this._tilePreviewRequest = {window, tileRect, monitorIndex};
+        this._syncTilePreview();
+    }
+
+    hideTilePreview() {
+        this._tilePreviewRequest = null;
+        this._syncTilePreview();
+    }
+
+    _syncTilePreview() {
+        let request = this._tilePreviewRequest;
+        if (this._dragPlacement) {
+            const {slot, monitorIndex} = this._dragPlacement;
+            const layout = TileLayouts.getLayout('quarters');
+            request = {
+                window: this._dragWindow,
+                tileRect: this._getSlotRect(
+                    this._dragWindow, layout, slot, monitorIndex),
+                monitorIndex,
+            };
+        }
+
+        if (request) {
+            this._tilePreview ??= new TilePreview();
+            this._tilePreview.open(
+                request.window, request.tileRect, request.monitorIndex);
+        } else {
+            this._tilePreview?.close();
+        }
+    }
+
+    _onGrabOpBegin(window, op) {
+        if (op !== Meta.GrabOp.MOVING || !window.allows_resize())
+            return;
+
+        if (!this._mutterSettings.get_boolean('edge-tiling'))
+            return;
+
+        this._dragWindow = window;
+        this._dragPollId = GLib.timeout_add(GLib.PRIORITY_DEFAULT,
+            POINTER_POLL_INTERVAL, () => {
+                this._updateDragPlacement();
+                return GLib.SOURCE_CONTINUE;
+            });
+        GLib.Source.set_name_by_id(this._dragPollId,
+            '[gnome-shell] this._updateDragPlacement');
+    }
+
+    _updateDragPlacement() {
+        const [x, y] = global.get_pointer();
+        const monitorIndex = global.display.get_current_monitor();
+        const workArea =
+            this._dragWindow.get_work_area_for_monitor(monitorIndex);
+        const slot = TileLayouts.getCornerSlot(x, y,
+            workArea, CORNER_THRESHOLD);
+
+        if (slot === this._dragPlacement?.slot &&
+            monitorIndex === this._dragPlacement?.monitorIndex)
+            return;
+
+        this._dragPlacement = slot ? {slot, monitorIndex} : null;
+        this._syncTilePreview();
+    }
+
+    _onGrabOpEnd(window) {
+        if (window !== this._dragWindow)
+            return;
+
+        GLib.source_remove(this._dragPollId);
+        this._dragPollId = 0;
+
+        const placement = this._dragPlacement;
+        this._dragWindow = null;
+        this._dragPlacement = null;
+        this._syncTilePreview();
+
+        if (!placement)
+            return;
+
+        // Mutter tiles or maximizes the window itself when the pointer is
+        // at an edge, so only take over once it is done
+        const laters = global.compositor.get_laters();
+        const laterId = laters.add(Meta.LaterType.BEFORE_REDRAW, () => {
+            window.disconnectObject(this);
+
+            const layout = TileLayouts.getLayout('quarters');
+            const {slot, monitorIndex} = placement;
+            this.placeWindow(window, layout, slot, monitorIndex);
+            this._offerFreeSlots(window, layout, slot, monitorIndex);
+            return GLib.SOURCE_REMOVE;
+        });
+        window.connectObject('unmanaged',
+            () => laters.remove(laterId), this);
+    }
+}
@@ -87,6 +87,20 @@ export const ScreenRecordingIndicator = GObject.registerClass({
         });
         this._box.add_child(this._label);
 
+        this._pauseButton = new St.Button({
+            style_class: 'screen-recording-indicator-pause-button',
+            child: new St.Icon({icon_name: 'media-playback-pause-symbolic'}),
+            can_focus: true,
+            accessible_name: _('Pause Screencast'),
+        });
+        this._pauseButton.connect('clicked', () => {
+            if (Main.screenshotUI.screencast_paused)
+                Main.screenshotUI.resumeScreencast();
+            else
+                Main.screenshotUI.pauseScreencast();
+        });
+        this._box.add_child(this._pauseButton);
+
         this._icon = new St.Icon({icon_name: 'screencast-stop-symbolic'});
         this._box.add_child(this._icon);
 
@@ -94,9 +108,17 @@ export const ScreenRecordingIndicator = GObject.registerClass({
         Main.screenshotUI.connect(
             'notify::screencast-in-progress',
             this._onScreencastInProgressChanged.bind(this));
+        Main.screenshotUI.connect(
+            'notify::screencast-paused',
+            this._onScreencastPausedChanged.bind(this));
     }
 
     vfunc_event(event) {
+        // The pause button handles its own events.
+        const targetActor = global.stage.get_event_actor(event);
+        if (this._pauseButton.contains(targetActor))
+            return Clutter.EVENT_PROPAGATE;
+
         if (event.type() === Clutter.EventType.TOUCH_BEGIN ||
             event.type() === Clutter.EventType.BUTTON_PRESS)
             Main.screenshotUI.stopScreencast();
@@ -118,6 +140,10 @@ export const ScreenRecordingIndicator = GObject.registerClass({
             this._updateLabel();
 
             this._timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 1000, () => {
+                // Paused time isn't part of the recording.
+                if (Main.screenshotUI.screencast_paused)
+                    return GLib.SOURCE_CONTINUE;
+
                 this._secondsPassed += 1;
                 this._updateLabel();
                 return GLib.SOURCE_CONTINUE;
@@ -133,6 +159,17 @@ export const ScreenRecordingIndicator = GObject.registerClass({
             delete this._secondsPassed;
         }
     }
+
+    _onScreencastPausedChanged() {
+        const paused = Main.screenshotUI.screencast_paused;
+
+        this._pauseButton.child.icon_name = paused
+            ? 'media-playback-start-symbolic'
+            : 'media-playback-pause-symbolic';
+        this._pauseButton.accessible_name = paused
+            ? _('Resume Screencast')
+            : _('Pause Screencast');
+    }
 });
 
 export const ScreenSharingIndicator = GObject.registerClass({
@@ -31,6 +31,21 @@ export function getMixerControl() {
     return _mixerControl;
 }
 
+/**
+ * @returns {boolean} - whether any application is recording audio
+ */
+export function isRecordingAudio() {
+    // skip gnome-volume-control and pavucontrol which appear
+    // as recording because they show the input level
+    const skippedApps = [
+        'org.gnome.VolumeControl',
+        'org.PulseAudio.pavucontrol',
+    ];
+
+    return getMixerControl().get_source_outputs().some(
+        output => !skippedApps.includes(output.get_application_id()));
+}
+
 const StreamSlider = GObject.registerClass({
     Signals: {
         'stream-updated': {},
@@ -391,20 +406,7 @@ class InputStreamSlider extends StreamSlider {
 
     _maybeShowInput() {
         // only show input widgets if any application is recording audio
-        let showInput = false;
-        if (this._stream) {
-            // skip gnome-volume-control and pavucontrol which appear
-            // as recording because they show the input level
-            let skippedApps = [
-                'org.gnome.VolumeControl',
-                'org.PulseAudio.pavucontrol',
-            ];
-
-            showInput = this._control.get_source_outputs().some(
-                output => !skippedApps.includes(output.get_application_id()));
-        }
-
-        this._showInput = showInput;
+        this._showInput = this._stream != null && isRecordingAudio();
         this._sync();
     }
 
@@ -51,10 +51,6 @@ const NotificationsBox = GObject.registerClass({
         });
         this.add_child(this._scrollView);
 
-        this._settings = new Gio.Settings({
-            schema_id: 'org.gnome.desktop.notifications',
-        });
-
         this._sources = new Map();
         Main.messageTray.getSources().forEach(source => {
             this._sourceAdded(Main.messageTray, source, true);
@@ -171,7 +167,7 @@ const NotificationsBox = GObject.registerClass({
 
     _updateSourceBoxStyle(source, obj, box) {
         let hasCriticalNotification =
-            source.notifications.some(n => n.urgency === MessageTray.Urgency.CRITICAL);
+            source.notifications.some(n => n.effectiveUrgency === MessageTray.Urgency.CRITICAL);
 
         if (hasCriticalNotification !== obj.hasCriticalNotification) {
             obj.hasCriticalNotification = hasCriticalNotification;
@@ -195,7 +191,7 @@ const NotificationsBox = GObject.registerClass({
     }
 
     _wakeUpScreenForSource(source) {
-        if (!this._settings.get_boolean('show-banners'))
+        if (Main.messageTray.doNotDisturb && !source.policy.priority)
             return;
         const obj = this._sources.get(source);
         if (obj?.sourceBox.visible)
@@ -15,12 +15,17 @@ import * as Dialog from './dialog.js';
 import * as WorkspaceSwitcherPopup from './workspaceSwitcherPopup.js';
 import * as InhibitShortcutsDialog from './inhibitShortcutsDialog.js';
 import * as ModalDialog from './modalDialog.js';
+import * as MonitorWorkspaces from './monitorWorkspaces.js';
+import * as SessionLayout from './sessionLayout.js';
+import * as SnapLayouts from './snapLayouts.js';
 import * as WindowMenu from './windowMenu.js';
 import * as PadOsd from './padOsd.js';
 import * as EdgeDragAction from './edgeDragAction.js';
 import * as CloseDialog from './closeDialog.js';
 import * as SwitchMonitor from './switchMonitor.js';
 import * as IBusManager from '../misc/ibusManager.js';
+import * as WindowRules from '../misc/windowRules.js';
+import * as WorkspaceSettings from '../misc/workspaceSettings.js';
 import * as WorkspaceAnimation from './workspaceAnimation.js';
 
 import {loadInterfaceXML} from '../misc/fileUtils.js';
@@ -198,7 +203,11 @@ class WorkspaceTracker {
         workspaceManager.connect('notify::n-workspaces',
             this._nWorkspacesChanged.bind(this));
         workspaceManager.connect('workspaces-reordered', () => {
-            this._workspaces.sort((a, b) => a.index() - b.index());
+            const workspaces =
+                [...this._workspaces].sort((a, b) => a.index() - b.index());
+            this._workspaceSettings.reorderWorkspaces(
+                workspaces.map(w => this._workspaces.indexOf(w)));
+            this._workspaces = workspaces;
         });
         global.window_manager.connect('switch-workspace',
             this._queueCheckWorkspaces.bind(this));
@@ -208,8 +217,16 @@ class WorkspaceTracker {
         global.display.connect('window-left-monitor',
             this._windowLeftMonitor.bind(this));
 
-        this._workspaceSettings = new Gio.Settings({schema_id: 'org.gnome.mutter'});
-        this._workspaceSettings.connect('changed::dynamic-workspaces', this._queueCheckWorkspaces.bind(this));
+        this._mutterSettings = new Gio.Settings({schema_id: 'org.gnome.mutter'});
+        this._mutterSettings.connect('changed::dynamic-workspaces', this._queueCheckWorkspaces.bind(this));
+
+        this._workspaceSettings = WorkspaceSettings.getWorkspaceSettings();
+        this._workspaceSettings.connect('names-changed',
+            this._queueCheckWorkspaces.bind(this));
+
+        this._monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        this._monitorWorkspaces.connect('changed',
+            this._queueCheckWorkspaces.bind(this));
 
         this._nWorkspacesChanged();
     }
@@ -222,6 +239,32 @@ class WorkspaceTracker {
         this._pauseWorkspaceCheck = false;
     }
 
+    /**
+     * Gets a workspace by index, appending workspaces up to it when they
+     * are dynamic. Empty workspaces up to it are kept for a while, so the
+     * index of the workspace does not change before windows are put on it.
+     *
+     * @param {number} index - The index of the workspace.
+     * @param {number} keepAliveTime - How long to keep workspaces, in ms.
+     * @returns {Meta.Workspace}
+     */
+    ensureWorkspace(index, keepAliveTime) {
+        const workspaceManager = global.workspace_manager;
+
+        if (Meta.prefs_get_dynamic_workspaces()) {
+            while (workspaceManager.n_workspaces <= index)
+                workspaceManager.append_new_workspace(false, global.get_current_time());
+
+            for (let i = 0; i <= index; i++) {
+                this.keepWorkspaceAlive(
+                    workspaceManager.get_workspace_by_index(i), keepAliveTime);
+            }
+        }
+
+        index = Math.min(index, workspaceManager.n_workspaces - 1);
+        return workspaceManager.get_workspace_by_index(index);
+    }
+
     _checkWorkspaces() {
         let workspaceManager = global.workspace_manager;
         let i;
@@ -267,6 +310,17 @@ class WorkspaceTracker {
             emptyWorkspaces[workspaceIndex] = false;
         }
 
+        // Named workspaces are kept around, even when empty
+        const lastNamedIndex = this._workspaceSettings.getLastNamedIndex();
+        while (emptyWorkspaces.length <= lastNamedIndex) {
+            workspaceManager.append_new_workspace(false, global.get_current_time());
+            emptyWorkspaces.push(true);
+        }
+        for (i = 0; i <= lastNamedIndex; i++) {
+            if (this._workspaceSettings.getName(i))
+                emptyWorkspaces[i] = false;
+        }
+
         // If we don't have an empty workspace at the end, add one
         if (!emptyWorkspaces[emptyWorkspaces.length - 1]) {
             workspaceManager.append_new_workspace(false, global.get_current_time());
@@ -284,6 +338,10 @@ class WorkspaceTracker {
         let activeWorkspaceIndex = workspaceManager.get_active_workspace_index();
         emptyWorkspaces[activeWorkspaceIndex] = false;
 
+        // Workspaces shown on other monitors are in use as well
+        for (const workspace of this._monitorWorkspaces.getWorkspaces())
+            emptyWorkspaces[workspace.index()] = false;
+
         // Delete empty workspaces except for the last one; do it from the end
         // to avoid index changes
         for (i = lastIndex; i >= 0; i--) {
@@ -379,6 +437,11 @@ class WorkspaceTracker {
 
             let lostWorkspaces = this._workspaces.splice(removedIndex, removedNum);
             lostWorkspaces.forEach(workspace => workspace.disconnectObject(this));
+
+            if (Meta.prefs_get_dynamic_workspaces()) {
+                this._workspaceSettings.removeWorkspaces(
+                    removedIndex, removedNum);
+            }
         }
 
         this._queueCheckWorkspaces();
@@ -542,7 +605,11 @@ export class WindowManager {
         this._shellwm.connect('create-inhibit-shortcuts-dialog', this._createInhibitShortcutsDialog.bind(this));
 
         this._workspaceSwitcherPopup = null;
-        this._tilePreview = null;
+        this._snapLayouts = new SnapLayouts.SnapLayoutManager();
+
+        global.settings.connect('changed::window-rules',
+            this._loadWindowRules.bind(this));
+        this._loadWindowRules();
 
         this.allowKeybinding('switch-to-session-1', Shell.ActionMode.ALL);
         this.allowKeybinding('switch-to-session-2', Shell.ActionMode.ALL);
@@ -763,6 +830,12 @@ export class WindowManager {
             Shell.ActionMode.POPUP,
             this._toggleQuickSettings.bind(this));
 
+        this.addKeybinding('open-snap-layouts',
+            new Gio.Settings({schema_id: SHELL_KEYBINDINGS_SCHEMA}),
+            Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+            Shell.ActionMode.NORMAL,
+            () => this.openSnapLayouts(global.display.focus_window));
+
         this.addKeybinding('switch-to-application-1',
             new Gio.Settings({schema_id: SHELL_KEYBINDINGS_SCHEMA}),
             Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
@@ -930,8 +1003,12 @@ export class WindowManager {
 
         this._windowMenuManager = new WindowMenu.WindowMenuManager();
 
-        if (Main.sessionMode.hasWorkspaces)
+        if (Main.sessionMode.hasWorkspaces) {
             this._workspaceTracker = new WorkspaceTracker(this);
+            this._sessionLayout =
+                new SessionLayout.SessionLayoutManager(
+                    this._workspaceTracker, this._snapLayouts);
+        }
 
         let mode = Shell.ActionMode.NORMAL;
         let topDragAction = new EdgeDragAction.EdgeDragAction(St.Side.TOP, mode);
@@ -1070,6 +1147,8 @@ export class WindowManager {
             window.change_workspace_by_index(index + 1, true);
         });
 
+        WorkspaceSettings.getWorkspaceSettings().insertWorkspace(pos);
+
         // If the new workspace was inserted before the active workspace,
         // activate the workspace to which its windows went
         let activeIndex = workspaceManager.get_active_workspace_index();
@@ -1455,7 +1534,62 @@ export class WindowManager {
         });
     }
 
+    _loadWindowRules() {
+        this._windowRules = WindowRules.parseRules(
+            global.settings.get_value('window-rules').recursiveUnpack());
+    }
+
+    /**
+     * Gets what the user's window rules do to a window.
+     *
+     * @param {Meta.Window} window - A window.
+     * @returns {WindowRules.WindowSettings}
+     */
+    getWindowRuleSettings(window) {
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        return WindowRules.getWindowSettings(this._windowRules,
+            app?.get_id() ?? '',
+            window.get_wm_class() ?? '',
+            window.get_title() ?? '');
+    }
+
+    _applyWindowRules(window) {
+        if (window.get_window_type() !== Meta.WindowType.NORMAL ||
+            window.get_transient_for())
+            return;
+
+        const settings = this.getWindowRuleSettings(window);
+
+        if (settings.monitor !== null &&
+            settings.monitor < global.display.get_n_monitors())
+            window.move_to_monitor(settings.monitor);
+
+        if (settings.workspace !== null && this._workspaceTracker) {
+            const workspace = this._workspaceTracker.ensureWorkspace(
+                settings.workspace, ONE_SECOND);
+            window.change_workspace(this._monitorWorkspaces.getWindowWorkspace(
+                window.get_monitor(), workspace));
+        }
+
+        if (settings.maximized === true) {
+            window.maximize(Meta.MaximizeFlags.BOTH);
+        } else if (settings.tile !== null) {
+            const {layout, slot} = WindowRules.getTileSlot(settings.tile);
+            this._snapLayouts.placeWindow(window,
+                layout, slot, window.get_monitor());
+        } else if (settings.maximized === false && window.get_maximized()) {
+            window.unmaximize(Meta.MaximizeFlags.BOTH);
+        }
+
+        if (settings.above === true)
+            window.make_above();
+        else if (settings.above === false)
+            window.unmake_above();
+    }
+
     async _mapWindow(shellwm, actor) {
+        this._applyWindowRules(actor.meta_window);
+
         actor._windowType = actor.meta_window.get_window_type();
         actor.meta_window.connectObject('notify::window-type', () => {
             let type = actor.meta_window.get_window_type();
@@ -1646,15 +1780,28 @@ export class WindowManager {
     }
 
     _showTilePreview(shellwm, window, tileRect, monitorIndex) {
-        if (!this._tilePreview)
-            this._tilePreview = new TilePreview();
-        this._tilePreview.open(window, tileRect, monitorIndex);
+        this._snapLayouts.showTilePreview(window, tileRect, monitorIndex);
     }
 
     _hideTilePreview() {
-        if (!this._tilePreview)
-            return;
-        this._tilePreview.close();
+        this._snapLayouts.hideTilePreview();
+    }
+
+    /**
+     * Opens a picker to tile a window into a slot of a layout.
+     *
+     * @param {Meta.Window} window - The window to tile.
+     */
+    openSnapLayouts(window) {
+        this._snapLayouts.openPicker(window);
+    }
+
+    /**
+     * Saves where windows are now, to put them back there after a restart
+     * or a new login.
+     */
+    saveWindowLayout() {
+        this._sessionLayout?.save();
     }
 
     _showWindowMenu(shellwm, window, menu, rect) {
@@ -1765,6 +1912,14 @@ export class WindowManager {
                 return;
         }
 
+        // Monitors that switch workspaces on their own switch the workspace
+        // of the window that is moved, or the one with the pointer
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        const monitorIndex = action === 'move' && monitorWorkspaces.enabled
+            ? window.get_monitor()
+            : monitorWorkspaces.getSwitchingMonitor();
+        const activeWs = monitorWorkspaces.getWorkspace(monitorIndex);
+
         if (target === 'last') {
             if (vertical)
                 direction = Meta.MotionDirection.DOWN;
@@ -1782,7 +1937,7 @@ export class WindowManager {
                 prependTarget = 'right';
             else
                 prependTarget = 'left';
-            if (workspaceManager.get_active_workspace_index() === 0 &&
+            if (activeWs.index() === 0 &&
                 action === 'move' && target === prependTarget &&
                 this._isWorkspacePrepended === false) {
                 this.insertWorkspace(0);
@@ -1790,12 +1945,12 @@ export class WindowManager {
             }
 
             direction = Meta.MotionDirection[target.toUpperCase()];
-            newWs = workspaceManager.get_active_workspace().get_neighbor(direction);
+            newWs = activeWs.get_neighbor(direction);
         } else if ((target > 0) && (target <= workspaceManager.n_workspaces)) {
             target--;
             newWs = workspaceManager.get_workspace_by_index(target);
 
-            if (workspaceManager.get_active_workspace_index() > target) {
+            if (activeWs.index() > target) {
                 if (vertical)
                     direction = Meta.MotionDirection.UP;
                 else if (rtl)
@@ -1823,7 +1978,7 @@ export class WindowManager {
             return;
 
         if (action === 'switch')
-            this.actionMoveWorkspace(newWs);
+            this.actionMoveWorkspace(newWs, monitorIndex);
         else
             this.actionMoveWindow(window, newWs);
 
@@ -1837,14 +1992,28 @@ export class WindowManager {
                     this._isWorkspacePrepended = false;
                 });
             }
-            this._workspaceSwitcherPopup.display(newWs.index());
+            this._workspaceSwitcherPopup.display(newWs.index(), monitorIndex);
         }
     }
 
-    actionMoveWorkspace(workspace) {
+    /**
+     * Switches to a workspace.
+     *
+     * @param {Meta.Workspace} workspace - The workspace to switch to.
+     * @param {number} [monitorIndex] - The monitor to switch, for monitors
+     *   that switch workspaces on their own; all other monitors switch
+     *   together with the primary monitor.
+     */
+    actionMoveWorkspace(workspace, monitorIndex = Main.layoutManager.primaryIndex) {
         if (!Main.sessionMode.hasWorkspaces)
             return;
 
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        if (monitorWorkspaces.switchesIndependently(monitorIndex)) {
+            this._switchMonitorWorkspace(monitorIndex, workspace);
+            return;
+        }
+
         if (!workspace.active)
             workspace.activate(global.get_current_time());
     }
@@ -1853,6 +2022,16 @@ export class WindowManager {
         if (!Main.sessionMode.hasWorkspaces)
             return;
 
+        const monitorIndex = window.get_monitor();
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        if (monitorWorkspaces.switchesIndependently(monitorIndex)) {
+            this._switchMonitorWorkspace(monitorIndex, workspace, window);
+
+            global.display.clear_mouse_mode();
+            window.activate(global.get_current_time());
+            return;
+        }
+
         if (!workspace.active) {
             // This won't have any effect for "always sticky" windows
             // (like desktop windows or docks)
@@ -1865,6 +2044,38 @@ export class WindowManager {
         }
     }
 
+    _switchMonitorWorkspace(monitorIndex, workspace, movingWindow = null) {
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        const from = monitorWorkspaces.getWorkspace(monitorIndex).index();
+        const to = workspace.index();
+
+        if (from === to)
+            return;
+
+        // Leave the animation to the primary monitor while it switches
+        const animate = this._shouldAnimate() && !this._switchInProgress;
+        if (animate)
+            this._workspaceAnimation.movingWindow = movingWindow;
+
+        monitorWorkspaces.switchWorkspace(monitorIndex, workspace, movingWindow);
+
+        if (!animate)
+            return;
+
+        const vertical = global.workspace_manager.layout_rows === -1;
+        const rtl = Clutter.get_default_text_direction() === Clutter.TextDirection.RTL;
+        let direction;
+        if (vertical)
+            direction = to > from ? Meta.MotionDirection.DOWN : Meta.MotionDirection.UP;
+        else if ((to > from) !== rtl)
+            direction = Meta.MotionDirection.RIGHT;
+        else
+            direction = Meta.MotionDirection.LEFT;
+
+        this._workspaceAnimation.animateSwitch(from, to, direction,
+            () => {}, monitorIndex);
+    }
+
     handleWorkspaceScroll(event) {
         if (!this._canScroll)
             return Clutter.EVENT_PROPAGATE;
@@ -1879,7 +2090,9 @@ export class WindowManager {
         const workspaceManager = global.workspace_manager;
         const vertical = workspaceManager.layout_rows === -1;
         const rtl = Clutter.get_default_text_direction() === Clutter.TextDirection.RTL;
-        const activeWs = workspaceManager.get_active_workspace();
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        const monitorIndex = monitorWorkspaces.getSwitchingMonitor();
+        const activeWs = monitorWorkspaces.getWorkspace(monitorIndex);
         let ws;
         switch (direction) {
         case Clutter.ScrollDirection.UP:
@@ -1907,7 +2120,7 @@ export class WindowManager {
         default:
             return Clutter.EVENT_PROPAGATE;
         }
-        this.actionMoveWorkspace(ws);
+        this.actionMoveWorkspace(ws, monitorIndex);
 
         this._canScroll = false;
         GLib.timeout_add(GLib.PRIORITY_DEFAULT,
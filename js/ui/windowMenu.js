@@ -57,6 +57,12 @@ export class WindowMenu extends PopupMenu.PopupMenu {
         if (!window.can_maximize())
             item.setSensitive(false);
 
+        item = this.addAction(_('Snap Layouts…'), () => {
+            Main.wm.openSnapLayouts(window);
+        });
+        if (!window.allows_resize())
+            item.setSensitive(false);
+
         item = this.addAction(_('Move'), event => {
             const device = event.get_device();
             const seat = device.get_seat();
@@ -11,11 +11,13 @@ import St from 'gi://St';
 import * as Background from './background.js';
 import * as DND from './dnd.js';
 import * as Main from './main.js';
+import * as MonitorWorkspaces from './monitorWorkspaces.js';
 import * as OverviewControls from './overviewControls.js';
 import * as Params from '../misc/params.js';
 
 import * as Util from '../misc/util.js';
 import {WindowPreview} from './windowPreview.js';
+import * as WorkspaceSettings from '../misc/workspaceSettings.js';
 
 const WINDOW_PREVIEW_MAXIMUM_SCALE = 0.95;
 
@@ -774,7 +776,9 @@ export const WorkspaceLayout = GObject.registerClass({
     }
 
     _syncOverlay(preview) {
-        const active = this._metaWorkspace?.active ?? true;
+        const active = !this._metaWorkspace ||
+            MonitorWorkspaces.getMonitorWorkspaceManager()
+                .getWorkspace(this._monitorIndex) === this._metaWorkspace;
         preview.overlayEnabled = active && this._stateAdjustment.value === 1;
     }
 
@@ -942,7 +946,7 @@ export const WorkspaceLayout = GObject.registerClass({
 
 export const WorkspaceBackground = GObject.registerClass(
 class WorkspaceBackground extends Shell.WorkspaceBackground {
-    _init(monitorIndex, stateAdjustment) {
+    _init(monitorIndex, stateAdjustment, metaWorkspace = null) {
         super._init({
             style_class: 'workspace-background',
             x_expand: true,
@@ -981,6 +985,7 @@ class WorkspaceBackground extends Shell.WorkspaceBackground {
             monitorIndex: this._monitorIndex,
             controlPosition: false,
             useContentSize: false,
+            workspace: metaWorkspace,
         });
 
         this._bgManager.connect('changed', () => {
@@ -1048,7 +1053,8 @@ class Workspace extends St.Widget {
 
         // Background
         this._background =
-            new WorkspaceBackground(monitorIndex, layoutManager.stateAdjustment);
+            new WorkspaceBackground(monitorIndex,
+                layoutManager.stateAdjustment, metaWorkspace);
         this.add_child(this._background);
 
         // Window previews
@@ -1060,8 +1066,35 @@ class Workspace extends St.Widget {
         this._container.layout_manager = layoutManager;
         this.add_child(this._container);
 
+        // Name
+        this._nameLabel = new St.Label({
+            style_class: 'workspace-name',
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.START,
+            visible: false,
+        });
+        this.add_child(this._nameLabel);
+
         this.metaWorkspace = metaWorkspace;
 
+        // Monitors that switch workspaces on their own may keep the windows
+        // of the workspace elsewhere
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        this._windowWorkspace = metaWorkspace
+            ? monitorWorkspaces.getWindowWorkspace(monitorIndex, metaWorkspace)
+            : null;
+
+        if (this.metaWorkspace) {
+            WorkspaceSettings.getWorkspaceSettings().connectObject(
+                'names-changed', () => this._updateName(), this);
+            this.metaWorkspace.connectObject('notify::workspace-index',
+                () => this._updateName(), this);
+            layoutManager.stateAdjustment.connectObject('notify::value',
+                () => this._updateNameOpacity(), this);
+            this._updateName();
+            this._updateNameOpacity();
+        }
+
         this._overviewAdjustment = overviewAdjustment;
 
         this.monitorIndex = monitorIndex;
@@ -1077,7 +1110,8 @@ class Workspace extends St.Widget {
             if (action.get_button() === 1 || action.get_button() === 0) {
                 const leaveOverview = this._shouldLeaveOverview();
 
-                this.metaWorkspace?.activate(global.get_current_time());
+                if (this.metaWorkspace)
+                    Main.wm.actionMoveWorkspace(this.metaWorkspace, this.monitorIndex);
                 if (leaveOverview)
                     Main.overview.hide();
             }
@@ -1101,10 +1135,14 @@ class Workspace extends St.Widget {
         }
 
         // Track window changes, but let the window tracker process them first
-        this.metaWorkspace?.connectObject(
+        this._windowWorkspace?.connectObject(
             'window-added', this._windowAdded.bind(this), GObject.ConnectFlags.AFTER,
             'window-removed', this._windowRemoved.bind(this), GObject.ConnectFlags.AFTER,
+            this);
+        this.metaWorkspace?.connectObject(
             'notify::active', () => layoutManager.syncOverlays(), this);
+        monitorWorkspaces.connectObject(
+            'changed', () => layoutManager.syncOverlays(), this);
         global.display.connectObject(
             'window-entered-monitor', this._windowEnteredMonitor.bind(this), GObject.ConnectFlags.AFTER,
             'window-left-monitor', this._windowLeftMonitor.bind(this), GObject.ConnectFlags.AFTER,
@@ -1115,8 +1153,23 @@ class Workspace extends St.Widget {
         this._delegate = this;
     }
 
+    /**
+     * The workspace the windows shown in this workspace are on, which is
+     * not the workspace itself on monitors that switch workspaces on their
+     * own.
+     *
+     * @type {Meta.Workspace|null}
+     */
+    get windowWorkspace() {
+        return this._windowWorkspace;
+    }
+
     _shouldLeaveOverview() {
-        if (!this.metaWorkspace || this.metaWorkspace.active)
+        if (!this.metaWorkspace)
+            return true;
+
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        if (monitorWorkspaces.getWorkspace(this.monitorIndex) === this.metaWorkspace)
             return true;
 
         const overviewState = this._overviewAdjustment.value;
@@ -1197,7 +1250,7 @@ class Workspace extends St.Widget {
             // the compositor finds out about them...
             let id = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
                 if (metaWin.get_compositor_private() &&
-                    metaWin.get_workspace() === this.metaWorkspace)
+                    metaWin.get_workspace() === this._windowWorkspace)
                     this._doAddWindow(metaWin);
                 return GLib.SOURCE_REMOVE;
             });
@@ -1314,6 +1367,8 @@ class Workspace extends St.Widget {
 
     _onDestroy() {
         this._clearSkipTaskbarSignals();
+        WorkspaceSettings.getWorkspaceSettings().disconnectObject(this);
+        MonitorWorkspaces.getMonitorWorkspaceManager().disconnectObject(this);
 
         if (this._layoutFrozenId > 0) {
             GLib.source_remove(this._layoutFrozenId);
@@ -1323,6 +1378,19 @@ class Workspace extends St.Widget {
         this._windows = [];
     }
 
+    _updateName() {
+        const settings = WorkspaceSettings.getWorkspaceSettings();
+        const name = settings.getName(this.metaWorkspace.index());
+
+        this._nameLabel.text = name;
+        this._nameLabel.visible = name !== '';
+    }
+
+    _updateNameOpacity() {
+        const {value} = this._container.layout_manager.stateAdjustment;
+        this._nameLabel.opacity = value * 255;
+    }
+
     _doneLeavingOverview() {
         this._container.layout_manager.layout_frozen = false;
     }
@@ -1332,15 +1400,16 @@ class Workspace extends St.Widget {
     }
 
     _isMyWindow(window) {
-        const isOnWorkspace = this.metaWorkspace === null ||
-            window.located_on_workspace(this.metaWorkspace);
+        const isOnWorkspace = this._windowWorkspace === null ||
+            window.located_on_workspace(this._windowWorkspace);
         const isOnMonitor = window.get_monitor() === this.monitorIndex;
 
         return isOnWorkspace && isOnMonitor;
     }
 
     _isOverviewWindow(window) {
-        return !window.skip_taskbar;
+        return !window.skip_taskbar &&
+            !Main.wm.getWindowRuleSettings(window).skipOverview;
     }
 
     // Create a clone of a (non-desktop) window and add it to the window list
@@ -1406,8 +1475,8 @@ class Workspace extends St.Widget {
 
         if (this._shouldLeaveOverview())
             Main.activateWindow(clone.metaWindow, time, wsIndex);
-        else
-            this.metaWorkspace?.activate(time);
+        else if (this.metaWorkspace)
+            Main.wm.actionMoveWorkspace(this.metaWorkspace, this.monitorIndex);
     }
 
     // Draggable target interface
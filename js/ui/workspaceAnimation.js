@@ -8,6 +8,7 @@ import St from 'gi://St';
 
 import * as Background from './background.js';
 import * as Layout from './layout.js';
+import * as MonitorWorkspaces from './monitorWorkspaces.js';
 import * as SwipeTracker from './swipeTracker.js';
 import * as Util from '../misc/util.js';
 
@@ -39,6 +40,7 @@ class WorkspaceGroup extends Clutter.Actor {
                 container: this._background,
                 monitorIndex: this._monitor.index,
                 controlPosition: false,
+                workspace: this._workspace,
             });
             this._createDesktopWindows();
         }
@@ -71,8 +73,11 @@ class WorkspaceGroup extends Clutter.Actor {
         if (!this._workspace)
             return isSticky;
 
-        // Otherwise only show windows that are (only) on that workspace
-        return !isSticky && window.located_on_workspace(this._workspace);
+        // Otherwise only show windows that are (only) on that workspace,
+        // wherever the monitor keeps them
+        const workspace = MonitorWorkspaces.getMonitorWorkspaceManager()
+            .getWindowWorkspace(this._monitor.index, this._workspace);
+        return !isSticky && window.located_on_workspace(workspace);
     }
 
     _syncStacking() {
@@ -177,7 +182,8 @@ export const MonitorGroup = GObject.registerClass({
 
         const workspaceManager = global.workspace_manager;
         const vertical = workspaceManager.layout_rows === -1;
-        const activeWorkspace = workspaceManager.get_active_workspace();
+        const activeWorkspace = MonitorWorkspaces.getMonitorWorkspaceManager()
+            .getWorkspace(monitor.index);
 
         let x = 0;
         let y = 0;
@@ -342,7 +348,7 @@ export class WorkspaceAnimationController {
             GObject.BindingFlags.SYNC_CREATE);
     }
 
-    _prepareWorkspaceSwitch(workspaceIndices) {
+    _prepareWorkspaceSwitch(workspaceIndices, monitorIndex = null) {
         if (this._switchData)
             return;
 
@@ -353,6 +359,7 @@ export class WorkspaceAnimationController {
 
         this._switchData = switchData;
         switchData.monitors = [];
+        switchData.monitorIndex = monitorIndex ?? Main.layoutManager.primaryIndex;
 
         switchData.gestureActivated = false;
         switchData.inProgress = false;
@@ -360,8 +367,16 @@ export class WorkspaceAnimationController {
         if (!workspaceIndices)
             workspaceIndices = [...Array(nWorkspaces).keys()];
 
-        const monitors = Meta.prefs_get_workspaces_only_on_primary()
-            ? [Main.layoutManager.primaryMonitor] : Main.layoutManager.monitors;
+        // Monitors that switch workspaces on their own are animated alone,
+        // and the primary monitor without them
+        let monitors;
+        if (monitorIndex !== null)
+            monitors = [Main.layoutManager.monitors[monitorIndex]];
+        else if (Meta.prefs_get_workspaces_only_on_primary() ||
+                 MonitorWorkspaces.getMonitorWorkspaceManager().enabled)
+            monitors = [Main.layoutManager.primaryMonitor];
+        else
+            monitors = Main.layoutManager.monitors;
 
         for (const monitor of monitors) {
             if (Meta.prefs_get_workspaces_only_on_primary() &&
@@ -388,7 +403,22 @@ export class WorkspaceAnimationController {
         this.movingWindow = null;
     }
 
-    animateSwitch(from, to, direction, onComplete) {
+    /**
+     * Animates switching workspaces.
+     *
+     * @param {number} from - The index of the old workspace.
+     * @param {number} to - The index of the new workspace.
+     * @param {Meta.MotionDirection} direction - The direction of the switch.
+     * @param {Function} onComplete - Called when the animation is done.
+     * @param {number} [monitorIndex] - The monitor that switches, if it
+     *   switches workspaces on its own.
+     */
+    animateSwitch(from, to, direction, onComplete, monitorIndex = null) {
+        // Only one monitor switching on its own is animated at a time
+        if (this._switchData && !this._switchData.gestureActivated &&
+            this._switchData.monitorIndex !== (monitorIndex ?? Main.layoutManager.primaryIndex))
+            this._finishWorkspaceSwitch(this._switchData);
+
         this._swipeTracker.enabled = false;
 
         let workspaceIndices = [];
@@ -414,7 +444,7 @@ export class WorkspaceAnimationController {
             direction !== Meta.MotionDirection.DOWN)
             workspaceIndices.reverse();
 
-        this._prepareWorkspaceSwitch(workspaceIndices);
+        this._prepareWorkspaceSwitch(workspaceIndices, monitorIndex);
         this._switchData.inProgress = true;
 
         const fromWs = global.workspace_manager.get_workspace_by_index(from);
@@ -429,7 +459,7 @@ export class WorkspaceAnimationController {
                 mode: Clutter.AnimationMode.EASE_OUT_CUBIC,
             };
 
-            if (monitorGroup.index === Main.layoutManager.primaryIndex) {
+            if (monitorGroup.index === this._switchData.monitorIndex) {
                 params.onComplete = () => {
                     this._finishWorkspaceSwitch(this._switchData);
                     onComplete();
@@ -454,6 +484,15 @@ export class WorkspaceAnimationController {
             monitor !== Main.layoutManager.primaryIndex)
             return;
 
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        const switchingMonitor = monitorWorkspaces.switchesIndependently(monitor)
+            ? monitor : null;
+
+        // Let a switch of another monitor finish first
+        if (this._switchData &&
+            this._switchData.monitorIndex !== (switchingMonitor ?? Main.layoutManager.primaryIndex))
+            return;
+
         const workspaceManager = global.workspace_manager;
         const horiz = workspaceManager.layout_rows !== -1;
         tracker.orientation = horiz
@@ -464,7 +503,7 @@ export class WorkspaceAnimationController {
             for (const group of this._switchData.monitors)
                 group.remove_all_transitions();
         } else {
-            this._prepareWorkspaceSwitch();
+            this._prepareWorkspaceSwitch(null, switchingMonitor);
         }
 
         const monitorGroup = this._findMonitorGroup(monitor);
@@ -506,9 +545,13 @@ export class WorkspaceAnimationController {
                 mode: Clutter.AnimationMode.EASE_OUT_CUBIC,
             };
 
-            if (monitorGroup.index === Main.layoutManager.primaryIndex) {
+            if (monitorGroup.index === switchData.monitorIndex) {
                 params.onComplete = () => {
-                    if (!newWs.active)
+                    const monitorWorkspaces =
+                        MonitorWorkspaces.getMonitorWorkspaceManager();
+                    if (monitorWorkspaces.switchesIndependently(switchData.monitorIndex))
+                        monitorWorkspaces.switchWorkspace(switchData.monitorIndex, newWs);
+                    else if (!newWs.active)
                         newWs.activate(endTime);
                     this._finishWorkspaceSwitch(switchData);
                 };
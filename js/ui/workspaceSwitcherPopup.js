@@ -7,6 +7,7 @@ import St from 'gi://St';
 
 import * as Layout from './layout.js';
 import * as Main from './main.js';
+import * as WorkspaceSettings from '../misc/workspaceSettings.js';
 
 const ANIMATION_TIME = 100;
 const DISPLAY_TIMEOUT = 600;
@@ -23,17 +24,30 @@ class WorkspaceSwitcherPopup extends Clutter.Actor {
             y_align: Clutter.ActorAlign.END,
         });
 
-        const constraint = new Layout.MonitorConstraint({primary: true});
-        this.add_constraint(constraint);
+        this._constraint = new Layout.MonitorConstraint({primary: true});
+        this.add_constraint(this._constraint);
 
         Main.uiGroup.add_child(this);
 
         this._timeoutId = 0;
 
-        this._list = new St.BoxLayout({
+        const box = new St.BoxLayout({
             style_class: 'workspace-switcher',
+            vertical: true,
         });
-        this.add_child(this._list);
+        this.add_child(box);
+
+        this._label = new St.Label({
+            style_class: 'ws-switcher-label',
+            x_align: Clutter.ActorAlign.CENTER,
+        });
+        box.add_child(this._label);
+
+        this._list = new St.BoxLayout({
+            style_class: 'ws-switcher-indicators',
+            x_align: Clutter.ActorAlign.CENTER,
+        });
+        box.add_child(this._list);
 
         this._redisplay();
 
@@ -62,10 +76,22 @@ class WorkspaceSwitcherPopup extends Clutter.Actor {
 
             this._list.add_child(indicator);
         }
+
+        const settings = WorkspaceSettings.getWorkspaceSettings();
+        const name = settings.getName(this._activeWorkspaceIndex);
+        this._label.text = name;
+        this._label.visible = name !== '';
     }
 
-    display(activeWorkspaceIndex) {
+    /**
+     * @param {number} activeWorkspaceIndex - The index of the workspace
+     *   switched to.
+     * @param {number} [monitorIndex] - The monitor that switched; the
+     *   popup is shown on the primary monitor by default.
+     */
+    display(activeWorkspaceIndex, monitorIndex = Main.layoutManager.primaryIndex) {
         this._activeWorkspaceIndex = activeWorkspaceIndex;
+        this._constraint.index = monitorIndex;
 
         this._redisplay();
         if (this._timeoutId !== 0)
@@ -11,9 +11,11 @@ import Graphene from 'gi://Graphene';
 
 import * as DND from './dnd.js';
 import * as Main from './main.js';
+import * as MonitorWorkspaces from './monitorWorkspaces.js';
 import {TransientSignalHolder} from '../misc/signalTracker.js';
 import * as Util from '../misc/util.js';
 import * as Workspace from './workspace.js';
+import * as WorkspaceSettings from '../misc/workspaceSettings.js';
 
 const NUM_WORKSPACES_THRESHOLD = 2;
 
@@ -250,6 +252,11 @@ export const WorkspaceThumbnail = GObject.registerClass({
         this.metaWorkspace = metaWorkspace;
         this.monitorIndex = monitorIndex;
 
+        // Monitors that switch workspaces on their own may keep the windows
+        // of the workspace elsewhere
+        this._windowWorkspace = MonitorWorkspaces.getMonitorWorkspaceManager()
+            .getWindowWorkspace(monitorIndex, metaWorkspace);
+
         this._removed = false;
 
         this._viewport = new Clutter.Actor();
@@ -258,6 +265,26 @@ export const WorkspaceThumbnail = GObject.registerClass({
         this._contents = new Clutter.Actor();
         this._viewport.add_child(this._contents);
 
+        this._nameLabel = new St.Label({
+            style_class: 'workspace-thumbnail-name',
+        });
+        this._nameLabel.add_constraint(new Clutter.BindConstraint({
+            source: this,
+            coordinate: Clutter.BindCoordinate.WIDTH,
+        }));
+        this._nameLabel.add_constraint(new Clutter.AlignConstraint({
+            source: this,
+            align_axis: Clutter.AlignAxis.Y_AXIS,
+            factor: 1,
+        }));
+        this.add_child(this._nameLabel);
+
+        WorkspaceSettings.getWorkspaceSettings().connectObject(
+            'names-changed', () => this._updateName(), this);
+        this.metaWorkspace.connectObject('notify::workspace-index',
+            () => this._updateName(), this);
+        this._updateName();
+
         this.connect('destroy', this._onDestroy.bind(this));
 
         let workArea = Main.layoutManager.getWorkAreaForMonitor(this.monitorIndex);
@@ -265,7 +292,7 @@ export const WorkspaceThumbnail = GObject.registerClass({
 
         let windows = global.get_window_actors().filter(actor => {
             let win = actor.meta_window;
-            return win.located_on_workspace(metaWorkspace);
+            return win.located_on_workspace(this._windowWorkspace);
         });
 
         // Create clones for windows that should be visible in the Overview
@@ -281,7 +308,7 @@ export const WorkspaceThumbnail = GObject.registerClass({
         }
 
         // Track window changes
-        this.metaWorkspace.connectObject(
+        this._windowWorkspace.connectObject(
             'window-added', this._windowAdded.bind(this),
             'window-removed', this._windowRemoved.bind(this), this);
         global.display.connectObject(
@@ -293,6 +320,17 @@ export const WorkspaceThumbnail = GObject.registerClass({
         this._collapseFraction = 0; // Not collapsed
     }
 
+    /**
+     * The workspace the windows shown in this thumbnail are on, which is
+     * not the workspace itself on monitors that switch workspaces on their
+     * own.
+     *
+     * @type {Meta.Workspace}
+     */
+    get windowWorkspace() {
+        return this._windowWorkspace;
+    }
+
     setPorthole(x, y, width, height) {
         this._viewport.set_size(width, height);
         this._contents.set_position(-x, -y);
@@ -363,7 +401,7 @@ export const WorkspaceThumbnail = GObject.registerClass({
             let id = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
                 if (!this._removed &&
                     metaWin.get_compositor_private() &&
-                    metaWin.get_workspace() === this.metaWorkspace)
+                    metaWin.get_workspace() === this._windowWorkspace)
                     this._doAddWindow(metaWin);
                 return GLib.SOURCE_REMOVE;
             });
@@ -442,25 +480,36 @@ export const WorkspaceThumbnail = GObject.registerClass({
         this._removed = true;
 
         this.metaWorkspace.disconnectObject(this);
+        this._windowWorkspace.disconnectObject(this);
         global.display.disconnectObject(this);
         this._allWindows.forEach(w => w.disconnectObject(this));
     }
 
     _onDestroy() {
         this.workspaceRemoved();
+        WorkspaceSettings.getWorkspaceSettings().disconnectObject(this);
         this._windows = [];
     }
 
+    _updateName() {
+        const settings = WorkspaceSettings.getWorkspaceSettings();
+        const name = settings.getName(this.metaWorkspace.index());
+
+        this._nameLabel.text = name;
+        this._nameLabel.visible = name !== '';
+    }
+
     // Tests if @actor belongs to this workspace and monitor
     _isMyWindow(actor) {
         let win = actor.meta_window;
-        return win.located_on_workspace(this.metaWorkspace) &&
+        return win.located_on_workspace(this._windowWorkspace) &&
             (win.get_monitor() === this.monitorIndex);
     }
 
     // Tests if @win should be shown in the Overview
     _isOverviewWindow(win) {
         return !win.get_meta_window().skip_taskbar &&
+               !Main.wm.getWindowRuleSettings(win.get_meta_window()).skipOverview &&
                win.get_meta_window().showing_on_its_workspace();
     }
 
@@ -507,9 +556,13 @@ export const WorkspaceThumbnail = GObject.registerClass({
         if (this.state > ThumbnailState.NORMAL)
             return;
 
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+
         // a click on the already current workspace should go back to the main view
-        if (this.metaWorkspace.active)
+        if (monitorWorkspaces.getWorkspace(this.monitorIndex) === this.metaWorkspace)
             Main.overview.hide();
+        else if (monitorWorkspaces.switchesIndependently(this.monitorIndex))
+            Main.wm.actionMoveWorkspace(this.metaWorkspace, this.monitorIndex);
         else
             this.metaWorkspace.activate(time);
     }
@@ -708,8 +761,8 @@ export const ThumbnailsBox = GObject.registerClass({
 
     _updateIndicator() {
         const {value} = this._scrollAdjustment;
-        const {workspaceManager} = global;
-        const activeIndex = workspaceManager.get_active_workspace_index();
+        const activeIndex = MonitorWorkspaces.getMonitorWorkspaceManager()
+            .getWorkspace(this._monitorIndex).index();
 
         this._animatingIndicator = value !== activeIndex;
 
@@ -945,6 +998,8 @@ export const ThumbnailsBox = GObject.registerClass({
             }, this._transientSignalHolder);
         Main.overview.connectObject('windows-restacked',
             this._syncStacking.bind(this), this._transientSignalHolder);
+        MonitorWorkspaces.getMonitorWorkspaceManager().connectObject('changed',
+            () => this._updateWindowWorkspaces(), this._transientSignalHolder);
 
         this._targetScale = 0;
         this._scale = 0;
@@ -972,6 +1027,20 @@ export const ThumbnailsBox = GObject.registerClass({
         this._thumbnails = [];
     }
 
+    _updateWindowWorkspaces() {
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        const changed = this._thumbnails.some(t => t.windowWorkspace !==
+            monitorWorkspaces.getWindowWorkspace(this._monitorIndex, t.metaWorkspace));
+
+        // Windows were moved to other workspaces, start over
+        if (changed) {
+            this._destroyThumbnails();
+            this._createThumbnails();
+        }
+
+        this._updateIndicator();
+    }
+
     _workspacesChanged() {
         let validThumbnails =
             this._thumbnails.filter(t => t.state <= ThumbnailState.NORMAL);
@@ -11,6 +11,7 @@ import St from 'gi://St';
 import * as Layout from './layout.js';
 
 import * as Main from './main.js';
+import * as MonitorWorkspaces from './monitorWorkspaces.js';
 import * as OverviewControls from './overviewControls.js';
 import * as SwipeTracker from './swipeTracker.js';
 import * as Util from '../misc/util.js';
@@ -125,6 +126,14 @@ class WorkspacesView extends WorkspacesViewBase {
 
         global.window_manager.connectObject('switch-workspace',
             this._activeWorkspaceChanged.bind(this), this);
+
+        MonitorWorkspaces.getMonitorWorkspaceManager().connectObject('changed',
+            this._monitorWorkspacesChanged.bind(this), this);
+    }
+
+    _getActiveWorkspaceIndex() {
+        return MonitorWorkspaces.getMonitorWorkspaceManager()
+            .getWorkspace(this._monitorIndex).index();
     }
 
     _getFirstFitAllWorkspaceBox(box, spacing, vertical) {
@@ -390,8 +399,7 @@ class WorkspacesView extends WorkspacesViewBase {
     }
 
     getActiveWorkspace() {
-        let workspaceManager = global.workspace_manager;
-        let active = workspaceManager.get_active_workspace_index();
+        let active = this._getActiveWorkspaceIndex();
         return this._workspaces[active];
     }
 
@@ -406,8 +414,7 @@ class WorkspacesView extends WorkspacesViewBase {
     }
 
     _scrollToActive() {
-        const {workspaceManager} = global;
-        const active = workspaceManager.get_active_workspace_index();
+        const active = this._getActiveWorkspaceIndex();
 
         this._animating = true;
         this._updateVisibility();
@@ -424,8 +431,7 @@ class WorkspacesView extends WorkspacesViewBase {
     }
 
     _updateVisibility() {
-        let workspaceManager = global.workspace_manager;
-        let active = workspaceManager.get_active_workspace_index();
+        let active = this._getActiveWorkspaceIndex();
 
         const fitMode = this._fitModeAdjustment.value;
         const singleFitMode = fitMode === FitMode.SINGLE;
@@ -478,6 +484,35 @@ class WorkspacesView extends WorkspacesViewBase {
         this._scrollToActive();
     }
 
+    _monitorWorkspacesChanged() {
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+
+        // Windows were moved to other workspaces, start over with the
+        // workspaces that show them
+        this._workspaces.forEach((workspace, i) => {
+            const {metaWorkspace} = workspace;
+            const windowWorkspace = monitorWorkspaces.getWindowWorkspace(
+                this._monitorIndex, metaWorkspace);
+            if (workspace.windowWorkspace === windowWorkspace)
+                return;
+
+            const newWorkspace = new Workspace.Workspace(
+                metaWorkspace,
+                this._monitorIndex,
+                this._overviewAdjustment);
+            this.insert_child_above(newWorkspace, workspace);
+            workspace.destroy();
+            this._workspaces[i] = newWorkspace;
+        });
+
+        this._updateWorkspacesState();
+        this._updateVisibility();
+
+        if (!this._gestureActive &&
+            this._scrollAdjustment.value !== this._getActiveWorkspaceIndex())
+            this._scrollToActive();
+    }
+
     _onDestroy() {
         super._onDestroy();
 
@@ -508,8 +543,7 @@ class WorkspacesView extends WorkspacesViewBase {
         const allowSwitch =
             adj.get_transition('value') === null && !this._gestureActive;
 
-        let workspaceManager = global.workspace_manager;
-        let active = workspaceManager.get_active_workspace_index();
+        let active = this._getActiveWorkspaceIndex();
         let current = Math.round(adj.value);
 
         if (allowSwitch && active !== current) {
@@ -523,7 +557,7 @@ class WorkspacesView extends WorkspacesViewBase {
             }
 
             let metaWorkspace = this._workspaces[current].metaWorkspace;
-            metaWorkspace.activate(global.get_current_time());
+            Main.wm.actionMoveWorkspace(metaWorkspace, this._monitorIndex);
         }
 
         this._updateWorkspacesState();
@@ -601,8 +635,24 @@ class SecondaryMonitorDisplay extends St.Widget {
 
         this.connect('destroy', () => this._onDestroy());
 
+        // Follows the overview, unless the monitor switches workspaces on
+        // its own
+        this._workspacesAdjustment = new St.Adjustment({actor: this});
+        this._bindings = [
+            'lower', 'upper', 'page-increment', 'page-size', 'step-increment',
+        ].map(propName => this._scrollAdjustment.bind_property(propName,
+            this._workspacesAdjustment, propName,
+            GObject.BindingFlags.SYNC_CREATE));
+        this._valueBinding = null;
+
+        MonitorWorkspaces.getMonitorWorkspaceManager().connectObject(
+            'enabled-changed', () => this._updateWorkspacesAdjustment(), this);
+        global.workspace_manager.connectObject('workspaces-reordered',
+            () => this._updateWorkspacesAdjustment(), this);
+        this._updateWorkspacesAdjustment();
+
         this._thumbnails = new ThumbnailsBox(
-            this._scrollAdjustment, monitorIndex);
+            this._workspacesAdjustment, monitorIndex);
         this.add_child(this._thumbnails);
 
         this._thumbnails.connect('notify::should-show',
@@ -722,6 +772,9 @@ class SecondaryMonitorDisplay extends St.Widget {
         if (this._settings)
             this._settings.run_dispose();
         this._settings = null;
+
+        this._bindings.forEach(b => b.unbind());
+        this._valueBinding?.unbind();
     }
 
     _workspacesOnPrimaryChanged() {
@@ -741,13 +794,28 @@ class SecondaryMonitorDisplay extends St.Widget {
             this._workspacesView = new WorkspacesView(
                 this._monitorIndex,
                 this._controls,
-                this._scrollAdjustment,
+                this._workspacesAdjustment,
                 this._fitModeAdjustment,
                 this._overviewAdjustment);
         }
         this.add_child(this._workspacesView);
     }
 
+    _updateWorkspacesAdjustment() {
+        this._valueBinding?.unbind();
+        this._valueBinding = null;
+
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        if (monitorWorkspaces.switchesIndependently(this._monitorIndex)) {
+            this._workspacesAdjustment.value =
+                monitorWorkspaces.getWorkspace(this._monitorIndex).index();
+        } else {
+            this._valueBinding = this._scrollAdjustment.bind_property('value',
+                this._workspacesAdjustment, 'value',
+                GObject.BindingFlags.SYNC_CREATE | GObject.BindingFlags.BIDIRECTIONAL);
+        }
+    }
+
     _updateThumbnailVisibility() {
         const visible =
             this._thumbnails.should_show &&
@@ -787,6 +855,15 @@ class SecondaryMonitorDisplay extends St.Widget {
         });
     }
 
+    /**
+     * The adjustment scrolling the workspaces of the monitor.
+     *
+     * @type {St.Adjustment}
+     */
+    get scrollAdjustment() {
+        return this._workspacesAdjustment;
+    }
+
     getActiveWorkspace() {
         return this._workspacesView.getActiveWorkspace();
     }
@@ -861,6 +938,7 @@ class WorkspacesDisplay extends St.Widget {
         this._leavingOverview = false;
 
         this._gestureActive = false; // touch(pad) gestures
+        this._gestureMonitor = this._primaryIndex;
     }
 
     _windowDragBegin() {
@@ -920,12 +998,28 @@ class WorkspacesDisplay extends St.Widget {
         }
     }
 
+    _getScrollAdjustment(monitorIndex) {
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        if (!monitorWorkspaces.switchesIndependently(monitorIndex))
+            return this._scrollAdjustment;
+
+        return this._workspacesViews[monitorIndex].scrollAdjustment;
+    }
+
     _switchWorkspaceBegin(tracker, monitor) {
         if (this._workspacesOnlyOnPrimary && monitor !== this._primaryIndex)
             return;
 
+        // Monitors that switch workspaces on their own are swiped alone
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        const gestureMonitor = monitorWorkspaces.switchesIndependently(monitor)
+            ? monitor : this._primaryIndex;
+        if (this._gestureActive && gestureMonitor !== this._gestureMonitor)
+            return;
+        this._gestureMonitor = gestureMonitor;
+
         let workspaceManager = global.workspace_manager;
-        let adjustment = this._scrollAdjustment;
+        let adjustment = this._getScrollAdjustment(this._gestureMonitor);
         if (this._gestureActive)
             adjustment.remove_transition('value');
 
@@ -945,7 +1039,7 @@ class WorkspacesDisplay extends St.Widget {
     }
 
     _switchWorkspaceUpdate(tracker, progress) {
-        let adjustment = this._scrollAdjustment;
+        let adjustment = this._getScrollAdjustment(this._gestureMonitor);
         adjustment.value = progress * adjustment.page_size;
     }
 
@@ -953,12 +1047,12 @@ class WorkspacesDisplay extends St.Widget {
         let workspaceManager = global.workspace_manager;
         let newWs = workspaceManager.get_workspace_by_index(endProgress);
 
-        this._scrollAdjustment.ease(endProgress, {
+        const adjustment = this._getScrollAdjustment(this._gestureMonitor);
+        adjustment.ease(endProgress, {
             mode: Clutter.AnimationMode.EASE_OUT_CUBIC,
             duration,
             onComplete: () => {
-                if (!newWs.active)
-                    newWs.activate(global.get_current_time());
+                Main.wm.actionMoveWorkspace(newWs, this._gestureMonitor);
                 this._endTouchGesture();
             },
         });
@@ -1129,17 +1223,20 @@ class WorkspacesDisplay extends St.Widget {
             return Clutter.EVENT_PROPAGATE;
         }
 
+        const monitorWorkspaces = MonitorWorkspaces.getMonitorWorkspaceManager();
+        const monitorIndex = monitorWorkspaces.getSwitchingMonitor();
+
         let ws;
         if (which < 0)
             // Negative workspace numbers are directions
             // with respect to the current workspace
-            ws = workspaceManager.get_active_workspace().get_neighbor(which);
+            ws = monitorWorkspaces.getWorkspace(monitorIndex).get_neighbor(which);
         else
             // Otherwise it is a workspace index
             ws = workspaceManager.get_workspace_by_index(which);
 
         if (ws)
-            Main.wm.actionMoveWorkspace(ws);
+            Main.wm.actionMoveWorkspace(ws, monitorIndex);
 
         return Clutter.EVENT_STOP;
     }
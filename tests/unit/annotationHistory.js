@@ -0,0 +1,72 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for the undo history of screenshot annotations
+
+import {AnnotationHistory} from 'resource:///org/gnome/shell/misc/annotationHistory.js';
+
+describe('AnnotationHistory', () => {
+    const first = {tool: 'arrow', points: [[0, 0], [10, 10]]};
+    const second = {tool: 'pen', points: [[5, 5], [6, 6], [7, 7]]};
+
+    let history;
+    beforeEach(() => {
+        history = new AnnotationHistory();
+    });
+
+    it('starts out empty', () => {
+        expect(history.annotations).toEqual([]);
+        expect(history.canUndo).toBeFalse();
+        expect(history.canRedo).toBeFalse();
+        expect(history.undo()).toBeNull();
+        expect(history.redo()).toBeNull();
+    });
+
+    it('undoes the last annotation', () => {
+        history.push(first);
+        history.push(second);
+
+        expect(history.undo()).toBe(second);
+        expect(history.annotations).toEqual([first]);
+        expect(history.canUndo).toBeTrue();
+        expect(history.canRedo).toBeTrue();
+    });
+
+    it('redoes undone annotations in order', () => {
+        history.push(first);
+        history.push(second);
+        history.undo();
+        history.undo();
+
+        expect(history.canUndo).toBeFalse();
+        expect(history.redo()).toBe(first);
+        expect(history.redo()).toBe(second);
+        expect(history.annotations).toEqual([first, second]);
+        expect(history.canRedo).toBeFalse();
+    });
+
+    it('forgets undone annotations when adding one', () => {
+        history.push(first);
+        history.undo();
+        history.push(second);
+
+        expect(history.canRedo).toBeFalse();
+        expect(history.annotations).toEqual([second]);
+    });
+
+    it('does not expose its list of annotations', () => {
+        history.push(first);
+        history.annotations.push(second);
+
+        expect(history.annotations).toEqual([first]);
+    });
+
+    it('clears everything', () => {
+        history.push(first);
+        history.push(second);
+        history.undo();
+        history.clear();
+
+        expect(history.annotations).toEqual([]);
+        expect(history.canUndo).toBeFalse();
+        expect(history.canRedo).toBeFalse();
+    });
+});
@@ -0,0 +1,86 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for Do Not Disturb quiet hours
+
+import GLib from 'gi://GLib';
+
+import {
+    getActiveReason,
+    getNextTimeOfDay,
+    getQuietTimeEnd,
+    isQuietTime
+} from 'resource:///org/gnome/shell/misc/doNotDisturb.js';
+
+const at = (day, hour, minute = 0) =>
+    GLib.DateTime.new_local(2024, 5, day, hour, minute, 0);
+
+const formatTime = time => time.format('%d %H:%M');
+
+describe('isQuietTime()', () => {
+    it('handles quiet hours within a day', () => {
+        expect(isQuietTime(at(21, 12, 30), 12 * 60, 13 * 60)).toBeTrue();
+        expect(isQuietTime(at(21, 13), 12 * 60, 13 * 60)).toBeFalse();
+        expect(isQuietTime(at(21, 11, 59), 12 * 60, 13 * 60)).toBeFalse();
+    });
+
+    it('handles quiet hours spanning midnight', () => {
+        expect(isQuietTime(at(21, 23), 22 * 60, 7 * 60)).toBeTrue();
+        expect(isQuietTime(at(21, 3), 22 * 60, 7 * 60)).toBeTrue();
+        expect(isQuietTime(at(21, 12), 22 * 60, 7 * 60)).toBeFalse();
+    });
+
+    it('treats equal start and end as no quiet hours', () => {
+        expect(isQuietTime(at(21, 8), 8 * 60, 8 * 60)).toBeFalse();
+    });
+});
+
+describe('getNextTimeOfDay()', () => {
+    it('finds a time later on the same day', () => {
+        expect(formatTime(getNextTimeOfDay(at(21, 3), 7 * 60)))
+            .toEqual('21 07:00');
+    });
+
+    it('finds a time on the next day', () => {
+        expect(formatTime(getNextTimeOfDay(at(21, 7), 7 * 60)))
+            .toEqual('22 07:00');
+    });
+});
+
+describe('getQuietTimeEnd()', () => {
+    it('finds the end of quiet hours', () => {
+        expect(formatTime(getQuietTimeEnd(at(21, 23), 22 * 60, 7 * 60)))
+            .toEqual('22 07:00');
+    });
+
+    it('returns null without quiet hours', () => {
+        expect(getQuietTimeEnd(at(21, 23), 60, 60)).toBeNull();
+    });
+});
+
+describe('getActiveReason()', () => {
+    const [MANUAL, QUIET_HOURS, FULLSCREEN] = [1, 3, 5];
+
+    it('picks the first reason', () => {
+        expect(getActiveReason([QUIET_HOURS, FULLSCREEN], new Set()))
+            .toBe(QUIET_HOURS);
+        expect(getActiveReason([], new Set())).toBeNull();
+    });
+
+    it('leaves out all overridden reasons', () => {
+        // Turning Do Not Disturb off while it is on manually and for
+        // quiet hours overrides both
+        const overridden = new Set([MANUAL, QUIET_HOURS]);
+        expect(getActiveReason([QUIET_HOURS], overridden)).toBeNull();
+        expect(getActiveReason([QUIET_HOURS, FULLSCREEN], overridden))
+            .toBe(FULLSCREEN);
+    });
+
+    it('drops overrides that no longer apply', () => {
+        const overridden = new Set([QUIET_HOURS, FULLSCREEN]);
+        expect(getActiveReason([FULLSCREEN], overridden)).toBeNull();
+        expect([...overridden]).toEqual([FULLSCREEN]);
+
+        // Quiet hours apply again the next day
+        expect(getActiveReason([QUIET_HOURS, FULLSCREEN], overridden))
+            .toBe(QUIET_HOURS);
+    });
+});
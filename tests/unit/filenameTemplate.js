@@ -0,0 +1,96 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for screenshot file name templates
+
+import GLib from 'gi://GLib';
+
+import {
+    expandFilenameTemplate,
+    hasCounter,
+    sanitizeFilename
+} from 'resource:///org/gnome/shell/misc/filenameTemplate.js';
+
+const dateTime = GLib.DateTime.new_local(2024, 5, 21, 12, 24, 3);
+
+describe('expandFilenameTemplate()', () => {
+    it('expands the date and time', () => {
+        expect(expandFilenameTemplate('Screenshot {date} {time}', {dateTime}))
+            .toEqual('Screenshot 2024-05-21 12-24-03');
+    });
+
+    it('expands the application, title and counter', () => {
+        const params = {
+            dateTime,
+            appName: 'Text Editor',
+            windowTitle: 'notes.txt',
+            counter: 3,
+        };
+        expect(expandFilenameTemplate('{app} - {title} ({counter})', params))
+            .toEqual('Text Editor - notes.txt (3)');
+    });
+
+    it('leaves unknown placeholders alone', () => {
+        expect(expandFilenameTemplate('{foo} {date}', {dateTime}))
+            .toEqual('{foo} 2024-05-21');
+        expect(expandFilenameTemplate('{constructor} {toString}', {dateTime}))
+            .toEqual('{constructor} {toString}');
+    });
+
+    it('keeps the counter of long names', () => {
+        const windowTitle = 'x'.repeat(300);
+        const name1 = expandFilenameTemplate('{title} {counter}',
+            {dateTime, windowTitle, counter: 1});
+        const name2 = expandFilenameTemplate('{title} {counter}',
+            {dateTime, windowTitle, counter: 2});
+
+        expect(name1.length).toBe(200);
+        expect(name1.endsWith(' 1')).toBeTrue();
+        expect(name2.endsWith(' 2')).toBeTrue();
+    });
+
+    it('keeps the counter of names with wide characters', () => {
+        const windowTitle = '字'.repeat(200);
+        const name = expandFilenameTemplate('{title} {counter}',
+            {dateTime, windowTitle, counter: 12});
+
+        expect(new TextEncoder().encode(name).length <= 200).toBeTrue();
+        expect(name.endsWith('字 12')).toBeTrue();
+    });
+
+    it('does not allow placing files elsewhere', () => {
+        const params = {dateTime, windowTitle: '../../.bashrc'};
+        expect(expandFilenameTemplate('{title}', params))
+            .toEqual('bashrc');
+    });
+});
+
+describe('sanitizeFilename()', () => {
+    it('removes control characters and collapses whitespace', () => {
+        expect(sanitizeFilename(' a\tb\n\nc\u0007 ')).toEqual('a b c');
+    });
+
+    it('does not create hidden files', () => {
+        expect(sanitizeFilename('.hidden')).toEqual('hidden');
+    });
+
+    it('limits the length', () => {
+        expect(sanitizeFilename('x'.repeat(300)).length).toBe(200);
+    });
+
+    it('limits the length in bytes without splitting characters', () => {
+        const name = sanitizeFilename('😀'.repeat(100));
+        expect(name).toEqual('😀'.repeat(50));
+        expect(sanitizeFilename(`a${'😀'.repeat(50)}`))
+            .toEqual(`a${'😀'.repeat(49)}`);
+    });
+
+    it('removes unpaired surrogates', () => {
+        expect(sanitizeFilename('a\ud83db')).toEqual('ab');
+    });
+});
+
+describe('hasCounter()', () => {
+    it('detects the counter placeholder', () => {
+        expect(hasCounter('{date} {counter}')).toBeTrue();
+        expect(hasCounter('{date}')).toBeFalse();
+    });
+});
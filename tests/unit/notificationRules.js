@@ -0,0 +1,125 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for notification rules
+
+import {
+    RuleAction,
+    getRuleEffects,
+    parseRule,
+    parseRules,
+    ruleMatches
+} from 'resource:///org/gnome/shell/misc/notificationRules.js';
+
+describe('parseRule()', () => {
+    it('parses a rule', () => {
+        const rule = parseRule({
+            'app-id': 'org.example.CI',
+            'title': 'fail(ed|ure)',
+            'action': 'play-sound',
+            'sound-name': 'bell',
+        });
+        expect(rule.appId).toEqual('org.example.CI');
+        expect(rule.title).toBeInstanceOf(RegExp);
+        expect(rule.body).toBeNull();
+        expect(rule.action).toEqual(RuleAction.PLAY_SOUND);
+        expect(rule.soundName).toEqual('bell');
+    });
+
+    it('rejects unknown actions', () => {
+        expect(() => parseRule({action: 'explode'})).toThrow();
+        expect(() => parseRule({})).toThrow();
+    });
+
+    it('rejects sound rules without sound', () => {
+        expect(() => parseRule({action: 'play-sound'})).toThrow();
+    });
+
+    it('rejects invalid patterns', () => {
+        expect(() => parseRule({title: '(', action: 'suppress'})).toThrow();
+    });
+});
+
+describe('parseRules()', () => {
+    it('skips invalid rules', () => {
+        const rules = parseRules([
+            {action: 'suppress'},
+            {action: 'explode'},
+            {action: 'expand'},
+        ]);
+        expect(rules.map(r => r.action)).toEqual([
+            RuleAction.SUPPRESS,
+            RuleAction.EXPAND,
+        ]);
+    });
+});
+
+describe('ruleMatches()', () => {
+    const rule = parseRule({
+        'app-id': 'org.example.CI',
+        'title': 'pipeline',
+        'body': 'passed$',
+        'action': 'suppress',
+    });
+
+    it('matches when all conditions match', () => {
+        expect(ruleMatches(rule,
+            'org.example.CI', 'Pipeline #42', 'All jobs passed')).toBeTrue();
+    });
+
+    it('requires the app ID to match', () => {
+        expect(ruleMatches(rule,
+            'org.example.Chat', 'Pipeline #42', 'All jobs passed')).toBeFalse();
+    });
+
+    it('requires the patterns to match', () => {
+        expect(ruleMatches(rule,
+            'org.example.CI', 'Pipeline #42', 'Job build failed')).toBeFalse();
+        expect(ruleMatches(rule,
+            'org.example.CI', 'Deployment', 'All jobs passed')).toBeFalse();
+    });
+
+    it('matches everything without conditions', () => {
+        expect(ruleMatches(parseRule({action: 'expand'}), '', '', ''))
+            .toBeTrue();
+    });
+});
+
+describe('getRuleEffects()', () => {
+    const rules = parseRules([
+        {'app-id': 'org.example.CI', 'action': 'low-urgency'},
+        {'title': 'failed', 'action': 'play-sound', 'sound-name': 'bell'},
+        {'title': 'failed', 'body': 'main', 'action': 'play-sound', 'sound-file': '/tmp/alarm.oga'},
+        {'body': 'spam', 'action': 'suppress'},
+        {'title': 'review', 'action': 'expand'},
+    ]);
+
+    it('does nothing without matching rules', () => {
+        expect(getRuleEffects(rules, 'org.example.Chat', 'Hi', '')).toEqual({
+            suppress: false,
+            lowUrgency: false,
+            sound: null,
+            expand: false,
+        });
+    });
+
+    it('combines the matching rules', () => {
+        const effects = getRuleEffects(rules,
+            'org.example.CI', 'Pipeline failed', 'On branch main');
+        expect(effects.lowUrgency).toBeTrue();
+        expect(effects.sound).toEqual({soundName: null, soundFile: '/tmp/alarm.oga'});
+        expect(effects.suppress).toBeFalse();
+    });
+
+    it('suppresses matching notifications', () => {
+        expect(getRuleEffects(rules, '', 'Offer', 'Buy spam').suppress)
+            .toBeTrue();
+    });
+
+    it('matches updates against their new content', () => {
+        // A notification that was replaced by its app, like fdo
+        // notifications with replaces_id
+        const before = getRuleEffects(rules, '', 'Pipeline running', '');
+        const after = getRuleEffects(rules, '', 'Pipeline failed', '');
+        expect(before.sound).toBeNull();
+        expect(after.sound).toEqual({soundName: 'bell', soundFile: null});
+    });
+});
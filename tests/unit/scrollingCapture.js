@@ -0,0 +1,40 @@
+import {findScrollOffset} from 'resource:///org/gnome/shell/ui/scrollingCapture.js';
+
+/**
+ * Returns row hashes for a window showing `rows` of a document starting at
+ * `scroll`, with optional fixed header and footer rows.
+ *
+ * @param {number} scroll - The first visible document row.
+ * @param {number} rows - The number of visible document rows.
+ * @param {number} header - The number of header rows.
+ * @param {number} footer - The number of footer rows.
+ * @returns {number[]}
+ */
+function frame(scroll, rows, header = 0, footer = 0) {
+    return [
+        ...Array(header).fill(-1),
+        ...Array.from({length: rows}, (_, i) => scroll + i),
+        ...Array(footer).fill(-2),
+    ];
+}
+
+describe('findScrollOffset()', () => {
+    it('finds the offset of scrolled contents', () => {
+        expect(findScrollOffset(frame(0, 100), frame(30, 100)))
+            .toEqual({top: 0, bottom: 0, offset: 30});
+    });
+
+    it('ignores fixed headers and footers', () => {
+        expect(findScrollOffset(frame(0, 100, 10, 5), frame(30, 100, 10, 5)))
+            .toEqual({top: 10, bottom: 5, offset: 30});
+    });
+
+    it('returns null when nothing scrolled', () => {
+        expect(findScrollOffset(frame(0, 100), frame(0, 100))).toBeNull();
+    });
+
+    it('returns null when the frames do not overlap enough', () => {
+        expect(findScrollOffset(frame(0, 100), frame(95, 100))).toBeNull();
+        expect(findScrollOffset(frame(0, 100), frame(200, 100))).toBeNull();
+    });
+});
@@ -0,0 +1,24 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for cleaning up recognized text
+
+import {cleanRecognizedText} from 'resource:///org/gnome/shell/misc/textRecognition.js';
+
+describe('cleanRecognizedText()', () => {
+    it('removes page breaks', () => {
+        expect(cleanRecognizedText('Error\n\f')).toEqual('Error');
+    });
+
+    it('removes trailing whitespace', () => {
+        expect(cleanRecognizedText('File not found  \nDetails \t'))
+            .toEqual('File not found\nDetails');
+    });
+
+    it('collapses empty lines', () => {
+        expect(cleanRecognizedText('Title\n\n\n\nBody'))
+            .toEqual('Title\n\nBody');
+    });
+
+    it('keeps indentation', () => {
+        expect(cleanRecognizedText('a\n  b')).toEqual('a\n  b');
+    });
+});
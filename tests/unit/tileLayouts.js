@@ -0,0 +1,77 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for tile layouts
+
+import {
+    LAYOUTS,
+    getCornerSlot,
+    getLayout,
+    getSlotRect
+} from 'resource:///org/gnome/shell/misc/tileLayouts.js';
+
+const workArea = {x: 100, y: 30, width: 1000, height: 700};
+
+describe('getLayout()', () => {
+    it('finds layouts by ID', () => {
+        expect(getLayout('thirds').slots.length).toEqual(3);
+        expect(getLayout('nonexistent')).toBeNull();
+    });
+});
+
+describe('getSlotRect()', () => {
+    it('places slots in the work area', () => {
+        const layout = getLayout('quarters');
+        expect(getSlotRect(layout, layout.slots[3], workArea)).toEqual({
+            x: 600,
+            y: 380,
+            width: 500,
+            height: 350,
+        });
+    });
+
+    it('leaves no gaps between slots', () => {
+        const layout = getLayout('thirds');
+        const rects = layout.slots.map(s => getSlotRect(layout, s, workArea));
+        expect(rects[0].x).toEqual(workArea.x);
+        expect(rects[1].x).toEqual(rects[0].x + rects[0].width);
+        expect(rects[2].x).toEqual(rects[1].x + rects[1].width);
+        expect(rects[2].x + rects[2].width).toEqual(workArea.x + workArea.width);
+    });
+
+    it('covers the work area with every layout', () => {
+        for (const layout of LAYOUTS) {
+            const area = layout.slots
+                .map(s => getSlotRect(layout, s, workArea))
+                .reduce((sum, r) => sum + r.width * r.height, 0);
+            expect(area).toEqual(workArea.width * workArea.height);
+        }
+    });
+});
+
+describe('getCornerSlot()', () => {
+    const {slots} = getLayout('quarters');
+
+    it('finds the quarter of a corner', () => {
+        expect(getCornerSlot(100, 40, workArea, 10)).toBe(slots[0]);
+        expect(getCornerSlot(1099, 40, workArea, 10)).toBe(slots[1]);
+        expect(getCornerSlot(100, 700, workArea, 10)).toBe(slots[2]);
+        expect(getCornerSlot(1099, 729, workArea, 10)).toBe(slots[3]);
+    });
+
+    it('finds corners along the top and bottom edges', () => {
+        expect(getCornerSlot(300, 30, workArea, 10)).toBe(slots[0]);
+        expect(getCornerSlot(900, 729, workArea, 10)).toBe(slots[3]);
+    });
+
+    it('treats the area above the work area as its top edge', () => {
+        expect(getCornerSlot(150, 0, workArea, 10)).toBe(slots[0]);
+    });
+
+    it('ignores the middle of edges', () => {
+        expect(getCornerSlot(100, 380, workArea, 10)).toBeNull();
+        expect(getCornerSlot(600, 30, workArea, 10)).toBeNull();
+    });
+
+    it('ignores points away from edges', () => {
+        expect(getCornerSlot(150, 80, workArea, 10)).toBeNull();
+    });
+});
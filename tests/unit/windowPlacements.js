@@ -0,0 +1,91 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for window placements
+
+import {
+    findPlacement,
+    getTileSide,
+    prunePlacements
+} from 'resource:///org/gnome/shell/misc/windowPlacements.js';
+
+function placement(appId, wmClass, title, lastSeen) {
+    return {
+        appId, wmClass, title, lastSeen,
+        monitor: 0,
+        workspace: 0,
+        x: 0,
+        y: 0,
+        width: 100,
+        height: 100,
+        maximized: 0,
+        tile: '',
+        fullscreen: false,
+        above: false,
+        sticky: false,
+    };
+}
+
+describe('findPlacement()', () => {
+    const oldTerminal = placement('terminal', 'Terminal', 'Shell', 1);
+    const newTerminal = placement('terminal', 'Terminal', 'Shell', 2);
+    const editor = placement('terminal', 'Terminal', 'vim', 3);
+    const xterm = placement('', 'XTerm', 'xterm', 4);
+    const placements = [oldTerminal, newTerminal, editor, xterm];
+
+    it('prefers placements with the same title', () => {
+        const window = {appId: 'terminal', wmClass: 'Terminal', title: 'Shell'};
+        expect(findPlacement(placements, window)).toBe(newTerminal);
+    });
+
+    it('falls back to the most recent placement of the app', () => {
+        const window = {appId: 'terminal', wmClass: 'Terminal', title: 'htop'};
+        expect(findPlacement(placements, window)).toBe(editor);
+    });
+
+    it('skips taken placements', () => {
+        const window = {appId: 'terminal', wmClass: 'Terminal', title: 'Shell'};
+        const taken = new Set([newTerminal]);
+        expect(findPlacement(placements, window, taken)).toBe(oldTerminal);
+    });
+
+    it('matches windows without app by window class', () => {
+        const window = {appId: '', wmClass: 'XTerm', title: 'top'};
+        expect(findPlacement(placements, window)).toBe(xterm);
+    });
+
+    it('does not match other apps', () => {
+        const window = {appId: 'editor', wmClass: 'Terminal', title: 'Shell'};
+        expect(findPlacement(placements, window)).toBeNull();
+        expect(findPlacement(placements, {appId: '', wmClass: '', title: ''}))
+            .toBeNull();
+    });
+});
+
+describe('prunePlacements()', () => {
+    it('keeps the most recent placements', () => {
+        const placements = [1, 4, 2, 3].map(
+            lastSeen => placement('app', '', '', lastSeen));
+        expect(prunePlacements(placements, 2).map(p => p.lastSeen))
+            .toEqual([4, 3]);
+    });
+});
+
+describe('getTileSide()', () => {
+    const workArea = {x: 100, y: 30, width: 1000, height: 800};
+
+    it('finds windows at the left side', () => {
+        const rect = {x: 100, y: 30, width: 500, height: 800};
+        expect(getTileSide(rect, workArea)).toBe('left');
+    });
+
+    it('finds windows at the right side', () => {
+        const rect = {x: 600, y: 30, width: 500, height: 800};
+        expect(getTileSide(rect, workArea)).toBe('right');
+    });
+
+    it('does not find a side for other windows', () => {
+        const wide = {x: 100, y: 30, width: 1000, height: 800};
+        const centered = {x: 300, y: 30, width: 500, height: 800};
+        expect(getTileSide(wide, workArea)).toBe('');
+        expect(getTileSide(centered, workArea)).toBe('');
+    });
+});
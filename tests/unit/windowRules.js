@@ -0,0 +1,120 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for window rules
+
+import {
+    TilePosition,
+    getTileSlot,
+    getWindowSettings,
+    parseRule,
+    parseRules,
+    ruleMatches
+} from 'resource:///org/gnome/shell/misc/windowRules.js';
+
+describe('parseRule()', () => {
+    it('parses a rule', () => {
+        const rule = parseRule({
+            'app-id': 'org.gnome.Terminal.desktop',
+            'title': '^htop',
+            'workspace': 2,
+            'skip-overview': true,
+        });
+        expect(rule.appId).toEqual('org.gnome.Terminal');
+        expect(rule.wmClass).toBeNull();
+        expect(rule.title).toBeInstanceOf(RegExp);
+        expect(rule.settings.workspace).toEqual(1);
+        expect(rule.settings.monitor).toBeNull();
+        expect(rule.settings.skipOverview).toBeTrue();
+    });
+
+    it('rejects rules that do not do anything', () => {
+        expect(() => parseRule({'app-id': 'org.gnome.Terminal'})).toThrow();
+    });
+
+    it('rejects invalid workspaces and monitors', () => {
+        expect(() => parseRule({workspace: 0})).toThrow();
+        expect(() => parseRule({monitor: 1.5})).toThrow();
+    });
+
+    it('rejects unknown tile positions', () => {
+        expect(() => parseRule({tile: 'middle'})).toThrow();
+    });
+
+    it('rejects windows that are both maximized and tiled', () => {
+        expect(() => parseRule({maximized: true, tile: 'left'})).toThrow();
+    });
+
+    it('rejects invalid patterns', () => {
+        expect(() => parseRule({title: '(', above: true})).toThrow();
+    });
+});
+
+describe('parseRules()', () => {
+    it('skips invalid rules', () => {
+        const rules = parseRules([
+            {workspace: 1},
+            {tile: 'middle'},
+            {above: true},
+        ]);
+        expect(rules.length).toEqual(2);
+    });
+});
+
+describe('ruleMatches()', () => {
+    it('matches app IDs with or without suffix', () => {
+        const rule = parseRule({'app-id': 'org.gnome.Terminal', 'above': true});
+        expect(ruleMatches(rule, 'org.gnome.Terminal.desktop', '', '')).toBeTrue();
+        expect(ruleMatches(rule, 'org.gnome.Terminal', '', '')).toBeTrue();
+        expect(ruleMatches(rule, 'org.gnome.Nautilus.desktop', '', '')).toBeFalse();
+    });
+
+    it('matches window classes regardless of case', () => {
+        const rule = parseRule({'wm-class': 'XTerm', 'above': true});
+        expect(ruleMatches(rule, '', 'xterm', '')).toBeTrue();
+        expect(ruleMatches(rule, '', 'UXTerm', '')).toBeFalse();
+    });
+
+    it('requires all conditions to match', () => {
+        const rule = parseRule({
+            'wm-class': 'firefox',
+            'title': 'private browsing',
+            'monitor': 2,
+        });
+        expect(ruleMatches(rule, '', 'firefox', 'Mozilla Firefox Private Browsing')).toBeTrue();
+        expect(ruleMatches(rule, '', 'firefox', 'Mozilla Firefox')).toBeFalse();
+    });
+
+    it('matches all windows without conditions', () => {
+        const rule = parseRule({'skip-switcher': true});
+        expect(ruleMatches(rule, '', '', '')).toBeTrue();
+    });
+});
+
+describe('getWindowSettings()', () => {
+    const rules = parseRules([
+        {'wm-class': 'Terminal', 'workspace': 2, 'maximized': true},
+        {'wm-class': 'Terminal', 'title': 'htop', 'tile': 'right'},
+        {'app-id': 'org.gnome.Nautilus', 'above': true},
+    ]);
+
+    it('combines matching rules', () => {
+        const settings = getWindowSettings(rules, '', 'Terminal', 'htop');
+        expect(settings.workspace).toEqual(1);
+        expect(settings.tile).toEqual(TilePosition.RIGHT);
+        expect(settings.maximized).toBeNull();
+        expect(settings.above).toBeNull();
+    });
+
+    it('ignores rules that do not match', () => {
+        const settings = getWindowSettings(rules, '', 'Terminal', 'bash');
+        expect(settings.maximized).toBeTrue();
+        expect(settings.tile).toBeNull();
+    });
+});
+
+describe('getTileSlot()', () => {
+    it('finds the slots of tile positions', () => {
+        const {layout, slot} = getTileSlot(TilePosition.BOTTOM_RIGHT);
+        expect(layout.id).toEqual('quarters');
+        expect(slot).toEqual({x: 1, y: 1, width: 1, height: 1});
+    });
+});
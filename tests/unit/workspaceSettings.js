@@ -0,0 +1,65 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for keeping workspace names and backgrounds with their workspace
+
+import {
+    insertWorkspace,
+    removeWorkspaces,
+    reorderWorkspaces
+} from 'resource:///org/gnome/shell/misc/workspaceSettings.js';
+
+describe('insertWorkspace()', () => {
+    const names = ['Mail', 'Web', 'Code'];
+
+    it('shifts the items after the new workspace', () => {
+        expect(insertWorkspace(names, 1)).toEqual(['Mail', '', 'Web', 'Code']);
+        expect(insertWorkspace(names, 0)).toEqual(['', 'Mail', 'Web', 'Code']);
+    });
+
+    it('leaves the list alone for workspaces after its end', () => {
+        expect(insertWorkspace(names, 3)).toEqual(names);
+        expect(insertWorkspace(names, 5)).toEqual(names);
+    });
+
+    it('does not change the given list', () => {
+        insertWorkspace(names, 1);
+        expect(names).toEqual(['Mail', 'Web', 'Code']);
+    });
+});
+
+describe('removeWorkspaces()', () => {
+    const names = ['Mail', 'Web', 'Code', 'Music'];
+
+    it('drops the items of removed workspaces', () => {
+        expect(removeWorkspaces(names, 1, 1)).toEqual(['Mail', 'Code', 'Music']);
+        expect(removeWorkspaces(names, 1, 2)).toEqual(['Mail', 'Music']);
+    });
+
+    it('handles workspaces after the end of the list', () => {
+        expect(removeWorkspaces(names, 3, 2)).toEqual(['Mail', 'Web', 'Code']);
+        expect(removeWorkspaces(names, 6, 1)).toEqual(names);
+    });
+
+    it('does not change the given list', () => {
+        removeWorkspaces(names, 0, 2);
+        expect(names).toEqual(['Mail', 'Web', 'Code', 'Music']);
+    });
+});
+
+describe('reorderWorkspaces()', () => {
+    const names = ['Mail', 'Web', 'Code', 'Music'];
+
+    it('moves items with their workspace', () => {
+        expect(reorderWorkspaces(names, [2, 0, 1, 3]))
+            .toEqual(['Code', 'Mail', 'Web', 'Music']);
+    });
+
+    it('keeps the items of workspaces that are not reordered', () => {
+        expect(reorderWorkspaces(names, [1, 0]))
+            .toEqual(['Web', 'Mail', 'Code', 'Music']);
+    });
+
+    it('fills in workspaces after the end of the list', () => {
+        expect(reorderWorkspaces(['Mail', 'Web'], [3, 0, 2, 1]))
+            .toEqual(['', 'Mail', '', 'Web']);
+    });
+});
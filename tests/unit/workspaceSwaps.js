@@ -0,0 +1,99 @@
+// -*- mode: js; js-indent-level: 4; indent-tabs-mode: nil -*-
+// Test cases for the workspace swaps of independent monitor workspaces
+
+import {
+    getWindowMoves,
+    swapWorkspaces
+} from 'resource:///org/gnome/shell/misc/workspaceSwaps.js';
+
+const [ws1, ws2, ws3, ws4] = ['ws1', 'ws2', 'ws3', 'ws4'];
+
+/**
+ * @param {string} name - The name of the window.
+ * @param {string} workspace - The workspace the window is on.
+ * @returns {object} a fake window
+ */
+function window(name, workspace) {
+    return {
+        name,
+        get_workspace: () => workspace,
+    };
+}
+
+/**
+ * @param {Array<[object, string]>} moves - Moves from getWindowMoves().
+ * @returns {object} the target workspaces by window name
+ */
+function targets(moves) {
+    return Object.fromEntries(moves.map(([w, workspace]) => [w.name, workspace]));
+}
+
+describe('swapWorkspaces()', () => {
+    it('swaps the two workspaces', () => {
+        expect(swapWorkspaces(ws1, ws1, ws2)).toBe(ws2);
+        expect(swapWorkspaces(ws2, ws1, ws2)).toBe(ws1);
+    });
+
+    it('leaves other workspaces alone', () => {
+        expect(swapWorkspaces(ws3, ws1, ws2)).toBe(ws3);
+    });
+
+    it('does nothing when swapping a workspace with itself', () => {
+        expect(swapWorkspaces(ws1, ws1, ws1)).toBe(ws1);
+        expect(swapWorkspaces(ws2, ws1, ws1)).toBe(ws2);
+    });
+});
+
+describe('getWindowMoves()', () => {
+    const windows = [
+        window('a', ws1),
+        window('b', ws2),
+        window('c', ws3),
+    ];
+
+    it('swaps windows when a monitor switches workspaces', () => {
+        const moves = getWindowMoves(windows,
+            {workspace: ws1, activeWorkspace: ws1},
+            {workspace: ws2, activeWorkspace: ws1});
+        expect(targets(moves)).toEqual({a: ws2, b: ws1});
+    });
+
+    it('swaps windows back when a monitor switches back', () => {
+        // Windows of ws2 are parked on ws1 and the other way around
+        const moves = getWindowMoves(windows,
+            {workspace: ws2, activeWorkspace: ws1},
+            {workspace: ws1, activeWorkspace: ws1});
+        expect(targets(moves)).toEqual({a: ws2, b: ws1});
+    });
+
+    it('swaps windows of a monitor showing another workspace', () => {
+        // Windows of ws3 are parked on ws1 and the other way around
+        const moves = getWindowMoves(windows,
+            {workspace: ws3, activeWorkspace: ws1},
+            {workspace: ws2, activeWorkspace: ws1});
+        expect(targets(moves)).toEqual({a: ws3, b: ws1, c: ws2});
+    });
+
+    it('follows the active workspace', () => {
+        // Windows of ws3 are parked on ws1 and the other way around
+        const moves = getWindowMoves([...windows, window('d', ws4)],
+            {workspace: ws3, activeWorkspace: ws1},
+            {workspace: ws3, activeWorkspace: ws4});
+        expect(targets(moves)).toEqual({a: ws4, c: ws1, d: ws3});
+    });
+
+    it('does not move windows when the monitor shows the active workspace', () => {
+        const moves = getWindowMoves(windows,
+            {workspace: ws1, activeWorkspace: ws1},
+            {workspace: ws2, activeWorkspace: ws2});
+        expect(moves).toEqual([]);
+    });
+
+    it('takes a window along', () => {
+        const moves = getWindowMoves(windows,
+            {workspace: ws1, activeWorkspace: ws1},
+            {workspace: ws2, activeWorkspace: ws1},
+            windows[0]);
+        expect(targets(moves)).toEqual({b: ws1});
+    });
+});